@@ -0,0 +1,150 @@
+// --- [アーカイブの解析（音量・発話・立ち上がり）] ---
+//
+// ブロックごとに音量 (RMS) を計算し、発話らしい部分 (VOICE) と
+// 発話の立ち上がり (ONSET) にフラグを付ける。
+// ブロックより細かい ANALYSIS_FRAME 単位で見るので、
+// 立ち上がりはブロック内のサンプル位置 (onsetOffset) まで分かる。
+// ノイズフロアは静かな部分に素早く追従し、うるさい部分ではゆっくりとしか上がらない。
+//
+// ES module（SoramimiEngine から使う）。調整値は options として受け取る。
+
+export const ANALYSIS_FRAME = 256; // 解析フレームのサンプル数
+export const FLAG_VOICE = 1; // 発話（ノイズフロアより十分大きい音）を含むブロック
+export const FLAG_ONSET = 2; // 無音の後の立ち上がりを含むブロック
+export const FLAG_FEEDBACK = 4; // ハウリング中に録音されたブロック（解析ではなく SoramimiEngine.setFeedback が付ける）
+
+export const ANALYSIS_DEFAULTS = {
+    vadThresholdRatio: 3, // ノイズフロアの何倍を「発話」とみなすか
+    vadMinRms: 0.004, // どれだけ静かな部屋でもこれ以下は発話とみなさない
+    onsetMinGapMs: 60, // この長さ以上の無音の後に音が来たら「立ち上がり」
+    onsetSelection: true, // 断片を立ち上がりから始める（false で従来どおりブロック単位のランダム）
+    onsetPrerollMs: 80, // 立ち上がりの少し前から再生する
+    endAtPause: true, // segmentMinSec を過ぎた後の次の間（無音）で断片を終える
+    pauseMinMs: 250, // 「間」とみなす無音の長さ
+    fragmentMinRms: 0.006, // 断片全体の音量がこれ未満なら（ほぼ無音として）採用しない
+};
+
+/**
+ * 解析の状態（ライブのアーカイブ用と、保存済みチャンクの解析用で別々に持つ）
+ */
+export function createVadState() {
+    return { noiseFloor: 0.002, quietFrames: Infinity };
+}
+
+/**
+ * 1ブロックを解析
+ * @param {Float32Array|Int16Array} samples Int16 の場合は 1/32768 して扱う
+ * @param {object} state createVadState() の戻り値（呼び出しごとに更新される）
+ * @param {number} sampleRate
+ * @param {object} [options] ANALYSIS_DEFAULTS と同じ形
+ * @returns {{rms: number, flags: number, onsetOffset: number}} onsetOffset は立ち上がりが無ければ 0
+ */
+export function analyzeBlock(samples, state, sampleRate, options = ANALYSIS_DEFAULTS) {
+    const scale = samples instanceof Int16Array ? 1 / 32768 : 1;
+    const threshold = Math.max(options.vadMinRms, state.noiseFloor * options.vadThresholdRatio);
+    const gapFrames = Math.max(1, Math.round(options.onsetMinGapMs / 1000 * sampleRate / ANALYSIS_FRAME));
+    let blockSum = 0;
+    let flags = 0;
+    let onsetOffset = -1;
+    for (let start = 0; start < samples.length; start += ANALYSIS_FRAME) {
+        const end = Math.min(samples.length, start + ANALYSIS_FRAME);
+        let sum = 0;
+        for (let i = start; i < end; i++) { const v = samples[i] * scale; sum += v * v; }
+        blockSum += sum;
+        const frameRms = Math.sqrt(sum / (end - start));
+        if (frameRms > threshold) {
+            flags |= FLAG_VOICE;
+            if (state.quietFrames >= gapFrames && onsetOffset < 0) onsetOffset = start;
+            state.quietFrames = 0;
+        } else {
+            state.quietFrames++;
+        }
+    }
+    const rms = Math.sqrt(blockSum / Math.max(1, samples.length));
+    // ノイズフロア: 下がるときは速く、上がるときはゆっくり
+    if (rms < state.noiseFloor) state.noiseFloor = state.noiseFloor * 0.8 + rms * 0.2;
+    else state.noiseFloor = Math.min(rms, state.noiseFloor * 1.002);
+    state.noiseFloor = Math.max(state.noiseFloor, 1e-5);
+    if (onsetOffset >= 0) flags |= FLAG_ONSET;
+    return { rms, flags, onsetOffset: Math.max(0, onsetOffset) };
+}
+
+/**
+ * 保存済みチャンクなど、まとまった音声の中から断片の開始位置を探す。
+ * 立ち上がりの少し前から始まり、length サンプル分の音量が fragmentMinRms 以上のものをランダムに選ぶ。
+ * @param {Int16Array|Float32Array} samples
+ * @param {number} sampleRate
+ * @param {number} length 断片のサンプル数
+ * @param {object} [options] ANALYSIS_DEFAULTS と同じ形
+ * @param {() => number} [random]
+ * @param {number} [blockSize] 解析の単位（アーカイブのブロックと揃える）
+ * @returns {number} 開始サンプル位置（見つからなければ -1）
+ */
+export function pickOnsetInSamples(samples, sampleRate, length, options = ANALYSIS_DEFAULTS, random = Math.random, blockSize = 4096) {
+    const state = createVadState();
+    const preroll = Math.round(options.onsetPrerollMs / 1000 * sampleRate);
+    const starts = [];
+    const blockRms = [];
+    for (let pos = 0; pos < samples.length; pos += blockSize) {
+        const result = analyzeBlock(samples.subarray(pos, Math.min(samples.length, pos + blockSize)), state, sampleRate, options);
+        blockRms.push(result.rms);
+        if (options.onsetSelection ? (result.flags & FLAG_ONSET) : (result.flags & FLAG_VOICE)) {
+            const start = Math.max(0, pos + result.onsetOffset - preroll);
+            if (start + length <= samples.length) starts.push(start);
+        }
+    }
+    // 音量チェック（ブロック単位の RMS で近似）
+    const loudEnough = starts.filter(start => {
+        const first = Math.floor(start / blockSize);
+        const last = Math.min(blockRms.length - 1, Math.floor((start + length - 1) / blockSize));
+        let sum = 0;
+        for (let b = first; b <= last; b++) sum += blockRms[b] * blockRms[b];
+        return Math.sqrt(sum / (last - first + 1)) >= options.fragmentMinRms;
+    });
+    if (loudEnough.length === 0) return -1;
+    return loudEnough[Math.floor(random() * loudEnough.length)];
+}
+
+/**
+ * 断片のラウドネス（LUFS 風の簡易版、dBFS）。
+ * 低域を 1 次のハイパス (約 100Hz) で落とし、400ms の窓（100ms ずつずらす）の平均パワーを
+ * -70dB の絶対ゲートと、そこから -10dB の相対ゲートで選んで平均する
+ * （BS.1770 の考え方に沿うが K 特性の高域シェルフは省略。声の断片どうしを揃える目的には十分）。
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {number} dB（無音なら -Infinity）
+ */
+export function measureLoudness(samples, sampleRate) {
+    const hop = Math.max(1, Math.round(sampleRate * 0.1));
+    const a = Math.exp(-2 * Math.PI * 100 / sampleRate);
+    // 100ms ごとのパワー
+    const powers = [];
+    let prevIn = 0;
+    let prevOut = 0;
+    for (let start = 0; start < samples.length; start += hop) {
+        const end = Math.min(samples.length, start + hop);
+        let sum = 0;
+        for (let i = start; i < end; i++) {
+            const y = a * (prevOut + samples[i] - prevIn);
+            prevIn = samples[i];
+            prevOut = y;
+            sum += y * y;
+        }
+        powers.push(sum / (end - start));
+    }
+    // 400ms の窓（短い断片は全体で1窓）
+    const windowHops = Math.min(4, powers.length);
+    const windows = [];
+    for (let i = 0; i + windowHops <= powers.length; i++) {
+        let sum = 0;
+        for (let k = 0; k < windowHops; k++) sum += powers[i + k];
+        windows.push(sum / windowHops);
+    }
+    const toDb = p => 10 * Math.log10(p);
+    const mean = list => list.reduce((sum, p) => sum + p, 0) / list.length;
+    const audible = windows.filter(p => p > 0 && toDb(p) > -70);
+    if (audible.length === 0) return -Infinity;
+    const relative = toDb(mean(audible)) - 10;
+    const gated = audible.filter(p => toDb(p) > relative);
+    return toDb(mean(gated));
+}
@@ -0,0 +1,125 @@
+// --- [断片の匿名化（声の加工）] ---
+//
+// 再生する断片から「誰の声か」を聞き取れないようにする。演出（soramimi-effects.js）と違って
+// 重みで選ぶのではなく、有効なら毎回かける。断片のバッファそのものを書き換えるので、
+// 演出前の断片を覚えておく側（直近の聞き間違い）にも加工済みの音しか残らない。
+//   'shift'    長さを変えずに声の高さとフォルマントを一緒にずらす（窓付きの粒を読み出し速度を変えて重ねる）
+//   'scramble' 帯域内でスペクトルを反転する（低い音と高い音を入れ替える。昔の電話の秘話装置の方式）
+//
+// ES module（SoramimiEngine から使う）。DOM にも AudioContext にも触れない。
+
+export const ANONYMIZE_MODES = ['off', 'shift', 'scramble'];
+export const ANONYMIZE_MIN_SEMITONES = 2; // 'shift': これより小さくは ずらさない（設定が小さくても声が元のまま聞こえないように）
+
+export const ANONYMIZE_DEFAULTS = {
+    anonymize: 'off', // ANONYMIZE_MODES のどれか
+    anonymizeSemitones: 4, // 'shift': ずらす量（半音、最低 ANONYMIZE_MIN_SEMITONES）。上下は断片ごとにランダム、0〜+1 半音揺らす
+    anonymizeGrainMs: 40, // 'shift': 粒の長さ
+    anonymizeCarrierHz: 3200, // 'scramble': この周波数までの帯域を反転する
+};
+
+/**
+ * 長さを変えずに高さ（とフォルマント）を ratio 倍にする
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {number} ratio 2 で1オクターブ上
+ * @param {number} grainMs
+ * @returns {Float32Array}
+ */
+export function shiftVoice(samples, sampleRate, ratio, grainMs) {
+    const out = new Float32Array(samples.length);
+    const grain = Math.max(16, Math.round(grainMs / 1000 * sampleRate));
+    const hop = Math.max(1, Math.floor(grain / 2)); // 50% overlap: Hann の和がほぼ 1
+    const window = new Float32Array(grain);
+    for (let i = 0; i < grain; i++) window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (grain - 1));
+    const last = samples.length - 1;
+    for (let pos = -hop; pos < samples.length; pos += hop) {
+        // 粒の中心を元の時刻に合わせ、ratio 倍の速さで読む
+        const from = pos + grain / 2 - grain * ratio / 2;
+        for (let i = 0; i < grain; i++) {
+            const o = pos + i;
+            if (o < 0 || o >= out.length) continue;
+            const x = from + i * ratio;
+            if (x < 0 || x > last) continue;
+            const k = Math.floor(x);
+            const frac = x - k;
+            const v = k < last ? samples[k] + (samples[k + 1] - samples[k]) * frac : samples[k];
+            out[o] += v * window[i];
+        }
+    }
+    return out;
+}
+
+const SCRAMBLE_STAGES = 8; // 'scramble' のローパスの段数（反転しない和の成分を搬送波のすぐ上で消すために急峻にする）
+const SCRAMBLE_CUTOFF = 0.85; // 'scramble' のローパスの遮断周波数（搬送波に対する比）
+
+/**
+ * 2次のローパス（RBJ）を stages 段かけて、その場でフィルタする
+ * @param {Float32Array} data
+ * @param {number} sampleRate
+ * @param {number} frequency
+ * @param {number} stages
+ */
+function lowpassInPlace(data, sampleRate, frequency, stages) {
+    const w = 2 * Math.PI * Math.min(frequency, sampleRate * 0.45) / sampleRate;
+    const alpha = Math.sin(w) / (2 * Math.SQRT1_2);
+    const cos = Math.cos(w);
+    const a0 = 1 + alpha;
+    const b0 = (1 - cos) / 2 / a0;
+    const b1 = (1 - cos) / a0;
+    const a1 = -2 * cos / a0;
+    const a2 = (1 - alpha) / a0;
+    for (let stage = 0; stage < stages; stage++) {
+        let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+        for (let i = 0; i < data.length; i++) {
+            const x = data[i];
+            const y = b0 * x + b1 * x1 + b0 * x2 - a1 * y1 - a2 * y2;
+            x2 = x1; x1 = x;
+            y2 = y1; y1 = y;
+            data[i] = y;
+        }
+    }
+}
+
+/**
+ * 0〜carrierHz の帯域を反転する（f → carrierHz - f）。それより上は捨てる
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {number} carrierHz
+ * @returns {Float32Array}
+ */
+export function scrambleSpectrum(samples, sampleRate, carrierHz) {
+    const out = Float32Array.from(samples);
+    lowpassInPlace(out, sampleRate, carrierHz * SCRAMBLE_CUTOFF, SCRAMBLE_STAGES);
+    const step = 2 * Math.PI * carrierHz / sampleRate;
+    // 搬送波を掛けると和と差の周波数に分かれ、振幅は半分になる（差 = 反転した帯域だけを残す）
+    for (let i = 0; i < out.length; i++) out[i] *= 2 * Math.cos(step * i);
+    lowpassInPlace(out, sampleRate, carrierHz * SCRAMBLE_CUTOFF, SCRAMBLE_STAGES);
+    return out;
+}
+
+/**
+ * options.anonymize に従って加工する
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {object} options ANONYMIZE_DEFAULTS と同じ形
+ * @param {() => number} random
+ * @returns {{samples: Float32Array, description: string}|null} 'off' なら null
+ */
+export function anonymizeSamples(samples, sampleRate, options, random) {
+    if (options.anonymize === 'shift') {
+        // 揺らしは足す方向だけ（設定より小さくはしない）
+        const semitones = (random() < 0.5 ? -1 : 1) * (Math.max(options.anonymizeSemitones, ANONYMIZE_MIN_SEMITONES) + random());
+        return {
+            samples: shiftVoice(samples, sampleRate, Math.pow(2, semitones / 12), options.anonymizeGrainMs),
+            description: `声の高さ ${semitones >= 0 ? '+' : ''}${semitones.toFixed(1)} 半音`,
+        };
+    }
+    if (options.anonymize === 'scramble') {
+        return {
+            samples: scrambleSpectrum(samples, sampleRate, options.anonymizeCarrierHz),
+            description: `帯域の反転 (${Math.round(options.anonymizeCarrierHz)} Hz)`,
+        };
+    }
+    return null;
+}
@@ -0,0 +1,339 @@
+// --- [SoundArchive: 1つの入力のリングバッファ] ---
+//
+// チャンク分割した Int16 のリングバッファ（1時間のモノラル音声 @48kHz で約 350MB）。
+// 一周した後は既存のチャンクを上書きするだけなので、長時間運転でも録音中に新しい配列を確保しない。
+// ブロックごとに記録時刻・音量・解析フラグ（soramimi-analysis.js）を並べて持つ。
+// 入力（マイク）ごとに1つ作り、SoramimiEngine が束ねる（部屋のゾーンごとの記憶）。
+//
+// ES module。位置の引数はすべて「古い順」（0 = 最も古いブロック / サンプル）。
+
+import { FLAG_VOICE, createVadState } from './soramimi-analysis.js';
+
+export class SoundArchive {
+    /**
+     * @param {object} [config]
+     * @param {string} [config.id] 入力の識別子（デバイス ID など）
+     * @param {string} [config.label] 表示名
+     * @param {number|null} [config.pan] この入力のゾーンにあるスピーカーの位置 (-1..1)。null なら決めない
+     * @param {number} [config.blockSize] 1ブロックのサンプル数
+     * @param {number} [config.chunkBlocks] 1チャンクのブロック数。チャンクは必要になった時点で確保
+     */
+    constructor({ id = 'main', label = '', pan = null, blockSize = 4096, chunkBlocks = 64 } = {}) {
+        this.id = id;
+        this.label = label;
+        this.pan = pan;
+        this.blockSize = blockSize;
+        this.chunkBlocks = chunkBlocks;
+        this.chunks = []; // Int16Array(chunkBlocks * blockSize) の配列（未使用分は null）
+        this.times = new Float64Array(0); // 各ブロックの記録時刻 (ms)
+        this.rms = new Float32Array(0); // 各ブロックの音量 (RMS)
+        this.flags = new Uint8Array(0); // FLAG_VOICE / FLAG_ONSET / FLAG_FEEDBACK
+        this.onsetOffsets = new Uint16Array(0); // 立ち上がりのブロック内サンプル位置
+        this.capacity = 0; // 保持できるブロック数
+        this.sampleRate = 44100;
+        this.writeBlock = 0; // 次に書き込むブロック位置
+        this.length = 0; // 保持しているブロック数
+        this.vadState = createVadState(); // ライブ入力の解析状態
+    }
+
+    /**
+     * 容量を長さ（秒）とサンプルレートから決める。
+     * 既に録音済みのブロックは新しい方から容量の許す限り引き継ぎ、古いバッファは引き継がなかった分も含めて 0 で上書きする。
+     * @param {number} durationSec
+     * @param {number} sampleRate
+     * @returns {boolean} 容量が変わったか
+     */
+    configure(durationSec, sampleRate) {
+        const { blockSize, chunkBlocks } = this;
+        const capacity = Math.max(1, Math.ceil(durationSec * sampleRate / blockSize));
+        if (capacity === this.capacity && sampleRate === this.sampleRate) return false;
+
+        // サンプルレートが変わった場合、古い音声は速度が合わないので捨てる
+        const keep = sampleRate === this.sampleRate ? Math.min(this.length, capacity) : 0;
+        const old = {
+            chunks: this.chunks, times: this.times, rms: this.rms, flags: this.flags, onsetOffsets: this.onsetOffsets,
+            capacity: this.capacity, writeBlock: this.writeBlock, length: this.length,
+        };
+        this.chunks = new Array(Math.ceil(capacity / chunkBlocks)).fill(null);
+        this.times = new Float64Array(capacity);
+        this.rms = new Float32Array(capacity);
+        this.flags = new Uint8Array(capacity);
+        this.onsetOffsets = new Uint16Array(capacity);
+        this.capacity = capacity;
+        this.sampleRate = sampleRate;
+        this.writeBlock = 0;
+        this.length = 0;
+        for (let i = old.length - keep; i < old.length; i++) {
+            const slot = (old.writeBlock - old.length + i + old.capacity) % old.capacity;
+            const chunk = old.chunks[Math.floor(slot / chunkBlocks)];
+            const start = (slot % chunkBlocks) * blockSize;
+            const analysis = { rms: old.rms[slot], flags: old.flags[slot], onsetOffset: old.onsetOffsets[slot] };
+            this.write(chunk.subarray(start, start + blockSize), old.times[slot], analysis);
+        }
+        // 捨てる側のバッファにも音声を残さない（dropBefore / wipe と同じ）
+        for (const chunk of old.chunks) {
+            if (chunk) chunk.fill(0);
+        }
+        return true;
+    }
+
+    /**
+     * 次のスロットへ1ブロックを書き込む（最も古いブロックを上書き: FIFO。Float32 / Int16 どちらの入力も可）
+     * @param {Float32Array|Int16Array} block
+     * @param {number} t 記録時刻 (ms)
+     * @param {{rms: number, flags: number, onsetOffset: number}} analysis analyzeBlock() の結果
+     */
+    write(block, t, analysis) {
+        const { blockSize, chunkBlocks } = this;
+        const slot = this.writeBlock;
+        const chunkIndex = Math.floor(slot / chunkBlocks);
+        let chunk = this.chunks[chunkIndex];
+        if (!chunk) chunk = this.chunks[chunkIndex] = new Int16Array(chunkBlocks * blockSize);
+        const base = (slot % chunkBlocks) * blockSize;
+        const n = Math.min(blockSize, block.length);
+        if (block instanceof Int16Array) {
+            chunk.set(block.subarray(0, n), base);
+        } else {
+            for (let i = 0; i < n; i++) {
+                const v = block[i];
+                chunk[base + i] = v >= 1 ? 32767 : v <= -1 ? -32768 : Math.round(v * 32767);
+            }
+        }
+        if (n < blockSize) chunk.fill(0, base + n, base + blockSize);
+        this.times[slot] = t;
+        this.rms[slot] = analysis.rms;
+        this.flags[slot] = analysis.flags;
+        this.onsetOffsets[slot] = analysis.onsetOffset;
+        this.writeBlock = (slot + 1) % this.capacity;
+        if (this.length < this.capacity) this.length++;
+    }
+
+    /**
+     * 空にする（バッファは再利用するので解放しない）
+     */
+    clear() {
+        this.writeBlock = 0;
+        this.length = 0;
+        this.vadState = createVadState();
+    }
+
+    /**
+     * 記録時刻が t (ms) より前のブロックを、古い方から音声ごと消す（0 で上書き）
+     * @param {number} t
+     * @returns {number} 消したブロック数
+     */
+    dropBefore(t) {
+        const { blockSize, chunkBlocks } = this;
+        let dropped = 0;
+        while (this.length > 0 && this.blockTime(0) < t) {
+            const slot = this.slot(0);
+            const chunk = this.chunks[Math.floor(slot / chunkBlocks)];
+            const base = (slot % chunkBlocks) * blockSize;
+            if (chunk) chunk.fill(0, base, base + blockSize);
+            this.times[slot] = 0;
+            this.rms[slot] = 0;
+            this.flags[slot] = 0;
+            this.onsetOffsets[slot] = 0;
+            this.length--;
+            dropped++;
+        }
+        return dropped;
+    }
+
+    /**
+     * 音声と解析結果をすべて 0 で上書きしてから空にする（clear と違い、バッファに何も残さない）
+     */
+    wipe() {
+        this.chunks.forEach(chunk => { if (chunk) chunk.fill(0); });
+        this.times.fill(0);
+        this.rms.fill(0);
+        this.flags.fill(0);
+        this.onsetOffsets.fill(0);
+        this.clear();
+    }
+
+    /**
+     * 保持している音声の長さ（秒）
+     */
+    durationSec() {
+        return this.length * this.blockSize / this.sampleRate;
+    }
+
+    /**
+     * 保持できる長さ（秒）
+     */
+    capacitySec() {
+        return this.capacity * this.blockSize / this.sampleRate;
+    }
+
+    /**
+     * 1ブロックの長さ (ms)
+     */
+    blockMs() {
+        return this.blockSize / this.sampleRate * 1000;
+    }
+
+    /**
+     * 古い順で index 番目のブロックのリング内スロット番号
+     * @param {number} index 0 = 最も古いブロック
+     */
+    slot(index) {
+        return (this.writeBlock - this.length + index + this.capacity) % this.capacity;
+    }
+
+    /**
+     * 古い順で index 番目のブロックの記録時刻 (ms)
+     * @param {number} index
+     */
+    blockTime(index) {
+        return this.times[this.slot(index)];
+    }
+
+    /**
+     * 古い順のサンプル位置が録音された時刻 (ms)
+     * （ブロックの時刻は書き込んだ時点 = ブロックの終わりなので、残りの分を差し引く）
+     * @param {number} sample
+     */
+    sampleTime(sample) {
+        const index = Math.floor(sample / this.blockSize);
+        return this.blockTime(index) - (this.blockSize - sample % this.blockSize) / this.sampleRate * 1000;
+    }
+
+    /**
+     * 古い順で index 番目のブロックの音量 (RMS)
+     * @param {number} index
+     */
+    blockRms(index) {
+        return this.rms[this.slot(index)];
+    }
+
+    /**
+     * 古い順で index 番目のブロックの解析フラグ (FLAG_VOICE / FLAG_ONSET)
+     * @param {number} index
+     */
+    blockFlags(index) {
+        return this.flags[this.slot(index)];
+    }
+
+    /**
+     * 古い順で index 番目のブロック内の立ち上がり位置（サンプル）
+     * @param {number} index
+     */
+    onsetOffset(index) {
+        return this.onsetOffsets[this.slot(index)];
+    }
+
+    /**
+     * 古い順のサンプル位置 start から length サンプルを Float32 に変換して out に書き出す。
+     * ブロック境界の途中から・途中までを読めるが、最新のサンプルより先へは進まない
+     * （最新→最古への折り返しはしない）。
+     * @param {number} start 0 = 最も古いブロックの先頭
+     * @param {number} length
+     * @param {Float32Array} out 書き込み先
+     * @param {number} [outOffset=0] out 内の書き込み開始位置
+     * @returns {number} 実際に書き込んだサンプル数
+     */
+    readRange(start, length, out, outOffset = 0) {
+        const { blockSize, chunkBlocks } = this;
+        const end = Math.min(this.length * blockSize, start + length, start + out.length - outOffset);
+        let pos = Math.max(0, start);
+        let dst = outOffset + (pos - start);
+        while (pos < end) {
+            const index = Math.floor(pos / blockSize);
+            const within = pos - index * blockSize;
+            const n = Math.min(blockSize - within, end - pos);
+            const slot = this.slot(index);
+            const chunk = this.chunks[Math.floor(slot / chunkBlocks)];
+            const base = (slot % chunkBlocks) * blockSize + within;
+            for (let i = 0; i < n; i++) out[dst + i] = chunk[base + i] / 32768;
+            pos += n;
+            dst += n;
+        }
+        return Math.max(0, end - Math.max(0, start));
+    }
+
+    /**
+     * ブロック範囲 [first, first + count) の平均的な音量（RMS の二乗平均）
+     * @param {number} first
+     * @param {number} count
+     */
+    rangeRms(first, count) {
+        let sum = 0;
+        let n = 0;
+        for (let i = first; i < first + count && i < this.length; i++, n++) {
+            const rms = this.blockRms(i);
+            sum += rms * rms;
+        }
+        return n > 0 ? Math.sqrt(sum / n) : 0;
+    }
+
+    /**
+     * index 番目以降で最初に pauseMinMs 以上の無音が始まるブロック
+     * @param {number} index
+     * @param {number} limit これより先は探さない
+     * @param {number} pauseMinMs
+     * @returns {number} 無音の始まるブロック（見つからなければ limit）
+     */
+    findPauseAfter(index, limit, pauseMinMs) {
+        const pauseBlocks = Math.max(1, Math.round(pauseMinMs / 1000 * this.sampleRate / this.blockSize));
+        let quiet = 0;
+        for (let i = index; i < limit; i++) {
+            if (this.blockFlags(i) & FLAG_VOICE) {
+                quiet = 0;
+            } else if (++quiet >= pauseBlocks) {
+                return i - quiet + 1;
+            }
+        }
+        return limit;
+    }
+
+    /**
+     * index 番目以降で最初に flag の立っているブロック
+     * @param {number} index
+     * @param {number} limit これより先は探さない
+     * @param {number} flag
+     * @returns {number} 見つかったブロック（なければ limit）
+     */
+    findFlagAfter(index, limit, flag) {
+        for (let i = index; i < limit; i++) {
+            if (this.blockFlags(i) & flag) return i;
+        }
+        return limit;
+    }
+
+    /**
+     * 時刻 t (ms) 以降に書き込まれたブロックへ後から flag を立てる
+     * （検出に時間のかかる現象を、気づいた時点で遡って印を付けるため）
+     * @param {number} t
+     * @param {number} flag
+     * @returns {number} 印を付けたブロック数
+     */
+    markSince(t, flag) {
+        let marked = 0;
+        // ブロックの時刻はブロックの終わりなので、t を含むブロックまで遡る
+        for (let i = this.length - 1; i >= 0 && this.blockTime(i) >= t; i--, marked++) {
+            this.flags[this.slot(i)] |= flag;
+        }
+        return marked;
+    }
+
+    /**
+     * 時刻 (ms) → 古い順のブロック位置（小数）。範囲外なら null
+     * @param {number} t
+     */
+    indexAt(t) {
+        const n = this.length;
+        if (n === 0) return null;
+        const blockMs = this.blockMs();
+        // ブロックの時刻は書き込んだ時点 = ブロックの終わり
+        if (t < this.blockTime(0) - blockMs || t > this.blockTime(n - 1)) return null;
+        let lo = 0;
+        let hi = n - 1;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.blockTime(mid) < t) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo + 1 - (this.blockTime(lo) - t) / blockMs;
+    }
+}
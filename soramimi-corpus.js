@@ -0,0 +1,217 @@
+// --- [コーパスとファイル入力] ---
+//
+// 音声ファイル（WAV / MP3 / OGG など decodeAudioData が読めるもの）やフォルダを読み込み、
+// engine のコーパス（ライブとは別のアーカイブ）に加える。断片はライブとコーパスから corpusRatio の割合で選ぶ。
+// 読み込みは AudioContext のサンプルレートで decodeAudioData する（停止中は直近のサンプルレートの OfflineAudioContext）。
+// 開始したときにサンプルレートが違っていれば、元のファイルから読み直す。
+// 「ファイル入力」: マイクの代わりに1つのファイルを繰り返し流し、モニター・アーカイブ・解析をすべて通す（会場なしのリハーサル用）。
+
+const CORPUS_FILE_PATTERN = /\.(wav|wave|mp3|ogg|oga|opus|flac|m4a|aac|webm)$/i;
+const FILE_INPUT_ID = 'file'; // ファイル入力の入力 ID（アーカイブもこの ID）
+
+let FILE_INPUT_MODE = false; // マイクの代わりにファイルを流す
+
+const corpusState = {
+    files: [], // コーパスに読み込んだ File（サンプルレートが変わったら読み直す）
+    loading: Promise.resolve(), // 読み込みは1ファイルずつ順番に（大きなファイルを並べて展開しない）
+    inputFile: null, // ファイル入力に使う File
+    player: null, // ファイル入力を流している AudioBufferSourceNode
+};
+let corpusInfoElement = null;
+let fileInputInfoElement = null;
+
+/**
+ * 読み込みに使う AudioContext（停止中はサンプルレートだけ合わせた OfflineAudioContext）
+ * @returns {BaseAudioContext|null}
+ */
+function corpusDecodeContext() {
+    if (audioContext) return audioContext;
+    const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    return OfflineCtx ? new OfflineCtx(1, 1, engine.sampleRate || SAMPLE_RATE) : null;
+}
+
+/**
+ * ファイルを展開してモノラルにする（チャンネルの平均）
+ * @param {File} file
+ * @param {BaseAudioContext} ctx このサンプルレートに変換される
+ * @returns {Promise<{samples: Float32Array, sampleRate: number}>}
+ */
+function decodeToMono(file, ctx) {
+    return file.arrayBuffer().then(data => ctx.decodeAudioData(data)).then(buffer => {
+        const samples = new Float32Array(buffer.length);
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            const data = buffer.getChannelData(ch);
+            for (let i = 0; i < data.length; i++) samples[i] += data[i] / buffer.numberOfChannels;
+        }
+        return { samples, sampleRate: buffer.sampleRate };
+    });
+}
+
+/**
+ * 音声ファイルをコーパスに加える（フォルダなら音声ファイルだけを名前順に）
+ * @param {File[]|FileList} fileList
+ * @returns {Promise<number>} 加えたファイルの数
+ */
+function addCorpusFiles(fileList) {
+    const files = Array.from(fileList)
+        .filter(file => (file.type && file.type.startsWith('audio/')) || CORPUS_FILE_PATTERN.test(file.name))
+        .sort((a, b) => (a.webkitRelativePath || a.name).localeCompare(b.webkitRelativePath || b.name));
+    if (files.length === 0) {
+        updateLog('コーパス: 音声ファイルがありません');
+        return Promise.resolve(0);
+    }
+    const run = () => {
+        const ctx = corpusDecodeContext();
+        if (!ctx) {
+            updateLog('コーパス: このブラウザでは音声ファイルを読み込めません');
+            return 0;
+        }
+        let added = 0;
+        updateCorpusInfo(`読み込み中... (0/${files.length})`);
+        return files.reduce((chain, file, i) => chain.then(() => decodeToMono(file, ctx).then(({ samples, sampleRate }) => {
+            if (engine.addCorpus(file.webkitRelativePath || file.name, samples, sampleRate)) {
+                corpusState.files.push(file);
+                added++;
+            }
+        }).catch(e => {
+            console.warn('corpus decode failed', file.name, e);
+            updateLog(`コーパス: ${file.name} を読み込めません (${e && e.name ? e.name : e})`);
+        }).then(() => updateCorpusInfo(`読み込み中... (${i + 1}/${files.length})`))), Promise.resolve()).then(() => {
+            updateLog(`コーパス: ${added} ファイルを加えました（合計 ${SoramimiEngine.formatDuration(engine.corpusDurationSec())} @ ${ctx.sampleRate} Hz）`);
+            updateCorpusInfo();
+            return added;
+        });
+    };
+    corpusState.loading = corpusState.loading.catch(() => {}).then(run);
+    return corpusState.loading;
+}
+
+/**
+ * コーパスを空にする
+ */
+function clearCorpusFiles() {
+    corpusState.files = [];
+    engine.clearCorpus();
+    updateCorpusInfo();
+}
+
+/**
+ * 開始時（AudioContext を作った後）: コーパスのサンプルレートが違えば元のファイルから読み直す
+ * （AudioBuffer は自分のサンプルレートで鳴るが、揃えておけば再生のたびの変換が要らない）
+ */
+function syncCorpusSampleRate() {
+    if (!audioContext || engine.corpus.length === 0 || engine.corpusSampleRate() === audioContext.sampleRate) return;
+    const files = corpusState.files;
+    updateLog(`コーパス: ${audioContext.sampleRate} Hz に合わせて読み直します`);
+    corpusState.files = [];
+    engine.clearCorpus();
+    addCorpusFiles(files);
+}
+
+/**
+ * コーパスの表示
+ * @param {string} [progress] 読み込みの途中経過
+ */
+function updateCorpusInfo(progress) {
+    if (!corpusInfoElement) return;
+    const count = engine.corpus.length;
+    const parts = [count > 0
+        ? `コーパス: ${count} ファイル / ${SoramimiEngine.formatDuration(engine.corpusDurationSec())}（${Math.round(engine.options.corpusRatio * 100)}% の割合で使います）`
+        : 'コーパス: なし（ライブの音だけ）'];
+    if (progress) parts.push(progress);
+    corpusInfoElement.textContent = parts.join(' / ');
+}
+
+// --- ファイル入力（リハーサル） ---
+
+/**
+ * wantedInputs() から: ファイル入力を使うなら、その入力
+ * @returns {{id: string, label: string, pan: null}|null}
+ */
+function fileInputWanted() {
+    if (!FILE_INPUT_MODE || !corpusState.inputFile) return null;
+    return { id: FILE_INPUT_ID, label: `ファイル: ${corpusState.inputFile.name}`, pan: null };
+}
+
+/**
+ * ファイルを繰り返し流す MediaStream を作る（openInputStream() から。マイクと同じ経路に入る）
+ * @returns {Promise<MediaStream>}
+ */
+function openFileInputStream() {
+    const file = corpusState.inputFile;
+    if (!audioContext || !file) return Promise.reject(Object.assign(new Error('no input file'), { name: 'NotFoundError' }));
+    const ctx = audioContext;
+    return file.arrayBuffer().then(data => ctx.decodeAudioData(data)).then(buffer => {
+        if (audioContext !== ctx) throw Object.assign(new Error('stopped'), { name: 'AbortError' });
+        stopFileInput();
+        const destination = ctx.createMediaStreamDestination();
+        const player = ctx.createBufferSource();
+        player.buffer = buffer;
+        player.loop = true;
+        player.connect(destination);
+        player.start();
+        corpusState.player = player;
+        updateLog(`ファイル入力: ${file.name} (${SoramimiEngine.formatDuration(buffer.duration)}) を繰り返し流します`);
+        return destination.stream;
+    });
+}
+
+/**
+ * ファイル入力を止める（disconnectInput から）
+ */
+function stopFileInput() {
+    const player = corpusState.player;
+    corpusState.player = null;
+    if (!player) return;
+    try { player.stop(); } catch (e) {}
+    try { player.disconnect(); } catch (e) {}
+}
+
+function updateFileInputInfo() {
+    if (!fileInputInfoElement) return;
+    const file = corpusState.inputFile;
+    fileInputInfoElement.textContent = file ? `${file.name}${FILE_INPUT_MODE ? '（マイクの代わりに流します）' : ''}` : '';
+}
+
+/**
+ * コーパスとファイル入力の UI を接続（engine を作った後）
+ */
+function initCorpusControls() {
+    corpusInfoElement = document.getElementById('corpusInfo');
+    fileInputInfoElement = document.getElementById('fileInputInfo');
+    const filesInput = document.getElementById('corpusFiles');
+    const folderInput = document.getElementById('corpusFolder');
+    const clearButton = document.getElementById('corpusClear');
+    const inputFileInput = document.getElementById('fileInputFile');
+    const inputToggle = document.getElementById('fileInputToggle');
+    [filesInput, folderInput].forEach(input => {
+        if (input) input.addEventListener('change', () => {
+            const files = input.files ? Array.from(input.files) : [];
+            input.value = '';
+            if (files.length > 0) addCorpusFiles(files);
+        });
+    });
+    if (clearButton) clearButton.addEventListener('click', clearCorpusFiles);
+    if (inputFileInput) inputFileInput.addEventListener('change', () => {
+        const file = inputFileInput.files && inputFileInput.files[0];
+        inputFileInput.value = '';
+        if (!file) return;
+        corpusState.inputFile = file;
+        updateLog(`ファイル入力に使うファイル: ${file.name}`);
+        updateFileInputInfo();
+        if (FILE_INPUT_MODE && audioContext) syncInputs().catch(() => {});
+    });
+    if (inputToggle) {
+        inputToggle.checked = FILE_INPUT_MODE;
+        inputToggle.addEventListener('change', () => {
+            FILE_INPUT_MODE = inputToggle.checked;
+            if (FILE_INPUT_MODE && !corpusState.inputFile) updateLog('ファイル入力: 流すファイルを選んでください（それまではマイクのまま）');
+            else updateLog(`ファイル入力: ${FILE_INPUT_MODE ? 'ON（マイクの代わりにファイルを流します）' : 'OFF（マイクに戻します）'}`);
+            updateFileInputInfo();
+            if (audioContext) syncInputs().catch(() => {});
+        });
+    }
+    engine.on('corpus', () => updateCorpusInfo());
+    updateCorpusInfo();
+    updateFileInputInfo();
+}
@@ -0,0 +1,270 @@
+// --- [入出力デバイス] ---
+//
+// enumerateDevices で入力（マイク）と出力（スピーカー）を列挙して選べるようにする。
+//   - 入力はチェックした数だけ開き、それぞれ別のアーカイブに取り込む（部屋のゾーンごとのマイクなど）。
+//     ゾーンのスピーカー位置は左から右へ並べ、ある場所で録れた音を別の場所から鳴らせるようにする
+//   - 出力は AudioContext.setSinkId で切り替える（対応ブラウザのみ）
+// devicechange で抜き差しに追従する: 外れた入力は取り込みを止め（録れた音はアーカイブに残る）、
+// 戻ってきたら取り込みを再開する。選択は localStorage に保存する（デバイス ID はオリジンごと）。
+
+const DEVICES_PREF_KEY = 'soramimi.devices'; // { inputs: [deviceId], output: deviceId }
+const DEFAULT_INPUT_ID = 'default'; // 入力を選んでいないときの既定のマイク
+// Loopback-friendly constraints (disable echo/noise suppression so direct monitoring works)
+const INPUT_CONSTRAINTS = { echoCancellation: false, noiseSuppression: false, autoGainControl: false };
+const ZONE_PAN_SPREAD = 0.8; // 入力が複数のとき、ゾーンのスピーカー位置を -0.8..0.8 に並べる
+
+let INPUT_DEVICE_IDS = []; // 選択した入力のデバイス ID（空なら既定のマイク）
+let OUTPUT_DEVICE_ID = ''; // 出力のデバイス ID（'' = 既定の出力）
+
+const deviceState = {
+    inputs: [], // 直近の enumerateDevices の結果 (audioinput)
+    outputs: [], // 同 (audiooutput)
+    sinkId: '', // 実際に適用している出力
+    syncing: null, // 進行中の syncInputs()（抜き差しが続いても順番に処理する）
+};
+let inputDeviceListElement = null;
+let outputDeviceSelect = null;
+let deviceInfoElement = null;
+
+/**
+ * 保存した選択を読み込む
+ */
+function loadDevicePrefs() {
+    try {
+        const prefs = JSON.parse(localStorage.getItem(DEVICES_PREF_KEY) || '{}');
+        INPUT_DEVICE_IDS = Array.isArray(prefs.inputs) ? prefs.inputs.filter(id => typeof id === 'string') : [];
+        OUTPUT_DEVICE_ID = typeof prefs.output === 'string' ? prefs.output : '';
+    } catch (e) {}
+}
+
+function saveDevicePrefs() {
+    try { localStorage.setItem(DEVICES_PREF_KEY, JSON.stringify({ inputs: INPUT_DEVICE_IDS, output: OUTPUT_DEVICE_ID })); } catch (e) {}
+}
+
+/**
+ * 出力の切り替え (setSinkId) に対応しているか
+ */
+function supportsSinkId() {
+    return !!AudioContext && typeof AudioContext.prototype.setSinkId === 'function';
+}
+
+/**
+ * デバイスの一覧を取り直して UI を更新
+ * （許可を得る前はラベルが空なので、マイクを開いた後にも呼ぶ）
+ * @returns {Promise<void>}
+ */
+function refreshDevices() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return Promise.resolve();
+    return navigator.mediaDevices.enumerateDevices().then(devices => {
+        // 'default' / 'communications' は実在するデバイスの別名。許可前は deviceId が空のこともある
+        const usable = d => d.deviceId && d.deviceId !== 'default' && d.deviceId !== 'communications';
+        deviceState.inputs = devices.filter(d => d.kind === 'audioinput' && usable(d));
+        deviceState.outputs = devices.filter(d => d.kind === 'audiooutput' && usable(d));
+        renderDeviceControls();
+    }).catch(e => console.warn('enumerateDevices failed', e));
+}
+
+/**
+ * デバイスの表示名（許可前でラベルが無ければ番号）
+ * @param {MediaDeviceInfo} device
+ * @param {number} index
+ */
+function deviceLabel(device, index) {
+    return device.label || `${device.kind === 'audioinput' ? 'マイク' : 'スピーカー'} ${index + 1}`;
+}
+
+/**
+ * 入力のチェックボックスと出力の select を作り直す
+ */
+function renderDeviceControls() {
+    if (inputDeviceListElement) {
+        inputDeviceListElement.innerHTML = '';
+        deviceState.inputs.forEach((device, i) => {
+            const label = document.createElement('label');
+            label.className = 'control';
+            const box = document.createElement('input');
+            box.type = 'checkbox';
+            box.checked = INPUT_DEVICE_IDS.includes(device.deviceId);
+            box.addEventListener('change', () => {
+                INPUT_DEVICE_IDS = INPUT_DEVICE_IDS.filter(id => id !== device.deviceId);
+                if (box.checked) INPUT_DEVICE_IDS.push(device.deviceId);
+                saveDevicePrefs();
+                if (audioContext) syncInputs().catch(() => {});
+            });
+            label.append(box, ` ${deviceLabel(device, i)}`);
+            inputDeviceListElement.appendChild(label);
+        });
+        // 選んであるのに見つからない入力（抜かれている）
+        const missing = INPUT_DEVICE_IDS.filter(id => !deviceState.inputs.some(d => d.deviceId === id));
+        if (missing.length > 0) {
+            const note = document.createElement('span');
+            note.className = 'archive-size';
+            note.textContent = `見つからない入力: ${missing.length}`;
+            inputDeviceListElement.appendChild(note);
+        }
+    }
+    if (outputDeviceSelect) {
+        outputDeviceSelect.innerHTML = '';
+        const options = [{ deviceId: '', text: '既定の出力' }]
+            .concat(deviceState.outputs.map((device, i) => ({ deviceId: device.deviceId, text: deviceLabel(device, i) })));
+        for (const { deviceId, text } of options) {
+            const option = document.createElement('option');
+            option.value = deviceId;
+            option.textContent = text;
+            outputDeviceSelect.appendChild(option);
+        }
+        outputDeviceSelect.value = outputAvailable(OUTPUT_DEVICE_ID) ? OUTPUT_DEVICE_ID : '';
+        outputDeviceSelect.disabled = !supportsSinkId();
+        outputDeviceSelect.title = supportsSinkId() ? '聞き間違いとモニターを出すデバイス' : 'このブラウザは出力の切り替え (setSinkId) に対応していません';
+    }
+}
+
+/**
+ * @param {string} deviceId
+ */
+function outputAvailable(deviceId) {
+    return deviceId === '' || deviceState.outputs.some(d => d.deviceId === deviceId);
+}
+
+/**
+ * 取り込む入力の一覧（ID・表示名・ゾーンのスピーカー位置）。何も選んでいなければ既定のマイク
+ * @returns {{id: string, label: string, pan: number|null}[]}
+ */
+function wantedInputs() {
+    // リハーサル: マイクの代わりにファイルを流す（soramimi-corpus.js）
+    const file = fileInputWanted();
+    if (file) return [file];
+    const ids = INPUT_DEVICE_IDS.length > 0 ? INPUT_DEVICE_IDS : [DEFAULT_INPUT_ID];
+    return ids.map((id, i) => {
+        const index = deviceState.inputs.findIndex(d => d.deviceId === id);
+        const label = id === DEFAULT_INPUT_ID ? '既定のマイク' : index >= 0 ? deviceLabel(deviceState.inputs[index], index) : id.slice(0, 8);
+        const pan = ids.length < 2 ? null : -ZONE_PAN_SPREAD + 2 * ZONE_PAN_SPREAD * i / (ids.length - 1);
+        return { id, label, pan };
+    });
+}
+
+/**
+ * 1つの入力を開く
+ * @param {string} id デバイス ID（DEFAULT_INPUT_ID なら既定のマイク、FILE_INPUT_ID ならファイル入力）
+ * @returns {Promise<MediaStream>}
+ */
+function openInputStream(id) {
+    if (id === FILE_INPUT_ID) return openFileInputStream();
+    const audio = Object.assign({}, INPUT_CONSTRAINTS);
+    if (id !== DEFAULT_INPUT_ID) audio.deviceId = { exact: id };
+    return navigator.mediaDevices.getUserMedia({ audio });
+}
+
+/**
+ * 選択に合わせて入力を開く・閉じる（開始時・選択の変更・抜き差しのたびに呼ぶ）
+ * アーカイブは入力ごと。外れた入力のアーカイブは選択から外さない限り残る
+ * @returns {Promise<number>} 取り込み中の入力の数。開始時に1つも開けなければ最後のエラーで reject
+ */
+function syncInputs() {
+    const run = () => {
+        if (!audioContext) return Promise.resolve(0);
+        const wanted = wantedInputs();
+        engine.setInputs(wanted);
+        // 選択から外れた入力と、抜かれた入力を閉じる
+        for (const input of inputs.slice()) {
+            const keep = wanted.some(w => w.id === input.id);
+            const present = input.id === DEFAULT_INPUT_ID || input.id === FILE_INPUT_ID || deviceState.inputs.length === 0 || deviceState.inputs.some(d => d.deviceId === input.id);
+            if (keep && present) continue;
+            disconnectInput(input);
+            updateLog(keep ? `入力が外れました: ${input.label}（録れた音はアーカイブに残ります）` : `入力を止めました: ${input.label}`);
+        }
+        // まだ開いていない入力を開く（見つからないものは飛ばす）
+        const toOpen = wanted.filter(w => !inputs.some(input => input.id === w.id)
+            && (w.id === DEFAULT_INPUT_ID || w.id === FILE_INPUT_ID || deviceState.inputs.length === 0 || deviceState.inputs.some(d => d.deviceId === w.id)));
+        let lastError = null;
+        return Promise.all(toOpen.map(w => openInputStream(w.id).then(stream => {
+            if (!audioContext) {
+                stream.getTracks().forEach(track => track.stop());
+                return;
+            }
+            const archive = engine.input(w.id);
+            if (archive && archive.length > 0) updateLog(`入力が戻りました: ${w.label}`);
+            connectInput({ id: w.id, label: w.label, stream });
+        }).catch(err => {
+            lastError = err;
+            console.warn('input open failed', w.label, err);
+            updateLog(`入力を開けません: ${w.label} (${err.name})`);
+        }))).then(() => {
+            if (inputs.length === 0 && lastError) throw lastError;
+            if (toOpen.length > 0) refreshDevices();
+            updateDeviceInfo();
+            return inputs.length;
+        });
+    };
+    deviceState.syncing = (deviceState.syncing || Promise.resolve()).catch(() => {}).then(run);
+    return deviceState.syncing;
+}
+
+/**
+ * 選んだ出力を AudioContext に適用（見つからなければ既定の出力）
+ * @returns {Promise<void>}
+ */
+function applyOutputDevice() {
+    if (!audioContext || !supportsSinkId()) return Promise.resolve();
+    const sinkId = outputAvailable(OUTPUT_DEVICE_ID) ? OUTPUT_DEVICE_ID : '';
+    if (sinkId === deviceState.sinkId && audioContext.sinkId === sinkId) return Promise.resolve();
+    return audioContext.setSinkId(sinkId).then(() => {
+        deviceState.sinkId = sinkId;
+        const device = deviceState.outputs.find(d => d.deviceId === sinkId);
+        updateLog(`出力: ${device ? deviceLabel(device, deviceState.outputs.indexOf(device)) : '既定の出力'}`);
+        fitOutputChannels();
+    }).catch(e => {
+        console.warn('setSinkId failed', e);
+        updateLog(`出力を切り替えられません: ${e && e.name ? e.name : e}`);
+    });
+}
+
+/**
+ * デバイスの抜き差し
+ */
+function onDeviceChange() {
+    refreshDevices().then(() => {
+        if (!audioContext) return;
+        if (OUTPUT_DEVICE_ID && !outputAvailable(OUTPUT_DEVICE_ID) && deviceState.sinkId === OUTPUT_DEVICE_ID) {
+            updateLog('出力デバイスが外れたので既定の出力に戻します');
+        }
+        applyOutputDevice();
+        return syncInputs();
+    }).catch(() => {});
+}
+
+/**
+ * 取り込み中の入力の表示
+ */
+function updateDeviceInfo() {
+    if (!deviceInfoElement) return;
+    if (!audioContext) {
+        deviceInfoElement.textContent = '';
+        return;
+    }
+    const wanted = wantedInputs();
+    const live = wanted.filter(w => inputs.some(input => input.id === w.id)).length;
+    deviceInfoElement.textContent = wanted.length > 1 || live < wanted.length ? `取り込み中: ${live} / ${wanted.length} 入力` : '';
+    updateTimelineInputs(document.getElementById('timelineInput'));
+}
+
+/**
+ * UI の初期化と devicechange の登録
+ */
+function initDeviceControls() {
+    loadDevicePrefs();
+    inputDeviceListElement = document.getElementById('inputDeviceList');
+    outputDeviceSelect = document.getElementById('outputDevice');
+    deviceInfoElement = document.getElementById('deviceInfo');
+    if (outputDeviceSelect) {
+        outputDeviceSelect.addEventListener('change', () => {
+            OUTPUT_DEVICE_ID = outputDeviceSelect.value;
+            saveDevicePrefs();
+            applyOutputDevice();
+        });
+    }
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+        navigator.mediaDevices.addEventListener('devicechange', onDeviceChange);
+    }
+    refreshDevices();
+}
@@ -0,0 +1,247 @@
+// --- [聞き間違いの演出（エフェクトチェーン）] ---
+//
+// 断片ごとに、登録されたエフェクトから重み付きでいくつかを選び、
+// 各パラメータを範囲内でランダムに決めてチェーンにする。
+// 同じ断片でも毎回違う聞こえ方になるようにするためのもの。
+//
+// エフェクトは次の形のオブジェクト（prepare / source / node はどれも省略可）:
+//   {
+//     name: 'reverb',
+//     weight: 1,                          // 選ばれやすさ（0 で無効）
+//     params: { decay: [1.2, 3.5] },      // 各パラメータの [最小, 最大]
+//     prepare(ctx, buffer, p) -> AudioBuffer      // 再生前にバッファ自体を加工
+//     source(ctx, sourceNode, p) -> cleanup?      // AudioBufferSourceNode の設定
+//     node(ctx, p) -> { input, output, tailSec?, stop? }  // 信号経路に挿入するノード
+//   }
+
+let EFFECT_CHAIN_MIN = 1; // 1つの断片にかけるエフェクト数の最小
+let EFFECT_CHAIN_MAX = 3; // 同 最大
+
+const SORAMIMI_EFFECTS = [];
+
+/**
+ * エフェクトを登録（同名があれば置き換え）
+ * @param {object} effect
+ */
+function registerSoramimiEffect(effect) {
+    const i = SORAMIMI_EFFECTS.findIndex(e => e.name === effect.name);
+    if (i >= 0) SORAMIMI_EFFECTS[i] = effect;
+    else SORAMIMI_EFFECTS.push(effect);
+}
+
+/**
+ * 名前でエフェクトを取得
+ * @param {string} name
+ */
+function soramimiEffect(name) {
+    return SORAMIMI_EFFECTS.find(e => e.name === name) || null;
+}
+
+/**
+ * 範囲 [min, max] の中からパラメータを決める
+ * @param {Object<string, number[]>} ranges
+ */
+function sampleEffectParams(ranges) {
+    const params = {};
+    for (const key of Object.keys(ranges || {})) {
+        const [min, max] = ranges[key];
+        params[key] = min + Math.random() * (max - min);
+    }
+    return params;
+}
+
+/**
+ * 重み付きで重複なしにエフェクトを選び、パラメータを決めたチェーンを作る
+ * @returns {{effect: object, params: object}[]}
+ */
+function buildEffectChain() {
+    const pool = SORAMIMI_EFFECTS.filter(e => e.weight > 0);
+    const lo = Math.max(0, Math.min(EFFECT_CHAIN_MIN, EFFECT_CHAIN_MAX));
+    const count = Math.min(pool.length, lo + Math.floor(Math.random() * (EFFECT_CHAIN_MAX - lo + 1)));
+    const chain = [];
+    for (let n = 0; n < count; n++) {
+        const total = pool.reduce((sum, e) => sum + e.weight, 0);
+        let r = Math.random() * total;
+        let pick = pool.length - 1;
+        for (let i = 0; i < pool.length; i++) {
+            r -= pool[i].weight;
+            if (r <= 0) { pick = i; break; }
+        }
+        const effect = pool.splice(pick, 1)[0];
+        chain.push({ effect, params: sampleEffectParams(effect.params) });
+    }
+    return chain;
+}
+
+/**
+ * ログ用: 'reverb(decay=2.10, mix=0.35) → reverse'
+ * @param {{effect: object, params: object}[]} chain
+ */
+function describeEffectChain(chain) {
+    if (chain.length === 0) return 'なし';
+    return chain.map(({ effect, params }) => {
+        const keys = Object.keys(params);
+        if (keys.length === 0) return effect.name;
+        return `${effect.name}(${keys.map(k => `${k}=${params[k].toFixed(2)}`).join(', ')})`;
+    }).join(' → ');
+}
+
+/**
+ * 同じ長さ・チャンネル数の空バッファ
+ * @param {BaseAudioContext} ctx
+ * @param {AudioBuffer} buffer
+ */
+function createBufferLike(ctx, buffer) {
+    return ctx.createBuffer(buffer.numberOfChannels, buffer.length, buffer.sampleRate);
+}
+
+// --- 登録済みエフェクト ---
+
+// 記憶の籠り: もともとの 3-4kHz ローパス
+registerSoramimiEffect({
+    name: 'lowpass',
+    weight: 3,
+    params: { frequency: [3000, 4000] },
+    node(ctx, p) {
+        const filter = ctx.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.frequency.setValueAtTime(p.frequency, ctx.currentTime);
+        return { input: filter, output: filter };
+    },
+});
+
+// 逆再生
+registerSoramimiEffect({
+    name: 'reverse',
+    weight: 0.6,
+    params: {},
+    prepare(ctx, buffer) {
+        const out = createBufferLike(ctx, buffer);
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            const src = buffer.getChannelData(ch);
+            const dst = out.getChannelData(ch);
+            for (let i = 0, j = src.length - 1; i < src.length; i++, j--) dst[i] = src[j];
+        }
+        return out;
+    },
+});
+
+// 再生速度（ピッチと長さが一緒に変わる）
+registerSoramimiEffect({
+    name: 'pitch',
+    weight: 1,
+    params: { rate: [0.75, 1.25] },
+    source(ctx, sourceNode, p) {
+        sourceNode.playbackRate.setValueAtTime(p.rate, ctx.currentTime);
+    },
+});
+
+// テープのよれ: LFO で detune を揺らす
+registerSoramimiEffect({
+    name: 'wobble',
+    weight: 0.8,
+    params: { rate: [0.3, 6], depth: [8, 50] }, // Hz, cents
+    source(ctx, sourceNode, p) {
+        const lfo = ctx.createOscillator();
+        const depth = ctx.createGain();
+        lfo.frequency.setValueAtTime(p.rate, ctx.currentTime);
+        depth.gain.setValueAtTime(p.depth, ctx.currentTime);
+        lfo.connect(depth).connect(sourceNode.detune);
+        lfo.start();
+        return () => {
+            try { lfo.stop(); lfo.disconnect(); depth.disconnect(); } catch (e) {}
+        };
+    },
+});
+
+// 生成したインパルス応答によるリバーブ（指数減衰するノイズ）
+registerSoramimiEffect({
+    name: 'reverb',
+    weight: 1,
+    params: { decay: [1.2, 3.5], mix: [0.2, 0.6] }, // 秒, wet 比率
+    node(ctx, p) {
+        const length = Math.max(1, Math.floor(p.decay * ctx.sampleRate));
+        const ir = ctx.createBuffer(2, length, ctx.sampleRate);
+        for (let ch = 0; ch < 2; ch++) {
+            const data = ir.getChannelData(ch);
+            for (let i = 0; i < length; i++) {
+                data[i] = (Math.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+            }
+        }
+        const input = ctx.createGain();
+        const output = ctx.createGain();
+        const dry = ctx.createGain();
+        const wet = ctx.createGain();
+        const convolver = ctx.createConvolver();
+        convolver.buffer = ir;
+        dry.gain.setValueAtTime(1 - p.mix, ctx.currentTime);
+        wet.gain.setValueAtTime(p.mix, ctx.currentTime);
+        input.connect(dry).connect(output);
+        input.connect(convolver).connect(wet).connect(output);
+        return { input, output, tailSec: p.decay };
+    },
+});
+
+// 電話の帯域 (300Hz-3.4kHz 付近)
+registerSoramimiEffect({
+    name: 'telephone',
+    weight: 0.7,
+    params: { low: [250, 450], high: [2800, 3600] },
+    node(ctx, p) {
+        const hp = ctx.createBiquadFilter();
+        const lp = ctx.createBiquadFilter();
+        hp.type = 'highpass';
+        lp.type = 'lowpass';
+        hp.frequency.setValueAtTime(p.low, ctx.currentTime);
+        lp.frequency.setValueAtTime(p.high, ctx.currentTime);
+        hp.Q.setValueAtTime(1.2, ctx.currentTime);
+        lp.Q.setValueAtTime(1.2, ctx.currentTime);
+        hp.connect(lp);
+        return { input: hp, output: lp };
+    },
+});
+
+// ビットクラッシュ: 振幅の量子化
+registerSoramimiEffect({
+    name: 'bitcrush',
+    weight: 0.5,
+    params: { bits: [3, 8] },
+    node(ctx, p) {
+        const shaper = ctx.createWaveShaper();
+        const steps = Math.pow(2, Math.round(p.bits));
+        const curve = new Float32Array(4096);
+        for (let i = 0; i < curve.length; i++) {
+            const x = i / (curve.length - 1) * 2 - 1;
+            curve[i] = Math.round(x * steps / 2) / (steps / 2);
+        }
+        shaper.curve = curve;
+        return { input: shaper, output: shaper };
+    },
+});
+
+// グラニュラー: 少しずつずらした窓付きの粒を重ねて、輪郭をにじませる
+registerSoramimiEffect({
+    name: 'granular',
+    weight: 0.6,
+    params: { grain: [0.04, 0.12], jitter: [0.02, 0.25] }, // 粒の長さ, 読み出し位置の揺れ（秒）
+    prepare(ctx, buffer, p) {
+        const out = createBufferLike(ctx, buffer);
+        const grainLen = Math.max(16, Math.floor(p.grain * buffer.sampleRate));
+        const hop = Math.max(1, Math.floor(grainLen / 2)); // 50% overlap (Hann window sums to ~1)
+        const jitter = Math.floor(p.jitter * buffer.sampleRate);
+        const hann = new Float32Array(grainLen);
+        for (let i = 0; i < grainLen; i++) hann[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / (grainLen - 1));
+        for (let ch = 0; ch < buffer.numberOfChannels; ch++) {
+            const src = buffer.getChannelData(ch);
+            const dst = out.getChannelData(ch);
+            for (let pos = 0; pos < dst.length; pos += hop) {
+                const offset = Math.round((Math.random() * 2 - 1) * jitter);
+                const from = Math.min(Math.max(0, pos + offset), Math.max(0, src.length - grainLen));
+                for (let i = 0; i < grainLen && pos + i < dst.length && from + i < src.length; i++) {
+                    dst[pos + i] += src[from + i] * hann[i];
+                }
+            }
+        }
+        return out;
+    },
+});
@@ -0,0 +1,1135 @@
+// --- [SoramimiEngine: アーカイブ・断片の選択・トリガー] ---
+//
+// 音の「記憶」と「いつ・どこを聞き間違えるか」を受け持つ、DOM に触れない本体。
+// AudioContext・時計・乱数・タイマー・UI への出力先 (sink) はすべて外から渡すので、
+// Node 上でも偽の AudioContext（OfflineAudioContext の代わり）と固定の乱数で動かせる。
+// ログや状態の変化は updateLog や DOM を直接呼ばずにイベントとして出す:
+//   'log'      { message }
+//   'block'    { block, t, sampleRate, analysis, input }   取り込んだ1ブロック（永続化用）
+//   'archive'  { durationSec, capacitySec }                 保持量の変化（間引いて出す。最初の入力の値）
+//   'trigger'  { reason, mode }
+//   'fragment' { buffer, info }                      再生すべき断片（演出と再生は受け取る側）
+//                                                    info.loudnessDb / loudnessGainDb は目標のラウドネスへの補正
+//   'section'  { index, count, cycle, section, startSec, endSec }  スコアのセクションが変わった（section: null でスコアの値を解除）
+//   'corpus'   { count, durationSec }                   コーパス（読み込んだ音声ファイル）が変わった
+//
+// 取り込み経路（AudioWorklet など）と再生・演出はアプリ側 (soramimi.js) に残る。
+// マイクが複数あれば入力ごとに別のアーカイブ (SoundArchive) を持ち、
+// crossZone なら「ある場所で録れた音を、別の場所のスピーカーから」鳴らすよう指示する。
+// ライブとは別に、読み込んだ音声ファイルの「コーパス」（ファイルごとの SoundArchive）からも断片を選べる。
+// コーパスは経過時間の制限を受けず、停止しても消えない（開演直後のまだ何も録れていない間にも使える）。
+// プライバシーのために、再生する断片の匿名化（soramimi-anonymize.js）と、
+// 録れた音を maxRetention より長く持たない保持期間の上限（容量が大きくても古い方から 0 で消す）を持つ。
+
+import { ANALYSIS_DEFAULTS, FLAG_VOICE, FLAG_ONSET, FLAG_FEEDBACK, analyzeBlock, pickOnsetInSamples, measureLoudness } from './soramimi-analysis.js';
+import { FeedbackDetector } from './soramimi-feedback-detector.js';
+import { SoundArchive } from './soramimi-archive.js';
+import { TriggerScheduler, createDefaultTriggerStrategies } from './soramimi-scheduler.js';
+import { parseDurationSec, formatDuration, formatClockMin } from './soramimi-time.js';
+import { SCORE_FORMAT, parseScore, sectionAt, isOpenAt, nextHoursChange } from './soramimi-score.js';
+import { ANONYMIZE_MODES, ANONYMIZE_DEFAULTS, anonymizeSamples } from './soramimi-anonymize.js';
+
+export { FLAG_VOICE, FLAG_ONSET, FLAG_FEEDBACK, parseDurationSec, formatDuration };
+
+export const ENGINE_DEFAULTS = Object.assign({
+    // アーカイブ
+    // 深さと最小経過時間は秒数、または '30s' / '10m' / '1h' 形式で指定（parseDurationSec を参照）
+    archiveDuration: '10m', // アーカイブに保持する長さ（実際のサンプルレートで換算）
+    minFragmentAge: '4s', // これより新しい音は「過去」として再生しない（例: '5m' で5分以上前の音だけ）
+    maxFragmentAge: '0', // これより古い音は使わない（'0' = 制限なし。スコアのセクションで「直近1時間の音だけ」など）
+    maxRetention: '0', // これより古い音はアーカイブから消す（'0' = 制限なし。archiveDuration より短ければこちらが優先）
+    blockSize: 4096, // アーカイブの1ブロックのサンプル数（取り込み経路のブロックと揃える）
+    chunkBlocks: 64, // 1チャンクのブロック数（約6秒 @44.1kHz）。チャンクは必要になった時点で確保
+    // 断片
+    segmentMinSec: 2, // 聞き間違いセグメントの最小秒数
+    segmentMaxSec: 5, // 聞き間違いセグメントの最大秒数
+    fadeInMs: 12, // 断片の頭のフェード（クリック防止）
+    fadeOutMs: 80, // 断片の終わりのフェード
+    // ラウドネス: 断片ごとに測って目標へ寄せる（info.loudnessGainDb。実際の音量は再生側で REPLAY_GAIN と掛ける）
+    loudnessNormalize: true,
+    loudnessTargetDb: -24, // 目標（measureLoudness の dB）
+    loudnessMaxBoostDb: 18, // 小さな音はここまでしか持ち上げない（ノイズまで大きくしないように）
+    loudnessMaxCutDb: 12,
+    // コラージュモード（短い断片を継ぎ合わせる）
+    collageCountMin: 3, // 継ぎ合わせる断片数の最小
+    collageCountMax: 6, // 同 最大
+    collageSnippetMinMs: 150, // 1断片の長さ（音節くらい）
+    collageSnippetMaxMs: 600, // 同（単語くらい）
+    collageCrossfadeMs: 30, // 断片同士を重ねる長さ
+    collageMinSpacingSec: 2, // 断片同士はアーカイブ上でこれ以上離れた時点から取る
+    // 複数の入力
+    crossZone: true, // 入力が複数あるとき、録れた場所とは別のゾーンのスピーカーから鳴らす
+    // コーパス（addCorpus で読み込んだ音声ファイル）
+    corpusRatio: 0.3, // ライブの音もあるとき、コーパスから選ぶ割合 (0..1)。ライブに使える音が無ければ割合によらずコーパスから
+    // ランダムトリガー: 「N秒ごとに x% の確率」として指定し、ポアソン戦略の平均間隔に換算する（applyTriggerRate）
+    triggerCheckInterval: 10000, // ミリ秒（初期: 10秒ごとに抽選）
+    triggerProbability: 0.05, // 0..1 の確率（初期: 5%）
+}, ANALYSIS_DEFAULTS, ANONYMIZE_DEFAULTS);
+
+export class SoramimiEngine {
+    /**
+     * @param {object} [deps]
+     * @param {BaseAudioContext} [deps.audioContext] 断片の AudioBuffer を作る（後から setAudioContext でも可）
+     * @param {() => number} [deps.now] 現在時刻 (ms)
+     * @param {() => number} [deps.random] 0..1
+     * @param {{setInterval: Function, clearInterval: Function}} [deps.timers]
+     * @param {(type: string, detail: object) => void} [deps.sink] すべてのイベントを受け取る
+     * @param {object} [deps.options] ENGINE_DEFAULTS の一部を上書き
+     * @param {{count: Function, ratio: Function, pick: Function}} [deps.persisted] 以前のセッションの記憶（soramimi-store.js。pick には random と now を渡す）
+     */
+    constructor({ audioContext = null, now = () => Date.now(), random = Math.random, timers = globalThis, sink = null, options = {}, persisted = null } = {}) {
+        this.audioContext = audioContext;
+        this.now = now;
+        this.random = random;
+        this.sink = sink;
+        this.persisted = persisted;
+        this.options = Object.assign({}, ENGINE_DEFAULTS, options);
+        this.listeners = {};
+        this.activeFragments = 0; // 再生中の聞き間違いの数（スケジューラの同時再生ルール用）
+        this.sampleRate = 0; // configureArchive() で決まる（0 = まだ）
+        this.feedbackActive = false; // ハウリング中（この間に書き込むブロックには FLAG_FEEDBACK を付ける）
+
+        // 入力ごとのアーカイブ（setInputs で差し替える。最初の1つがタイムラインなどの既定）
+        this.archives = [this.createArchive({ id: 'main' })];
+        // 読み込んだ音声ファイル（ファイルごとのアーカイブ。addCorpus / clearCorpus）
+        this.corpus = [];
+        this.corpusSerial = 0;
+
+        // 聞き間違いの生成モード。トリガーは weight に応じてどれか1つを選ぶ
+        this.modes = [
+            { name: 'fragment', weight: 3, play: reason => this.playFragment(reason) }, // ひと続きの 2〜5 秒
+            { name: 'collage', weight: 1, play: reason => this.playCollage(reason) }, // 短い断片を継ぎ合わせた「言っていない言葉」
+        ];
+
+        this.scheduler = new TriggerScheduler({ now, random, timers, log: message => this.log(message) });
+        createDefaultTriggerStrategies().forEach(strategy => this.scheduler.register(strategy));
+        // スコアのセクションが発火しない（triggersPerHour: 0）間は見送る
+        this.scheduler.register({
+            name: 'score',
+            enabled: true,
+            params: {},
+            evaluate: () => {
+                const current = this.section && this.section.section;
+                return current && current.triggersPerHour === 0 ? { veto: `スコア「${current.name}」は発火なし` } : null;
+            },
+        });
+
+        // スコア（soramimi-score.js）。setScore で設定し、スケジューラの開始から経過時間を数える
+        this.score = null;
+        this.scoreStartedAt = 0;
+        this.section = null; // sectionAt() の結果（スコアが進行中のとき）
+        this.scoreBaseline = null; // スコアが上書きする前の値（セクションに書いていない値・解除時に戻す）
+        this.applyTriggerRate();
+    }
+
+    // --- イベント ---
+
+    /**
+     * @param {string} type
+     * @param {(detail: object) => void} listener
+     */
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return this;
+    }
+
+    /**
+     * @param {string} type
+     * @param {Function} listener
+     */
+    off(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(fn => fn !== listener);
+        return this;
+    }
+
+    /**
+     * @param {string} type
+     * @param {object} detail
+     */
+    emit(type, detail) {
+        if (this.sink) this.sink(type, detail);
+        for (const listener of this.listeners[type] || []) listener(detail);
+    }
+
+    /**
+     * @param {string} message
+     */
+    log(message) {
+        this.emit('log', { message });
+    }
+
+    /**
+     * @param {BaseAudioContext|null} audioContext
+     */
+    setAudioContext(audioContext) {
+        this.audioContext = audioContext;
+    }
+
+    // --- アーカイブ ---
+
+    /**
+     * 最初の入力のアーカイブ（入力が1つのときはこれだけ）
+     * @returns {SoundArchive}
+     */
+    get archive() {
+        return this.archives[0];
+    }
+
+    /**
+     * @param {{id: string, label?: string, pan?: number|null}} config
+     */
+    createArchive(config) {
+        return new SoundArchive(Object.assign({ blockSize: this.options.blockSize, chunkBlocks: this.options.chunkBlocks }, config));
+    }
+
+    /**
+     * ID で入力のアーカイブを取得
+     * @param {string} id
+     * @returns {SoundArchive|null}
+     */
+    input(id) {
+        return this.archives.find(a => a.id === id) || null;
+    }
+
+    /**
+     * 入力（マイク）の一覧を設定する。同じ ID のアーカイブは録音済みの音ごと引き継ぐ
+     * @param {{id: string, label?: string, pan?: number|null}[]} inputs pan はその入力のゾーンにあるスピーカーの位置
+     */
+    setInputs(inputs) {
+        if (inputs.length === 0) return;
+        this.archives = inputs.map(config => {
+            const archive = this.input(config.id) || this.createArchive({ id: config.id });
+            archive.label = config.label || '';
+            archive.pan = config.pan === undefined ? null : config.pan;
+            return archive;
+        });
+        if (this.sampleRate) this.configureArchive(this.sampleRate);
+    }
+
+    /**
+     * 再生する断片に求める最小経過時間 (ms)
+     */
+    minFragmentAgeMs() {
+        const sec = parseDurationSec(this.options.minFragmentAge);
+        return Number.isFinite(sec) ? Math.max(0, sec * 1000) : 4000;
+    }
+
+    /**
+     * 再生する断片に許す最大経過時間 (ms)。制限が無ければ Infinity
+     */
+    maxFragmentAgeMs() {
+        const sec = parseDurationSec(this.options.maxFragmentAge);
+        return Number.isFinite(sec) && sec > 0 ? sec * 1000 : Infinity;
+    }
+
+    /**
+     * 録れた音を持っていてよい期間 (ms)。制限が無ければ Infinity
+     */
+    maxRetentionMs() {
+        const sec = parseDurationSec(this.options.maxRetention);
+        return Number.isFinite(sec) && sec > 0 ? sec * 1000 : Infinity;
+    }
+
+    /**
+     * 最小経過時間が保持期間に収まっているか。収まらなければ縮めた値を返す
+     * （保持期間より古い音しか選ばない指定では何も再生できないので、保持期間の半分にする）
+     * @param {number|string} minFragmentAge
+     * @param {number|string} maxRetention '0' なら制限なし
+     * @returns {number|null} 縮めた秒数（収まっていれば null）
+     */
+    static clampMinFragmentAge(minFragmentAge, maxRetention) {
+        const retentionSec = parseDurationSec(maxRetention);
+        if (!(retentionSec > 0) || parseDurationSec(minFragmentAge) < retentionSec) return null;
+        return retentionSec / 2;
+    }
+
+    /**
+     * 保持期間を過ぎた音をすべての入力のアーカイブから消す（書き込みのたびと、停止中も定期的に呼ぶ）
+     * @returns {number} 消したブロック数
+     */
+    enforceRetention() {
+        const maxMs = this.maxRetentionMs();
+        if (!Number.isFinite(maxMs)) return 0;
+        const cutoff = this.now() - maxMs;
+        const dropped = this.archives.reduce((sum, archive) => sum + archive.dropBefore(cutoff), 0);
+        if (dropped > 0) this.emitArchive();
+        return dropped;
+    }
+
+    /**
+     * すべての入力のアーカイブとコーパスを 0 で上書きして空にする（プライバシーの「すべて消去」）
+     */
+    purge() {
+        this.archives.forEach(archive => archive.wipe());
+        this.corpus.forEach(archive => archive.wipe());
+        this.corpus = [];
+        this.emitArchive();
+        this.emitCorpus();
+        this.log('アーカイブとコーパスを 0 で上書きして消去しました');
+    }
+
+    /**
+     * すべての入力のアーカイブ容量を archiveDuration と実際のサンプルレートから決める。
+     * 既に録音済みのブロックは新しい方から容量の許す限り引き継ぐ。
+     * @param {number} sampleRate audioContext.sampleRate
+     */
+    configureArchive(sampleRate) {
+        const durationSec = parseDurationSec(this.options.archiveDuration);
+        if (!Number.isFinite(durationSec) || durationSec <= 0) {
+            this.log(`アーカイブの深さが不正です: ${this.options.archiveDuration}`);
+            return;
+        }
+        this.sampleRate = sampleRate;
+        let changed = false;
+        for (const archive of this.archives) {
+            if (archive.configure(durationSec, sampleRate)) changed = true;
+        }
+        if (!changed) return;
+        const capacity = this.archive.capacity;
+        const inputs = this.archives.length > 1 ? ` × ${this.archives.length} 入力` : '';
+        this.log(`アーカイブ容量: ${formatDuration(this.archive.capacitySec())} (${capacity} ブロック @ ${sampleRate} Hz)${inputs}`);
+        this.emitArchive();
+    }
+
+    /**
+     * 1ブロック分の音声を解析して入力のリングバッファに書き込む（最も古いブロックを上書き: FIFO）
+     * @param {Float32Array} block blockSize サンプルのモノラル音声
+     * @param {string} [inputId] 省略時は最初の入力
+     */
+    writeBlock(block, inputId) {
+        const archive = inputId === undefined ? this.archive : this.input(inputId);
+        if (!archive || archive.capacity === 0) return;
+        const t = this.now();
+        const analysis = analyzeBlock(block, archive.vadState, archive.sampleRate, this.options);
+        if (this.feedbackActive) analysis.flags |= FLAG_FEEDBACK;
+        archive.write(block, t, analysis);
+        const maxRetentionMs = this.maxRetentionMs();
+        if (Number.isFinite(maxRetentionMs)) archive.dropBefore(t - maxRetentionMs);
+        this.emit('block', { block, t, sampleRate: archive.sampleRate, analysis, input: archive.id });
+        if (archive !== this.archive) return;
+
+        if (archive.length % 10 === 0) this.emitArchive();
+        if (archive.length % 100 === 0) this.log(`アーカイブ更新: ${formatDuration(this.archiveDurationSec())}`);
+        // Lightweight debug: occasionally log RMS level to confirm audio input
+        if (archive.length % 50 === 0) {
+            this.log(`入力レベル (RMS): ${analysis.rms.toFixed(5)} / ノイズフロア ${archive.vadState.noiseFloor.toFixed(5)}`);
+        }
+    }
+
+    /**
+     * ハウリングの始まり・終わりを知らせる（soramimi-feedback.js の検出から）。
+     * 検出には持続時間ぶんの遅れがあるので、始まりでは since まで遡ってすべての入力のブロックに印を付ける。
+     * 印の付いたブロックは断片に使わない
+     * @param {boolean} active
+     * @param {number} [since] ハウリングが始まった時刻 (ms)。省略時は今
+     */
+    setFeedback(active, since = this.now()) {
+        if (active === this.feedbackActive) return;
+        this.feedbackActive = active;
+        if (!active) return;
+        const marked = this.archives.reduce((sum, archive) => sum + archive.markSince(since, FLAG_FEEDBACK), 0);
+        if (marked > 0) this.log(`ハウリング: 直前の ${marked} ブロックを断片の候補から外しました`);
+    }
+
+    emitArchive() {
+        this.emit('archive', { durationSec: this.archiveDurationSec(), capacitySec: this.archiveCapacitySec() });
+    }
+
+    /**
+     * 最初の入力のアーカイブに保持している音声の長さ（秒）
+     */
+    archiveDurationSec() {
+        return this.archive.durationSec();
+    }
+
+    /**
+     * 最初の入力のアーカイブに保持できる長さ（秒）
+     */
+    archiveCapacitySec() {
+        return this.archive.capacitySec();
+    }
+
+    /**
+     * 断片の両端に fadeInMs / fadeOutMs の（半周期コサインの）フェードをかける
+     * @param {Float32Array} data その場で書き換える
+     * @param {number} sampleRate
+     */
+    applyFadeEnvelope(data, sampleRate) {
+        // Very short fragments: shrink both fades proportionally so they never overlap
+        let attack = Math.round(this.options.fadeInMs / 1000 * sampleRate);
+        let release = Math.round(this.options.fadeOutMs / 1000 * sampleRate);
+        if (attack + release > data.length) {
+            const scale = data.length / Math.max(1, attack + release);
+            attack = Math.floor(attack * scale);
+            release = Math.floor(release * scale);
+        }
+        for (let i = 0; i < attack; i++) data[i] *= 0.5 - 0.5 * Math.cos(Math.PI * i / attack);
+        for (let i = 0; i < release; i++) data[data.length - 1 - i] *= 0.5 - 0.5 * Math.cos(Math.PI * i / release);
+    }
+
+    /**
+     * すべての入力のアーカイブを空にする（バッファは再利用するので解放しない）
+     */
+    clearArchive() {
+        this.archives.forEach(archive => archive.clear());
+        this.emitArchive();
+    }
+
+    // --- コーパス ---
+
+    /**
+     * 音声ファイル1つ分をコーパスに加える（ライブと同じ解析で立ち上がりを探しておく）
+     * @param {string} name 表示名（ファイル名）
+     * @param {Float32Array} samples モノラルの音声（再生する AudioContext のサンプルレートに揃えたもの）
+     * @param {number} sampleRate
+     * @returns {SoundArchive|null} 短すぎて使えなければ null
+     */
+    addCorpus(name, samples, sampleRate) {
+        const { blockSize } = this.options;
+        const blocks = Math.floor(samples.length / blockSize);
+        if (blocks < 1) {
+            this.log(`コーパス: ${name} は短すぎるので使いません`);
+            return null;
+        }
+        const archive = this.createArchive({ id: `corpus:${++this.corpusSerial}`, label: name });
+        archive.configure(blocks * blockSize / sampleRate, sampleRate);
+        // ブロックの時刻は読み込んだ時点からの連番（経過時間の制限には使わない）
+        const t0 = this.now();
+        const blockMs = blockSize / sampleRate * 1000;
+        let onsets = 0;
+        for (let i = 0; i < blocks; i++) {
+            const block = samples.subarray(i * blockSize, (i + 1) * blockSize);
+            const analysis = analyzeBlock(block, archive.vadState, sampleRate, this.options);
+            if (analysis.flags & FLAG_ONSET) onsets++;
+            archive.write(block, t0 + i * blockMs, analysis);
+        }
+        this.corpus.push(archive);
+        this.log(`コーパス: ${name} (${formatDuration(archive.durationSec())}, 立ち上がり ${onsets} か所)`);
+        this.emitCorpus();
+        return archive;
+    }
+
+    /**
+     * コーパスを空にする（配列は手放す）
+     */
+    clearCorpus() {
+        if (this.corpus.length === 0) return;
+        this.corpus = [];
+        this.log('コーパスを空にしました');
+        this.emitCorpus();
+    }
+
+    emitCorpus() {
+        this.emit('corpus', { count: this.corpus.length, durationSec: this.corpusDurationSec() });
+    }
+
+    /**
+     * コーパスの合計の長さ（秒）
+     */
+    corpusDurationSec() {
+        return this.corpus.reduce((sum, archive) => sum + archive.durationSec(), 0);
+    }
+
+    /**
+     * コーパスのサンプルレート（空なら 0。ファイルごとに違えば最初のもの）
+     */
+    corpusSampleRate() {
+        return this.corpus.length > 0 ? this.corpus[0].sampleRate : 0;
+    }
+
+    /**
+     * 保存済みチャンクなどの中から断片の開始位置を探す（現在の解析設定と乱数で）
+     * @param {Int16Array|Float32Array} samples
+     * @param {number} sampleRate
+     * @param {number} length
+     */
+    pickOnsetInSamples(samples, sampleRate, length) {
+        return pickOnsetInSamples(samples, sampleRate, length, this.options, this.random, this.options.blockSize);
+    }
+
+    // --- 断片の選択 ---
+
+    /**
+     * 再生できる状態か（AudioContext が動いているか）
+     * @param {string} caller ログ用
+     */
+    canPlay(caller) {
+        const ctx = this.audioContext;
+        if (ctx && ctx.state === 'running') return true;
+        this.log(`再生スキップ: 条件未達 (${caller}: ${ctx ? `audioContext ${ctx.state}` : 'audioContext なし'})`);
+        return false;
+    }
+
+    /**
+     * 断片の長さ（秒）を segmentMinSec〜segmentMaxSec からランダムに決める
+     */
+    randomSegmentSec() {
+        return this.options.segmentMinSec + this.random() * (this.options.segmentMaxSec - this.options.segmentMinSec);
+    }
+
+    /**
+     * 断片を取る入力をランダムに選ぶ（まだ何も録れていない入力は除く）
+     * @returns {SoundArchive|null}
+     */
+    pickArchive() {
+        const filled = this.archives.filter(a => a.length > 0);
+        return filled.length > 0 ? filled[Math.floor(this.random() * filled.length)] : null;
+    }
+
+    /**
+     * コーパスのファイルを長さに比例した確率で選ぶ
+     * @returns {SoundArchive|null} コーパスが空なら null
+     */
+    pickCorpus() {
+        const total = this.corpus.reduce((sum, archive) => sum + archive.length, 0);
+        if (total === 0) return null;
+        let r = this.random() * total;
+        for (const archive of this.corpus) {
+            r -= archive.length;
+            if (r < 0) return archive;
+        }
+        return this.corpus[this.corpus.length - 1];
+    }
+
+    /**
+     * crossZone のとき、録れた入力とは別のゾーン（スピーカーの位置を持つ入力）を選ぶ
+     * @param {SoundArchive} archive 断片を取った入力
+     * @returns {string|null} 鳴らすゾーンの入力 ID（決めない場合は null）
+     */
+    pickOutputZone(archive) {
+        if (!this.options.crossZone) return null;
+        const others = this.archives.filter(a => a !== archive && a.pan !== null);
+        return others.length > 0 ? others[Math.floor(this.random() * others.length)].id : null;
+    }
+
+    /**
+     * 断片の再生指示に付ける入力の情報
+     * @param {SoundArchive} archive
+     */
+    zoneInfo(archive) {
+        return { input: archive.id, outputZone: this.pickOutputZone(archive) };
+    }
+
+    /**
+     * 断片の開始点になれるブロックを集める（コーパスなら経過時間を問わずファイル全体から）
+     * @param {SoundArchive} archive
+     * @returns {{candidateIndices: number[], limit: number}|null} limit はこれより先を読んではいけないサンプル位置
+     */
+    findCandidates(archive) {
+        if (!this.corpus.includes(archive)) return this.findLiveCandidates(archive);
+        const candidateIndices = this.collectCandidates(archive, 0, archive.length);
+        if (candidateIndices.length === 0) {
+            this.log(`再生スキップ: コーパス「${archive.label}」に発話の立ち上がりが見つかりません`);
+            return null;
+        }
+        return { candidateIndices, limit: archive.length * archive.blockSize };
+    }
+
+    /**
+     * ライブのアーカイブで断片の開始点になれるブロックを集める
+     * @param {SoundArchive} archive
+     * @returns {{candidateIndices: number[], limit: number}|null} limit はこれより先を読んではいけないサンプル位置
+     */
+    findLiveCandidates(archive) {
+        const segmentCount = archive.length;
+        const now = this.now();
+        const minAgeMs = this.minFragmentAgeMs();
+        // Blocks are in chronological order, so everything before eligibleEnd is old enough to feel like '過去'の音
+        let eligibleEnd = 0;
+        while (eligibleEnd < segmentCount && now - archive.blockTime(eligibleEnd) > minAgeMs) eligibleEnd++;
+        // The minimum age is a hard requirement (e.g. "at least 5 minutes old"), so skip rather than relax it
+        if (eligibleEnd === 0) {
+            this.log(`再生スキップ: ${Math.round(minAgeMs/1000)}s 以上前の音がまだありません (archiveLength=${segmentCount})`);
+            return null;
+        }
+        // 最大経過時間より古いブロックは使わない
+        const maxAgeMs = this.maxFragmentAgeMs();
+        let eligibleStart = 0;
+        while (eligibleStart < eligibleEnd && now - archive.blockTime(eligibleStart) > maxAgeMs) eligibleStart++;
+        if (eligibleStart === eligibleEnd) {
+            this.log(`再生スキップ: ${Math.round(minAgeMs/1000)}〜${Math.round(maxAgeMs/1000)}s 前の音がありません (archiveLength=${segmentCount})`);
+            return null;
+        }
+        const candidateIndices = this.collectCandidates(archive, eligibleStart, eligibleEnd);
+        if (candidateIndices.length === 0) {
+            this.log(`再生スキップ: 発話の立ち上がりが見つかりません (archiveLength=${segmentCount})`);
+            return null;
+        }
+        // 断片は最小経過時間の境界 (eligibleEnd) より前で必ず終わる: 最新→最古への折り返しは起こらない
+        return { candidateIndices, limit: eligibleEnd * archive.blockSize };
+    }
+
+    /**
+     * 範囲内で、発話の立ち上がりを含むブロックだけを候補にする（無音や発話の途中から始まらないように）
+     * ハウリング中に録音されたブロックは使わない
+     * @param {SoundArchive} archive
+     * @param {number} start
+     * @param {number} end このブロックの手前まで
+     * @returns {number[]}
+     */
+    collectCandidates(archive, start, end) {
+        const candidateIndices = [];
+        for (let i = start; i < end; i++) {
+            const flags = archive.blockFlags(i);
+            if (flags & FLAG_FEEDBACK) continue;
+            if (!this.options.onsetSelection || (flags & FLAG_ONSET)) candidateIndices.push(i);
+        }
+        return candidateIndices;
+    }
+
+    /**
+     * 候補ブロックから始まる断片の範囲（サンプル単位）を決める
+     * @param {SoundArchive} archive
+     * @param {number} onsetIndex 候補ブロック
+     * @param {number} limit これより先は読まない（findLiveCandidates の limit）
+     * @param {number} minLength 最短サンプル数（これより短くしか取れなければ null）
+     * @param {number} maxLength 最長サンプル数
+     * @param {number} [pauseFloor] このサンプル数を過ぎてから始まる間で切る（最初の息継ぎで短く切らない）
+     * @returns {{start: number, length: number, rms: number}|null}
+     */
+    fragmentSpanAt(archive, onsetIndex, limit, minLength, maxLength, pauseFloor = minLength) {
+        const sr = archive.sampleRate;
+        const { blockSize } = archive;
+        // include a little pre-roll so the consonant at the onset isn't clipped
+        const start = this.options.onsetSelection
+            ? Math.max(0, onsetIndex * blockSize + archive.onsetOffset(onsetIndex) - Math.round(this.options.onsetPrerollMs / 1000 * sr))
+            : onsetIndex * blockSize + Math.floor(this.random() * blockSize);
+        let length = Math.min(maxLength, limit - start);
+        // ハウリングの印が付いたブロックの手前で終える（プリロールで前のブロックに掛かる場合も含む）
+        const first = Math.floor(start / blockSize);
+        const feedbackAt = archive.findFlagAfter(first, Math.ceil((start + length) / blockSize), FLAG_FEEDBACK);
+        length = Math.min(length, feedbackAt * blockSize - start);
+        if (this.options.endAtPause) {
+            const searchFrom = Math.max(onsetIndex, Math.floor((start + pauseFloor) / blockSize));
+            const pauseAt = archive.findPauseAfter(searchFrom, Math.ceil((start + length) / blockSize), this.options.pauseMinMs);
+            // let the release fade run over the start of the pause
+            length = Math.min(length, Math.max(minLength, pauseAt * blockSize + Math.round(this.options.fadeOutMs / 1000 * sr) - start));
+        }
+        if (length < minLength) return null; // too close to the newest allowed sample (or to a feedback block)
+        const rms = archive.rangeRms(first, Math.ceil((start + length) / blockSize) - first);
+        return { start, length, rms };
+    }
+
+    /**
+     * 範囲をアーカイブから読み出し、フェードをかけた AudioBuffer にする
+     * @param {SoundArchive} archive
+     * @param {number} start
+     * @param {number} length
+     */
+    bufferFromRange(archive, start, length) {
+        const sr = archive.sampleRate;
+        const buffer = this.audioContext.createBuffer(1, length, sr);
+        const data = buffer.getChannelData(0);
+        const copied = archive.readRange(start, length, data);
+        this.applyFadeEnvelope(data, sr);
+        return { buffer, copied };
+    }
+
+    /**
+     * ライブ（またはコーパス）のアーカイブから断片を切り出して AudioBuffer にする
+     * @param {number} durationSec
+     * @param {SoundArchive} [archive] 省略時は最初の入力
+     * @returns {{buffer: AudioBuffer, spans: {t: number, sec: number}[]}|null} 条件を満たす音が無ければ null
+     */
+    buildLiveFragment(durationSec, archive = this.archive) {
+        if (archive.length === 0) {
+            this.log('再生スキップ: 条件未達（アーカイブが空）');
+            return null;
+        }
+
+        // 1. 候補（最小経過時間を満たす立ち上がり）
+        const found = this.findCandidates(archive);
+        if (!found) return null;
+        const { candidateIndices } = found;
+        const total = candidateIndices.length;
+
+        // 2. 開始位置と長さをサンプル単位で決める。小さすぎる音の断片は別の候補で選び直す
+        const sr = archive.sampleRate;
+        const maxLength = Math.max(1, Math.round(durationSec * sr));
+        const minLength = Math.min(maxLength, Math.round(this.options.pauseMinMs / 1000 * sr * 2));
+        const pauseFloor = Math.round(this.options.segmentMinSec * sr);
+        let span = null;
+        let rejected = 0;
+        for (let attempt = 0; attempt < 8 && candidateIndices.length > 0 && !span; attempt++) {
+            const pick = Math.floor(this.random() * candidateIndices.length);
+            span = this.fragmentSpanAt(archive, candidateIndices.splice(pick, 1)[0], found.limit, minLength, maxLength, pauseFloor);
+            if (span && span.rms < this.options.fragmentMinRms) {
+                rejected++;
+                span = null;
+            }
+        }
+        if (!span) {
+            this.log(`再生スキップ: 音量が小さすぎる断片のみ (${rejected} 件を除外)`);
+            return null;
+        }
+        const from = this.corpus.includes(archive) ? ` [コーパス: ${archive.label}]` : this.archives.length > 1 ? ` [${archive.label || archive.id}]` : '';
+        this.log(`選択${from}: ${span.start} samples 目から (候補数=${total}, 除外=${rejected}), archiveLength=${archive.length}`);
+        this.log(`再生長さ: ${(span.length / sr).toFixed(3)}s -> ${span.length} samples`);
+
+        // 3. リングバッファからデータをコピーし、クリックが出ないよう両端をフェード
+        const { buffer, copied } = this.bufferFromRange(archive, span.start, span.length);
+        this.log(`バッファ作成: 出力長 ${span.length}, コピー済み ${copied} samples`);
+        return { buffer, spans: [{ t: archive.sampleTime(span.start), sec: span.length / sr }] };
+    }
+
+    /**
+     * コラージュ: アーカイブのばらばらな時点から音節〜単語くらいの短い断片をいくつか取り、
+     * クロスフェードでつないで1つの「フレーズ」にする
+     * @param {SoundArchive} [archive] 省略時は最初の入力
+     * @returns {{buffer: AudioBuffer, spans: {t: number, sec: number}[]}|null}
+     */
+    buildCollage(archive = this.archive) {
+        const found = this.findCandidates(archive);
+        if (!found) return null;
+        const { candidateIndices } = found;
+        const o = this.options;
+
+        const sr = archive.sampleRate;
+        const count = o.collageCountMin + Math.floor(this.random() * (o.collageCountMax - o.collageCountMin + 1));
+        const spacingBlocks = Math.ceil(o.collageMinSpacingSec * sr / archive.blockSize);
+        const xfade = Math.round(o.collageCrossfadeMs / 1000 * sr);
+        const snippets = [];
+        while (snippets.length < count && candidateIndices.length > 0) {
+            const pick = Math.floor(this.random() * candidateIndices.length);
+            const index = candidateIndices.splice(pick, 1)[0];
+            // 別々の瞬間から取る（近すぎる候補は使わない）
+            if (snippets.some(sn => Math.abs(sn.index - index) < spacingBlocks)) continue;
+            const lengthMs = o.collageSnippetMinMs + this.random() * (o.collageSnippetMaxMs - o.collageSnippetMinMs);
+            const maxLength = Math.round(lengthMs / 1000 * sr);
+            const span = this.fragmentSpanAt(archive, index, found.limit, Math.min(maxLength, xfade * 3), maxLength);
+            if (!span || span.rms < o.fragmentMinRms) continue;
+            snippets.push(Object.assign({ index }, span));
+        }
+        if (snippets.length < 2) {
+            this.log(`コラージュ: 使える断片が足りません (${snippets.length}/${count})`);
+            return null;
+        }
+
+        // 並べた断片を xfade ずつ重ねる（等パワーのクロスフェード）
+        const totalLength = snippets.reduce((sum, sn) => sum + sn.length, 0) - xfade * (snippets.length - 1);
+        const buffer = this.audioContext.createBuffer(1, totalLength, sr);
+        const outputData = buffer.getChannelData(0);
+        let cursor = 0;
+        snippets.forEach((sn, k) => {
+            const piece = new Float32Array(sn.length);
+            archive.readRange(sn.start, sn.length, piece);
+            const fadeIn = k === 0 ? 0 : Math.min(xfade, sn.length);
+            const fadeOut = k === snippets.length - 1 ? 0 : Math.min(xfade, sn.length);
+            for (let i = 0; i < fadeIn; i++) piece[i] *= Math.sin(Math.PI / 2 * i / fadeIn);
+            for (let i = 0; i < fadeOut; i++) piece[sn.length - 1 - i] *= Math.sin(Math.PI / 2 * i / fadeOut);
+            for (let i = 0; i < sn.length && cursor + i < totalLength; i++) outputData[cursor + i] += piece[i];
+            cursor += sn.length - xfade;
+        });
+        // 全体の頭と終わりは通常の断片と同じフェード
+        this.applyFadeEnvelope(outputData, sr);
+        this.log(`コラージュ: ${snippets.length} 断片 / ${(totalLength / sr).toFixed(2)}s (${snippets.map(sn => `${(sn.length / sr * 1000).toFixed(0)}ms`).join(' + ')})`);
+        return { buffer, spans: snippets.map(sn => ({ t: archive.sampleTime(sn.start), sec: sn.length / sr })) };
+    }
+
+    /**
+     * アーカイブの指定位置から断片を切り出す（タイムラインのクリックから）
+     * 近くの立ち上がりに合わせて始める。操作者の明示的な指示なので最小経過時間は問わない
+     * @param {SoundArchive} archive
+     * @param {number} index 古い順のブロック位置
+     * @returns {{buffer: AudioBuffer, spans: {t: number, sec: number}[]}|null}
+     */
+    buildFragmentAt(archive, index) {
+        if (index < 0 || index >= archive.length) return null;
+        const sr = archive.sampleRate;
+        const { blockSize } = archive;
+        // 1秒前まで遡って立ち上がりを探す（無ければクリックした位置から）
+        let onsetIndex = index;
+        for (let i = index; i >= Math.max(0, index - Math.ceil(sr / blockSize)); i--) {
+            if (archive.blockFlags(i) & FLAG_ONSET) { onsetIndex = i; break; }
+        }
+        const maxLength = Math.max(1, Math.round(this.randomSegmentSec() * sr));
+        const minLength = Math.min(maxLength, Math.round(this.options.pauseMinMs / 1000 * sr * 2));
+        const span = this.fragmentSpanAt(archive, onsetIndex, archive.length * blockSize, minLength, maxLength, Math.round(this.options.segmentMinSec * sr));
+        if (!span) {
+            this.log('タイムライン: この位置からは十分な長さを取れません');
+            return null;
+        }
+        const { buffer } = this.bufferFromRange(archive, span.start, span.length);
+        return { buffer, spans: [{ t: archive.sampleTime(span.start), sec: span.length / sr }] };
+    }
+
+    // --- 再生の指示（'fragment' イベント） ---
+
+    /**
+     * 重みに従ってモードを選び、聞き間違いを1回発生させる
+     * @param {string} reason ログ用のきっかけ
+     */
+    trigger(reason) {
+        const modes = this.modes.filter(m => m.weight > 0);
+        if (modes.length === 0) return;
+        const total = modes.reduce((sum, m) => sum + m.weight, 0);
+        let r = this.random() * total;
+        let mode = modes[modes.length - 1];
+        for (const m of modes) {
+            r -= m.weight;
+            if (r <= 0) { mode = m; break; }
+        }
+        this.log(`トリガー (${reason}): ${mode.name}`);
+        this.emit('trigger', { reason, mode: mode.name });
+        mode.play(reason);
+    }
+
+    /**
+     * 名前でモードを取得
+     * @param {string} name
+     */
+    mode(name) {
+        return this.modes.find(m => m.name === name) || null;
+    }
+
+    /**
+     * アーカイブ（入力が複数あればランダムに選んだ1つ）からセグメントを選択して再生を指示する
+     * 永続アーカイブが使えるなら、一定の割合で以前のセッションの記憶から選ぶ。
+     * コーパスがあれば corpusRatio の割合で（ライブに使える音が無ければ必ず）コーパスから選ぶ
+     * @param {string} [reason] きっかけ（断片のメタデータに残す）
+     */
+    playFragment(reason) {
+        if (!this.canPlay('playFragment')) return;
+        const durationSec = this.randomSegmentSec();
+        const archive = this.pickArchive();
+        const corpus = this.pickCorpus();
+        const build = source => this.buildLiveFragment(durationSec, source);
+        if (corpus && this.random() < this.options.corpusRatio) {
+            this.playCorpus(corpus, 'fragment', reason, build);
+            return;
+        }
+
+        // 以前のセッションの記憶（最初の入力のアーカイブより前に終わっているチャンク）から選ぶか
+        // 最大経過時間（と保持期間）があれば、それより新しく始まったチャンクだけ
+        const oldestLive = this.archive.length > 0 ? this.archive.blockTime(0) : this.now();
+        const afterMs = this.now() - Math.min(this.maxFragmentAgeMs(), this.maxRetentionMs());
+        const persistedCount = this.persisted ? this.persisted.count(oldestLive, afterMs) : 0;
+        if (persistedCount > 0 && (!archive || this.random() < this.persisted.ratio())) {
+            this.persisted.pick(durationSec, oldestLive, afterMs, this.random, this.now()).then(fragment => {
+                const ctx = this.audioContext;
+                if (!fragment || !ctx || ctx.state !== 'running') return;
+                const buffer = ctx.createBuffer(1, fragment.samples.length, fragment.sampleRate);
+                buffer.getChannelData(0).set(fragment.samples);
+                this.applyFadeEnvelope(buffer.getChannelData(0), fragment.sampleRate);
+                this.log(`保存された記憶から選択: ${new Date(fragment.t).toLocaleString()} の音 (候補チャンク=${persistedCount})`);
+                this.emitFragment(buffer, { reason, mode: 'fragment', source: 'persisted', spans: [{ t: fragment.t, sec: fragment.samples.length / fragment.sampleRate }] });
+            }).catch(e => {
+                this.log(`保存された記憶の読み込みに失敗しました (${e && e.name ? e.name : e})`);
+            });
+            return;
+        }
+
+        if (!archive) {
+            if (corpus) {
+                this.playCorpus(corpus, 'fragment', reason, build);
+                return;
+            }
+            this.log('再生スキップ: 条件未達（アーカイブが空）');
+            return;
+        }
+        const fragment = build(archive);
+        if (fragment) this.emitFragment(fragment.buffer, Object.assign({ reason, mode: 'fragment', source: 'live', spans: fragment.spans }, this.zoneInfo(archive)));
+        else if (corpus) this.playCorpus(corpus, 'fragment', reason, build);
+    }
+
+    /**
+     * コラージュを作って再生を指示する
+     * @param {string} [reason]
+     */
+    playCollage(reason) {
+        if (!this.canPlay('playCollage')) return;
+        const archive = this.pickArchive();
+        const corpus = this.pickCorpus();
+        const build = source => this.buildCollage(source);
+        if (corpus && (!archive || this.random() < this.options.corpusRatio)) {
+            this.playCorpus(corpus, 'collage', reason, build);
+            return;
+        }
+        if (!archive) return;
+        const collage = build(archive);
+        if (collage) this.emitFragment(collage.buffer, Object.assign({ reason, mode: 'collage', source: 'live', spans: collage.spans }, this.zoneInfo(archive)));
+        else if (corpus) this.playCorpus(corpus, 'collage', reason, build);
+    }
+
+    /**
+     * コーパスのファイルから作って再生を指示する。
+     * 録音時刻は無いので spans は空にし、代わりに corpus（ファイル名とファイル内の位置）を付ける
+     * @param {SoundArchive} corpus pickCorpus() で選んだファイル
+     * @param {string} mode 'fragment' | 'collage'
+     * @param {string} [reason]
+     * @param {(archive: SoundArchive) => ({buffer: AudioBuffer, spans: {t: number, sec: number}[]}|null)} build
+     */
+    playCorpus(corpus, mode, reason, build) {
+        const built = build(corpus);
+        if (!built) return;
+        const origin = corpus.sampleTime(0);
+        const offsetSec = built.spans.map(span => Math.round((span.t - origin) / 100) / 10);
+        this.emitFragment(built.buffer, {
+            reason, mode, source: 'corpus', spans: [],
+            corpus: { name: corpus.label, offsetSec, spanSec: built.spans.map(span => span.sec) },
+            input: null, outputZone: this.pickOutputZone(corpus),
+        });
+    }
+
+    /**
+     * 指定位置から再生を指示する（タイムラインのクリック）
+     * @param {number} index 古い順のブロック位置
+     * @param {boolean} audition true なら演出なしで試聴
+     * @param {string} [inputId] 省略時は最初の入力
+     */
+    playAt(index, audition, inputId) {
+        if (!this.canPlay('playAt')) return;
+        const archive = inputId === undefined ? this.archive : this.input(inputId);
+        if (!archive) return;
+        const fragment = this.buildFragmentAt(archive, index);
+        if (!fragment) return;
+        const span = fragment.spans[0];
+        this.log(`タイムライン: ${formatDuration((this.now() - span.t) / 1000)} 前の音を${audition ? '試聴' : '聞き間違いとして再生'} (${span.sec.toFixed(2)}s)`);
+        this.emitFragment(fragment.buffer, { reason: audition ? 'タイムライン (試聴)' : 'タイムライン', mode: 'fragment', source: 'live', spans: fragment.spans, dry: audition, input: archive.id, outputZone: null });
+    }
+
+    /**
+     * 断片を匿名化し（有効なら。コーパスの断片は除く）、ラウドネスを測って補正量を info に足し、
+     * 'fragment' として再生を指示する
+     * @param {AudioBuffer} buffer
+     * @param {object} info
+     */
+    emitFragment(buffer, info) {
+        const o = this.options;
+        if (info.source !== 'corpus') {
+            const data = buffer.getChannelData(0);
+            const anonymized = anonymizeSamples(data, buffer.sampleRate, o, this.random);
+            if (anonymized) {
+                data.set(anonymized.samples);
+                info.anonymized = anonymized.description;
+                this.log(`匿名化: ${anonymized.description}`);
+            }
+        }
+        const loudnessDb = measureLoudness(buffer.getChannelData(0), buffer.sampleRate);
+        let loudnessGainDb = 0;
+        if (o.loudnessNormalize && Number.isFinite(loudnessDb)) {
+            loudnessGainDb = Math.max(-o.loudnessMaxCutDb, Math.min(o.loudnessMaxBoostDb, o.loudnessTargetDb - loudnessDb));
+            loudnessGainDb = Math.round(loudnessGainDb * 10) / 10;
+            this.log(`ラウドネス: ${loudnessDb.toFixed(1)}dB → 補正 ${loudnessGainDb >= 0 ? '+' : ''}${loudnessGainDb.toFixed(1)}dB`);
+        }
+        info.loudnessDb = Number.isFinite(loudnessDb) ? Math.round(loudnessDb * 10) / 10 : null;
+        info.loudnessGainDb = loudnessGainDb;
+        this.emit('fragment', { buffer, info });
+    }
+
+    /**
+     * 再生側から: 断片の再生が始まった / 終わった（同時再生数の管理）
+     */
+    fragmentStarted() {
+        this.activeFragments++;
+    }
+
+    fragmentEnded() {
+        this.activeFragments = Math.max(0, this.activeFragments - 1);
+    }
+
+    // --- トリガー ---
+
+    /**
+     * 名前で戦略を取得
+     * @param {string} name
+     */
+    triggerStrategy(name) {
+        return this.scheduler.strategy(name);
+    }
+
+    /**
+     * 「triggerCheckInterval ごとに triggerProbability の確率」をポアソン戦略の平均間隔に換算
+     * （スコアのセクションが triggersPerHour を持っていればそちら）
+     */
+    applyTriggerRate() {
+        const poisson = this.triggerStrategy('poisson');
+        if (!poisson) return;
+        const current = this.section && this.section.section;
+        if (current && current.triggersPerHour > 0) {
+            poisson.params.meanSec = 3600 / current.triggersPerHour;
+            return;
+        }
+        const p = Math.min(0.999, Math.max(0.001, this.options.triggerProbability));
+        poisson.params.meanSec = this.options.triggerCheckInterval / 1000 / -Math.log(1 - p);
+    }
+
+    /**
+     * 以前のセッションの記憶が再生候補として使えるか
+     */
+    hasPersistedMemory() {
+        return !!this.persisted && this.persisted.count(this.now(), this.now() - Math.min(this.maxFragmentAgeMs(), this.maxRetentionMs())) > 0;
+    }
+
+    /**
+     * スケジューラに渡す現在の状態（再生の可否・同時再生数・直近の入力）
+     */
+    sense() {
+        // 入力が複数なら、いちばん大きい入力の音量と、どこかで話しているか
+        let inputRms = 0;
+        let voice = false;
+        for (const archive of this.archives) {
+            const latest = archive.length - 1;
+            if (latest < 0) continue;
+            inputRms = Math.max(inputRms, archive.blockRms(latest));
+            if (archive.blockFlags(latest) & FLAG_VOICE) voice = true;
+        }
+        const ctx = this.audioContext;
+        return {
+            ready: !!ctx && ctx.state === 'running' && (this.archives.some(a => a.length > 0) || this.corpus.length > 0 || this.hasPersistedMemory()),
+            playing: this.activeFragments,
+            inputRms,
+            voice,
+        };
+    }
+
+    /**
+     * トリガーのスケジューラを開始（ランダム・最大間隔の保証・クールダウンなどはすべて戦略）
+     * スコアがあれば、ここから経過時間を数えて tick ごとにセクションを確かめる
+     * @param {boolean} [continueScore] 作り直しなどでの再開: スコアの経過時間を数え直さない
+     */
+    startScheduler(continueScore = false) {
+        if (!continueScore || !this.scoreStartedAt) this.scoreStartedAt = this.now();
+        this.updateSection();
+        this.applyTriggerRate();
+        this.scheduler.start(() => {
+            this.updateSection();
+            return this.sense();
+        }, reason => this.trigger(reason));
+    }
+
+    /**
+     * スケジューラを止める（スコアが上書きしていた値は元に戻す）
+     */
+    stopScheduler() {
+        this.scheduler.stop();
+        this.releaseSection();
+    }
+
+    // --- スコア ---
+
+    /**
+     * スコアを設定する（null で解除）。スケジューラが動いていれば今から最初のセクションを始める
+     * @param {object|null} score parseScore() の結果
+     */
+    setScore(score) {
+        this.releaseSection();
+        this.score = score;
+        if (score) this.log(`スコア: ${score.name ? `「${score.name}」` : ''}${score.sections.length} セクション${score.loop ? '（繰り返し）' : ''}`);
+        else this.log('スコアを解除しました');
+        if (score && this.scheduler.timer !== null) {
+            this.scoreStartedAt = this.now();
+            this.updateSection();
+        }
+    }
+
+    /**
+     * スコアの開始からの秒数
+     */
+    scoreElapsedSec() {
+        return (this.now() - this.scoreStartedAt) / 1000;
+    }
+
+    /**
+     * 経過時間に当たるセクションに切り替える（変わっていなければ何もしない）
+     */
+    updateSection() {
+        if (!this.score) return;
+        const entry = sectionAt(this.score, this.scoreElapsedSec());
+        if (this.section && this.section.index === entry.index && this.section.cycle === entry.cycle) return;
+        const first = !this.section;
+        this.section = entry;
+        this.applySection(entry.section);
+        const count = this.score.sections.length;
+        const length = Number.isFinite(entry.endSec) ? ` ${formatDuration(entry.endSec - entry.startSec)}` : '';
+        this.log(`スコア: セクション「${entry.section.name}」 (${entry.index + 1}/${count})${length}`);
+        // 切り替わりは発火後と同じく、最大間隔などを新しい値で数え直す
+        if (!first && this.scheduler.timer !== null) this.scheduler.resetStrategies(this.now(), false);
+        this.emit('section', Object.assign({ count }, entry));
+    }
+
+    /**
+     * セクションの値をトリガーと断片の選択に反映する。書いていない値はスコアが始まる前の値に戻す
+     * @param {object} section parseScore() のセクション
+     */
+    applySection(section) {
+        if (!this.scoreBaseline) this.scoreBaseline = this.captureScoreBaseline();
+        const base = this.scoreBaseline;
+        const maxGap = this.triggerStrategy('maxGap');
+        if (maxGap) {
+            maxGap.enabled = section.maxGap === undefined ? base.maxGap.enabled : section.maxGap !== false;
+            maxGap.params.minSec = section.maxGap ? section.maxGap.minSec : base.maxGap.minSec;
+            maxGap.params.maxSec = section.maxGap ? section.maxGap.maxSec : base.maxGap.maxSec;
+        }
+        const minGap = this.triggerStrategy('minGap');
+        if (minGap) minGap.params.sec = section.cooldownSec === undefined ? base.cooldownSec : section.cooldownSec;
+        const fragment = this.mode('fragment');
+        const collage = this.mode('collage');
+        if (fragment && collage) {
+            fragment.weight = section.collage === undefined ? base.fragmentWeight : 1 - section.collage;
+            collage.weight = section.collage === undefined ? base.collageWeight : section.collage;
+        }
+        let minAge = section.fragmentAge ? section.fragmentAge.minSec : base.minFragmentAge;
+        // 設定画面では受け付けない値なので、保持期間に収める
+        const clamped = section.fragmentAge ? SoramimiEngine.clampMinFragmentAge(minAge, this.options.maxRetention) : null;
+        if (clamped !== null) {
+            this.log(`スコア: 「${section.name}」の最小経過時間 ${formatDuration(minAge)} が保持期間 ${formatDuration(clamped * 2)} より長いため ${formatDuration(clamped)} に縮めます`);
+            minAge = clamped;
+        }
+        this.options.minFragmentAge = minAge;
+        this.options.maxFragmentAge = section.fragmentAge && Number.isFinite(section.fragmentAge.maxSec) ? section.fragmentAge.maxSec : base.maxFragmentAge;
+        this.applyTriggerRate();
+    }
+
+    /**
+     * スコアが上書きする値の、上書き前の状態
+     */
+    captureScoreBaseline() {
+        const maxGap = this.triggerStrategy('maxGap');
+        const minGap = this.triggerStrategy('minGap');
+        const fragment = this.mode('fragment');
+        const collage = this.mode('collage');
+        return {
+            maxGap: maxGap ? { enabled: maxGap.enabled, minSec: maxGap.params.minSec, maxSec: maxGap.params.maxSec } : null,
+            cooldownSec: minGap ? minGap.params.sec : 0,
+            fragmentWeight: fragment ? fragment.weight : 0,
+            collageWeight: collage ? collage.weight : 0,
+            minFragmentAge: this.options.minFragmentAge,
+            maxFragmentAge: this.options.maxFragmentAge,
+        };
+    }
+
+    /**
+     * 進行中のセクションをやめ、スコアが上書きしていた値を戻す
+     */
+    releaseSection() {
+        if (!this.section) return;
+        this.applySection({});
+        this.section = null;
+        this.scoreBaseline = null;
+        this.applyTriggerRate();
+        this.emit('section', { index: -1, count: this.score ? this.score.sections.length : 0, cycle: 0, section: null, startSec: 0, endSec: 0 });
+    }
+
+    /**
+     * 停止時: スケジューラを止め、アーカイブと再生数を空にする
+     */
+    reset() {
+        this.stopScheduler();
+        this.clearArchive();
+        this.activeFragments = 0;
+    }
+}
+
+SoramimiEngine.FLAG_VOICE = FLAG_VOICE;
+SoramimiEngine.FLAG_ONSET = FLAG_ONSET;
+SoramimiEngine.FLAG_FEEDBACK = FLAG_FEEDBACK;
+SoramimiEngine.FeedbackDetector = FeedbackDetector;
+SoramimiEngine.parseDurationSec = parseDurationSec;
+SoramimiEngine.formatDuration = formatDuration;
+SoramimiEngine.formatClockMin = formatClockMin;
+SoramimiEngine.SCORE_FORMAT = SCORE_FORMAT;
+SoramimiEngine.parseScore = parseScore;
+SoramimiEngine.isOpenAt = isOpenAt;
+SoramimiEngine.nextHoursChange = nextHoursChange;
+SoramimiEngine.ANONYMIZE_MODES = ANONYMIZE_MODES;
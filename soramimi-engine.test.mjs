@@ -0,0 +1,643 @@
+// --- [SoramimiEngine のテスト] ---
+//
+// ブラウザなしで、断片の選択・除外の規則（複数の入力・コーパスを含む）・アーカイブの折り返し・プライバシー（保持期間・消去・匿名化の下限）・
+// スコア（セクション・開場時間）・トリガーのタイミングを決定的に確かめる。
+// 時計・乱数・タイマー・AudioContext はすべて差し替える（FakeAudioContext は OfflineAudioContext の代わり）。
+//
+//   node --test soramimi-engine.test.mjs
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { SoramimiEngine } from './soramimi-engine.js';
+import { TriggerScheduler, createDefaultTriggerStrategies } from './soramimi-scheduler.js';
+import { parseScore, sectionAt, isOpenAt, nextHoursChange, SCORE_FORMAT } from './soramimi-score.js';
+import { anonymizeSamples } from './soramimi-anonymize.js';
+
+const SAMPLE_RATE = 8000;
+const BLOCK_SIZE = 800; // 0.1s
+
+// --- 差し替え ---
+
+class FakeAudioBuffer {
+    constructor(numberOfChannels, length, sampleRate) {
+        this.numberOfChannels = numberOfChannels;
+        this.length = length;
+        this.sampleRate = sampleRate;
+        this.duration = length / sampleRate;
+        this.channels = Array.from({ length: numberOfChannels }, () => new Float32Array(length));
+    }
+
+    getChannelData(channel) {
+        return this.channels[channel];
+    }
+}
+
+class FakeAudioContext {
+    constructor(sampleRate = SAMPLE_RATE) {
+        this.sampleRate = sampleRate;
+        this.state = 'running';
+        this.currentTime = 0;
+    }
+
+    createBuffer(numberOfChannels, length, sampleRate) {
+        return new FakeAudioBuffer(numberOfChannels, length, sampleRate);
+    }
+}
+
+/**
+ * 決まった系列を返す乱数（線形合同法）
+ * @param {number} seed
+ */
+function seededRandom(seed) {
+    let s = seed;
+    return () => (s = (s * 16807) % 2147483647) / 2147483647;
+}
+
+/**
+ * 時計を進められる engine
+ * @param {object} [options] ENGINE_DEFAULTS の上書き
+ * @param {number} [seed]
+ */
+function createTestEngine(options = {}, seed = 1, deps = {}) {
+    const clock = { t: 1e12 };
+    const engine = new SoramimiEngine(Object.assign({
+        audioContext: new FakeAudioContext(),
+        now: () => clock.t,
+        random: seededRandom(seed),
+        timers: { setInterval: () => 1, clearInterval() {} },
+        options: Object.assign({ blockSize: BLOCK_SIZE, chunkBlocks: 4, archiveDuration: '60s' }, options),
+    }, deps));
+    const logs = [];
+    engine.on('log', ({ message }) => logs.push(message));
+    engine.configureArchive(SAMPLE_RATE);
+    return { engine, clock, logs };
+}
+
+/**
+ * ブロックを count 個書き込み、1ブロックごとに時計を進める
+ * @param {{engine: SoramimiEngine, clock: {t: number}}} env
+ * @param {number} count
+ * @param {(index: number) => number} level ブロックごとの振幅
+ */
+function writeBlocks({ engine, clock }, count, level) {
+    const random = seededRandom(7);
+    for (let b = 0; b < count; b++) {
+        const block = new Float32Array(BLOCK_SIZE);
+        const amplitude = level(b);
+        for (let i = 0; i < BLOCK_SIZE; i++) block[i] = (random() * 2 - 1) * amplitude;
+        engine.writeBlock(block);
+        clock.t += BLOCK_SIZE / SAMPLE_RATE * 1000;
+    }
+}
+
+// 0.5s 話して 0.5s 黙る、の繰り返し
+const speech = b => (Math.floor(b / 5) % 2 === 0 ? 0.3 : 0.0003);
+
+// --- 除外の規則 ---
+
+test('findLiveCandidates: 最小経過時間より新しい音は使わない', () => {
+    const env = createTestEngine({ minFragmentAge: '4s', onsetSelection: false });
+    writeBlocks(env, 100, speech); // 10s
+    const { engine, clock } = env;
+    const found = engine.findLiveCandidates(engine.archive);
+    assert.ok(found);
+    for (const index of found.candidateIndices) {
+        assert.ok(clock.t - engine.archive.blockTime(index) > 4000, `block ${index} is too new`);
+    }
+    // 最小経過時間の境界より先は読ませない
+    const newest = Math.max(...found.candidateIndices);
+    assert.equal(found.limit, (newest + 1) * BLOCK_SIZE);
+    assert.ok(clock.t - engine.archive.blockTime(newest + 1) <= 4000);
+});
+
+test('findLiveCandidates: 最大経過時間より古い音は使わない', () => {
+    const env = createTestEngine({ minFragmentAge: '2s', maxFragmentAge: '5s', onsetSelection: false });
+    writeBlocks(env, 100, speech);
+    const { engine, clock } = env;
+    const found = engine.findLiveCandidates(engine.archive);
+    assert.ok(found);
+    const ages = found.candidateIndices.map(index => clock.t - engine.archive.blockTime(index));
+    assert.ok(ages.every(age => age > 2000 && age <= 5000), `ages out of range: ${Math.min(...ages)}..${Math.max(...ages)}`);
+    assert.equal(found.candidateIndices.length, 30);
+});
+
+test('findLiveCandidates: 条件を満たす音が無ければ null（条件は緩めない）', () => {
+    const env = createTestEngine({ minFragmentAge: '30s' });
+    writeBlocks(env, 100, speech);
+    assert.equal(env.engine.findLiveCandidates(env.engine.archive), null);
+    assert.match(env.logs.at(-1), /30s 以上前の音がまだありません/);
+});
+
+test('findLiveCandidates: 立ち上がりのあるブロックだけが候補', () => {
+    const env = createTestEngine({ minFragmentAge: '1s' });
+    writeBlocks(env, 100, speech);
+    const { engine } = env;
+    const found = engine.findLiveCandidates(engine.archive);
+    assert.ok(found);
+    // 発話は 10 ブロックごとに始まる
+    assert.ok(found.candidateIndices.length > 0);
+    assert.ok(found.candidateIndices.every(index => index % 10 === 0), found.candidateIndices.join(','));
+});
+
+test('findLiveCandidates: ハウリング中（と検出の直前）に録ったブロックは候補にも断片にもしない', () => {
+    const env = createTestEngine({ minFragmentAge: '1s' });
+    const { engine, clock } = env;
+    writeBlocks(env, 35, speech);
+    // 検出は遅れるので、0.25s 前から印を付ける（最後の 2 ブロック: 33, 34）
+    engine.setFeedback(true, clock.t - 250);
+    writeBlocks(env, 20, speech); // 35..54（立ち上がりは 35, 45）
+    engine.setFeedback(false);
+    writeBlocks(env, 45, speech); // 55..99（立ち上がりは 55, 65, ...）
+    const archive = engine.archive;
+    const flagged = [];
+    for (let i = 0; i < archive.length; i++) {
+        if (archive.blockFlags(i) & SoramimiEngine.FLAG_FEEDBACK) flagged.push(i);
+    }
+    assert.deepEqual(flagged, Array.from({ length: 22 }, (_, i) => 33 + i));
+    assert.match(env.logs.find(message => /ハウリング/.test(message)), /直前の 2 ブロック/);
+
+    // 立ち上がり 35, 45 はハウリング中なので使わない（95 は最小経過時間より新しい）
+    const found = engine.findLiveCandidates(archive);
+    assert.deepEqual(found.candidateIndices, [0, 10, 20, 30, 55, 65, 75, 85]);
+    // 直前の立ち上がり 30 から始まる断片も、印の付いたブロックの手前で終わる
+    for (const index of found.candidateIndices) {
+        const span = engine.fragmentSpanAt(archive, index, found.limit, 1, 5 * SAMPLE_RATE, 1);
+        if (!span) continue;
+        const last = Math.ceil((span.start + span.length) / BLOCK_SIZE) - 1;
+        assert.ok(!flagged.some(i => i >= Math.floor(span.start / BLOCK_SIZE) && i <= last), `span from ${index} reaches block ${last}`);
+    }
+
+    engine.options.onsetSelection = false;
+    const all = engine.findLiveCandidates(archive).candidateIndices;
+    assert.ok(all.length > 0 && all.every(index => !flagged.includes(index)));
+});
+
+// --- アーカイブの折り返し ---
+
+test('readRange: 容量を超えて書いた後も古い順に読める', () => {
+    const env = createTestEngine({ archiveDuration: '1s' }); // 10 ブロック
+    const { engine } = env;
+    const archive = engine.archive;
+    assert.equal(archive.capacity, 10);
+    // ブロック b は一定値 (b + 1) / 100
+    for (let b = 0; b < 23; b++) {
+        engine.writeBlock(new Float32Array(BLOCK_SIZE).fill((b + 1) / 100));
+        env.clock.t += 100;
+    }
+    assert.equal(archive.length, 10);
+    const out = new Float32Array(archive.length * BLOCK_SIZE);
+    assert.equal(archive.readRange(0, out.length, out), out.length);
+    for (let i = 0; i < 10; i++) {
+        // 最も古いのは 14 番目に書いたブロック (b = 13)
+        assert.ok(Math.abs(out[i * BLOCK_SIZE] - (i + 14) / 100) < 1e-3, `block ${i}: ${out[i * BLOCK_SIZE]}`);
+        assert.ok(Math.abs(out[(i + 1) * BLOCK_SIZE - 1] - (i + 14) / 100) < 1e-3);
+    }
+    assert.ok(archive.blockTime(0) < archive.blockTime(9));
+});
+
+test('readRange: ブロック境界の途中から読み、最新より先へは折り返さない', () => {
+    const env = createTestEngine({ archiveDuration: '1s' });
+    const { engine } = env;
+    const archive = engine.archive;
+    for (let b = 0; b < 15; b++) {
+        engine.writeBlock(new Float32Array(BLOCK_SIZE).fill((b + 1) / 100));
+        env.clock.t += 100;
+    }
+    const across = new Float32Array(20);
+    assert.equal(archive.readRange(BLOCK_SIZE - 10, 20, across), 20);
+    assert.ok(Math.abs(across[9] - 0.06) < 1e-3 && Math.abs(across[10] - 0.07) < 1e-3);
+
+    const tail = new Float32Array(BLOCK_SIZE * 2).fill(9);
+    const copied = archive.readRange(9 * BLOCK_SIZE + 100, tail.length, tail);
+    assert.equal(copied, BLOCK_SIZE - 100);
+    assert.ok(Math.abs(tail[copied - 1] - 0.15) < 1e-3);
+    assert.equal(tail[copied], 9); // 最古のブロックには戻らない
+});
+
+test('configure: 容量を変えたら、新しい方を引き継ぎ、古いバッファは 0 で上書きする', () => {
+    const env = createTestEngine({ archiveDuration: '2s' }); // 20 ブロック
+    const archive = env.engine.archive;
+    for (let b = 0; b < 20; b++) {
+        archive.write(new Float32Array(BLOCK_SIZE).fill((b + 1) / 100), env.clock.t, { rms: 0, flags: 0, onsetOffset: 0 });
+        env.clock.t += 100;
+    }
+    const oldChunks = archive.chunks.slice();
+    assert.ok(archive.configure(1, SAMPLE_RATE));
+    assert.equal(archive.length, 10);
+    const out = new Float32Array(BLOCK_SIZE);
+    archive.readRange(0, BLOCK_SIZE, out);
+    assert.ok(Math.abs(out[0] - 0.11) < 1e-3);
+    assert.ok(oldChunks.every(chunk => chunk.every(v => v === 0)));
+});
+
+// --- 断片の選択 ---
+
+test('playFragment: 同じ乱数の系列なら同じ断片を選ぶ', () => {
+    const pick = () => {
+        const env = createTestEngine({ minFragmentAge: '2s' }, 42);
+        writeBlocks(env, 150, speech);
+        const fragments = [];
+        env.engine.on('fragment', ({ buffer, info }) => fragments.push({ length: buffer.length, t: info.spans[0].t }));
+        for (let i = 0; i < 5; i++) env.engine.playFragment('test');
+        return { fragments, now: env.clock.t };
+    };
+    const a = pick();
+    const b = pick();
+    assert.equal(a.fragments.length, 5);
+    assert.deepEqual(a.fragments, b.fragments);
+    for (const fragment of a.fragments) {
+        assert.ok(a.now - fragment.t > 2000);
+        // segmentMinSec〜segmentMaxSec（間で切っても segmentMinSec より短くはしない）
+        assert.ok(fragment.length >= 2 * SAMPLE_RATE && fragment.length <= 5 * SAMPLE_RATE, `length ${fragment.length}`);
+    }
+});
+
+test('playFragment: 立ち上がりの直後に間があっても、断片は segmentMinSec より短くしない', () => {
+    // 0.3s 話して 0.5s の間、1.2s 話して 0.5s の間（2.5s ごとに繰り返す）
+    const shortBreath = b => (b % 25 < 3 || (b % 25 >= 8 && b % 25 < 20) ? 0.3 : 0.0003);
+    const env = createTestEngine({ minFragmentAge: '2s' }, 5);
+    writeBlocks(env, 150, shortBreath);
+    const { engine } = env;
+
+    // 直後に間がある立ち上がりから: 最初の間では切らず、segmentMinSec を過ぎた後の間で切る
+    const sr = SAMPLE_RATE;
+    const found = engine.findCandidates(engine.archive);
+    const onset = found.candidateIndices.find(index => index % 25 === 0);
+    assert.notEqual(onset, undefined);
+    const span = engine.fragmentSpanAt(engine.archive, onset, found.limit, Math.round(0.25 * 2 * sr), 5 * sr, 2 * sr);
+    assert.ok(span.length >= 2 * sr && span.length < 5 * sr, `length ${span.length}`);
+
+    const lengths = [];
+    engine.on('fragment', ({ buffer }) => lengths.push(buffer.length));
+    for (let i = 0; i < 10; i++) engine.playFragment('test');
+    assert.equal(lengths.length, 10);
+    for (const length of lengths) assert.ok(length >= 2 * sr && length <= 5 * sr, `length ${length}`);
+});
+
+test('playFragment: 入力が複数あれば、録れた入力から選び、crossZone なら別のゾーンで鳴らす', () => {
+    const env = createTestEngine({ minFragmentAge: '2s', crossZone: true }, 11);
+    const { engine, clock } = env;
+    engine.setInputs([{ id: 'a', label: '入口', pan: -1 }, { id: 'b', label: '奥', pan: 1 }]);
+    assert.equal(engine.input('b').capacity, engine.input('a').capacity);
+    // 入口は大きな声 (0.3)、奥は小さな声 (0.1)
+    const random = seededRandom(7);
+    for (let b = 0; b < 150; b++) {
+        for (const [id, gain] of [['a', 1], ['b', 1 / 3]]) {
+            const block = new Float32Array(BLOCK_SIZE);
+            for (let i = 0; i < BLOCK_SIZE; i++) block[i] = (random() * 2 - 1) * speech(b) * gain;
+            engine.writeBlock(block, id);
+        }
+        clock.t += BLOCK_SIZE / SAMPLE_RATE * 1000;
+    }
+    const fragments = [];
+    engine.on('fragment', ({ buffer, info }) => fragments.push({ info, peak: buffer.getChannelData(0).reduce((m, v) => Math.max(m, Math.abs(v)), 0) }));
+    for (let i = 0; i < 20; i++) engine.playFragment('test');
+    assert.equal(fragments.length, 20);
+    const inputs = new Set(fragments.map(f => f.info.input));
+    assert.deepEqual([...inputs].sort(), ['a', 'b']);
+    for (const { info, peak } of fragments) {
+        // 断片の音は選んだ入力のもの
+        assert.ok(info.input === 'a' ? peak > 0.15 : peak < 0.11, `${info.input}: peak ${peak}`);
+        assert.equal(info.outputZone, info.input === 'a' ? 'b' : 'a');
+    }
+
+    // 入力を外すと、その入力からは選ばない。残った入力は録れた音ごと引き継ぐ
+    const kept = engine.input('b');
+    engine.setInputs([{ id: 'b', label: '奥', pan: 1 }]);
+    assert.equal(engine.archive, kept);
+    assert.equal(kept.length, 150);
+    assert.equal(engine.input('a'), null);
+    fragments.length = 0;
+    for (let i = 0; i < 5; i++) engine.playFragment('test');
+    assert.equal(fragments.length, 5);
+    assert.ok(fragments.every(f => f.info.input === 'b' && f.info.outputZone === null));
+});
+
+/**
+ * 話し声の並び (speech) の音声ファイル
+ * @param {number} blocks
+ */
+function speechSamples(blocks) {
+    const random = seededRandom(13);
+    const samples = new Float32Array(blocks * BLOCK_SIZE);
+    for (let i = 0; i < samples.length; i++) samples[i] = (random() * 2 - 1) * speech(Math.floor(i / BLOCK_SIZE));
+    return samples;
+}
+
+test('playFragment: ライブの音が無ければコーパスだけから選び、コーパスの断片は匿名化しない', () => {
+    const run = anonymize => {
+        const env = createTestEngine({ anonymize }, 3);
+        env.engine.addCorpus('voice.wav', speechSamples(100), SAMPLE_RATE);
+        const fragments = [];
+        env.engine.on('fragment', ({ buffer, info }) => fragments.push({ samples: Array.from(buffer.getChannelData(0)), info }));
+        for (let i = 0; i < 5; i++) env.engine.playFragment('test');
+        return { fragments, logs: env.logs };
+    };
+    const { fragments, logs } = run('shift');
+    assert.equal(fragments.length, 5);
+    for (const { info } of fragments) {
+        assert.equal(info.source, 'corpus');
+        assert.deepEqual(info.spans, []);
+        assert.equal(info.corpus.name, 'voice.wav');
+        assert.equal(info.anonymized, undefined);
+    }
+    assert.ok(!logs.some(message => /^匿名化/.test(message)));
+    // 匿名化を切ったときと同じ音（加工も乱数の消費もしない）
+    assert.deepEqual(fragments.map(f => f.samples), run('off').fragments.map(f => f.samples));
+});
+
+test('playFragment: ライブの音もあれば corpusRatio の割合でコーパスから選び、ライブの断片だけ匿名化する', () => {
+    const run = corpusRatio => {
+        const env = createTestEngine({ minFragmentAge: '2s', anonymize: 'shift', corpusRatio }, 9);
+        writeBlocks(env, 150, speech);
+        env.engine.addCorpus('voice.wav', speechSamples(100), SAMPLE_RATE);
+        const sources = [];
+        env.engine.on('fragment', ({ info }) => {
+            sources.push(info.source);
+            assert.equal(info.anonymized !== undefined, info.source === 'live');
+        });
+        for (let i = 0; i < 100; i++) env.engine.playFragment('test');
+        return sources;
+    };
+    const mixed = run(0.3);
+    assert.equal(mixed.length, 100);
+    const corpusCount = mixed.filter(source => source === 'corpus').length;
+    assert.ok(corpusCount >= 20 && corpusCount <= 40, `corpus ${corpusCount}/100`);
+    assert.deepEqual(run(0.3), mixed);
+    assert.ok(run(0).every(source => source === 'live'));
+    assert.ok(run(1).every(source => source === 'corpus'));
+});
+
+test('playFragment: AudioContext が止まっていれば再生しない', () => {
+    const env = createTestEngine({ minFragmentAge: '2s' });
+    writeBlocks(env, 100, speech);
+    env.engine.audioContext.state = 'suspended';
+    let played = 0;
+    env.engine.on('fragment', () => played++);
+    env.engine.trigger('test');
+    assert.equal(played, 0);
+    assert.match(env.logs.at(-1), /audioContext suspended/);
+});
+
+test('playFragment: 保存された記憶から選ぶときは、engine の時計と乱数を pick に渡す', () => {
+    const calls = [];
+    const persisted = {
+        count: () => 3,
+        ratio: () => 1,
+        pick: (...args) => { calls.push(args); return Promise.resolve(null); },
+    };
+    const env = createTestEngine({ minFragmentAge: '2s', maxRetention: '30s' }, 1, { persisted });
+    writeBlocks(env, 20, speech);
+    env.engine.playFragment('test');
+    assert.equal(calls.length, 1);
+    const [durationSec, beforeMs, afterMs, random, now] = calls[0];
+    assert.ok(durationSec >= 2 && durationSec <= 5);
+    assert.equal(beforeMs, env.engine.archive.blockTime(0));
+    assert.equal(afterMs, env.clock.t - 30000);
+    assert.equal(random, env.engine.random);
+    assert.equal(now, env.clock.t);
+});
+
+// --- プライバシー ---
+
+/**
+ * アーカイブのバッファに残っている 0 でないサンプルの数
+ * @param {import('./soramimi-archive.js').SoundArchive} archive
+ */
+function nonZeroSamples(archive) {
+    return archive.chunks.reduce((sum, chunk) => sum + (chunk ? chunk.reduce((n, v) => n + (v !== 0 ? 1 : 0), 0) : 0), 0);
+}
+
+/**
+ * 一定の値のブロックを count 個書き込む（0 に丸められるサンプルが無いように）
+ * @param {{engine: SoramimiEngine, clock: {t: number}}} env
+ * @param {number} count
+ */
+function writeSteadyBlocks({ engine, clock }, count) {
+    for (let b = 0; b < count; b++) {
+        engine.writeBlock(new Float32Array(BLOCK_SIZE).fill(0.3));
+        clock.t += BLOCK_SIZE / SAMPLE_RATE * 1000;
+    }
+}
+
+test('writeBlock: 保持期間を過ぎたブロックは書き込みのたびに 0 で上書きして消す', () => {
+    const env = createTestEngine({ maxRetention: '2s' });
+    writeSteadyBlocks(env, 50); // 5s
+    const { engine, clock } = env;
+    const archive = engine.archive;
+    // 最後の書き込みの時点 (clock.t - 100) から 2s 以内の 21 ブロックだけが残る
+    assert.equal(archive.length, 21);
+    assert.ok(clock.t - 100 - archive.blockTime(0) <= 2000);
+    assert.equal(nonZeroSamples(archive), 21 * BLOCK_SIZE);
+});
+
+test('enforceRetention: 書き込みが止まっていても、時計が進めば保持期間を過ぎた音を消す', () => {
+    const env = createTestEngine();
+    writeSteadyBlocks(env, 30); // 3s（保持期間なし）
+    const { engine, clock } = env;
+    let archiveEvents = 0;
+    engine.on('archive', () => archiveEvents++);
+    assert.equal(engine.enforceRetention(), 0);
+    engine.options.maxRetention = '2s';
+    clock.t += 500;
+    // ブロックの時刻は 0.1s 刻みで、最新は 0.6s 前。2s より古い 15 ブロックを消す
+    assert.equal(engine.enforceRetention(), 15);
+    assert.equal(engine.archive.length, 15);
+    assert.ok(clock.t - engine.archive.blockTime(0) <= 2000);
+    assert.equal(nonZeroSamples(engine.archive), 15 * BLOCK_SIZE);
+    assert.equal(archiveEvents, 1);
+});
+
+test('purge: すべての入力のアーカイブとコーパスを 0 で上書きして空にする', () => {
+    const env = createTestEngine();
+    writeSteadyBlocks(env, 30);
+    const { engine } = env;
+    const corpus = engine.addCorpus('clip.wav', new Float32Array(BLOCK_SIZE * 10).fill(0.2), SAMPLE_RATE);
+    assert.ok(nonZeroSamples(engine.archive) > 0 && nonZeroSamples(corpus) > 0);
+    engine.purge();
+    assert.equal(engine.archive.length, 0);
+    assert.equal(nonZeroSamples(engine.archive), 0);
+    assert.ok(engine.archive.times.every(t => t === 0));
+    assert.equal(nonZeroSamples(corpus), 0);
+    assert.deepEqual(engine.corpus, []);
+});
+
+test('anonymizeSamples: 声の高さは少なくとも 2 半音、設定より小さくはずらさない', () => {
+    const random = seededRandom(5);
+    for (const semitones of [0.5, 1, 2, 4, 7.5]) {
+        const floor = Math.max(semitones, 2);
+        for (let i = 0; i < 50; i++) {
+            const result = anonymizeSamples(new Float32Array(1024), SAMPLE_RATE, { anonymize: 'shift', anonymizeSemitones: semitones, anonymizeGrainMs: 40 }, random);
+            const shift = Math.abs(Number(result.description.match(/[-+][\d.]+/)[0]));
+            assert.ok(shift >= floor && shift <= floor + 1, `${semitones}: ${result.description}`);
+        }
+    }
+    // 乱数の端: 揺らしが 0 でも下限ちょうど
+    const edge = anonymizeSamples(new Float32Array(1024), SAMPLE_RATE, { anonymize: 'shift', anonymizeSemitones: 1, anonymizeGrainMs: 40 }, () => 0);
+    assert.equal(edge.description, '声の高さ -2.0 半音');
+});
+
+test('clampMinFragmentAge: 保持期間以上の最小経過時間だけ、保持期間の半分に縮める', () => {
+    assert.equal(SoramimiEngine.clampMinFragmentAge('20m', '15m'), 450);
+    assert.equal(SoramimiEngine.clampMinFragmentAge('15m', '15m'), 450);
+    assert.equal(SoramimiEngine.clampMinFragmentAge(899, '15m'), null);
+    assert.equal(SoramimiEngine.clampMinFragmentAge('1h', '0'), null);
+});
+
+// --- トリガーのタイミング ---
+
+/**
+ * 時計とタイマーを手で進めるスケジューラ
+ * @param {(strategy: object) => void} configure 戦略ごとの設定
+ */
+function createTestScheduler(configure) {
+    const clock = { t: 0 };
+    let tick = null;
+    const logs = [];
+    const scheduler = new TriggerScheduler({
+        now: () => clock.t,
+        random: seededRandom(3),
+        timers: { setInterval: fn => { tick = fn; return 1; }, clearInterval: () => { tick = null; } },
+        log: message => logs.push(message),
+    });
+    createDefaultTriggerStrategies().forEach(strategy => {
+        configure(strategy);
+        scheduler.register(strategy);
+    });
+    const advance = ms => {
+        for (let elapsed = 0; elapsed < ms; elapsed += scheduler.tickMs) {
+            clock.t += scheduler.tickMs;
+            if (tick) tick();
+        }
+    };
+    return { scheduler, clock, advance, logs };
+}
+
+test('TriggerScheduler: 最大間隔で発火し、クールダウン中は見送る', () => {
+    const { scheduler, clock, advance, logs } = createTestScheduler(strategy => {
+        strategy.enabled = strategy.name === 'maxGap' || strategy.name === 'minGap';
+        if (strategy.name === 'maxGap') Object.assign(strategy.params, { minSec: 5, maxSec: 5, firstMaxSec: 5 });
+        if (strategy.name === 'minGap') strategy.params.sec = 6;
+    });
+    const fired = [];
+    const sense = () => ({ ready: true, playing: 0, inputRms: 0, voice: false });
+    scheduler.start(sense, () => fired.push(clock.t));
+    advance(12000);
+    // 最大間隔 (5s) に達しても、開始・前回の発火からのクールダウン (6s) の間は見送る
+    assert.deepEqual(fired, [6000, 12000]);
+    assert.ok(logs.some(message => /^見送り: maxGap: .* ← minGap: クールダウン中/.test(message)));
+});
+
+test('TriggerScheduler: 再生中と準備前は発火しない', () => {
+    const { scheduler, clock, advance } = createTestScheduler(strategy => {
+        strategy.enabled = strategy.name === 'maxGap';
+        if (strategy.name === 'maxGap') Object.assign(strategy.params, { minSec: 1, maxSec: 1, firstMaxSec: 1 });
+    });
+    const fired = [];
+    let state = { ready: false, playing: 0, inputRms: 0, voice: false };
+    scheduler.start(() => state, () => fired.push(clock.t));
+    advance(3000);
+    assert.deepEqual(fired, []);
+    state = Object.assign({}, state, { ready: true, playing: 1 });
+    advance(3000);
+    assert.deepEqual(fired, []);
+    state = Object.assign({}, state, { playing: 0 });
+    advance(250);
+    assert.deepEqual(fired, [6250]);
+});
+
+test('TriggerScheduler: ポアソン戦略は同じ乱数の系列なら同じ時刻に発火する', () => {
+    const run = () => {
+        const { scheduler, clock, advance } = createTestScheduler(strategy => {
+            strategy.enabled = strategy.name === 'poisson';
+            if (strategy.name === 'poisson') strategy.params.meanSec = 5;
+        });
+        const fired = [];
+        scheduler.start(() => ({ ready: true, playing: 0, inputRms: 0, voice: false }), () => fired.push(clock.t));
+        advance(60000);
+        return fired;
+    };
+    const a = run();
+    assert.ok(a.length > 4 && a.length < 24, `fired ${a.length} times`);
+    assert.deepEqual(a, run());
+});
+
+// --- スコア ---
+
+test('applySection: 保持期間より長い最小経過時間は保持期間の半分に縮める', () => {
+    const env = createTestEngine({ minFragmentAge: '4s', maxRetention: '10m' });
+    const { engine } = env;
+    engine.setScore(parseScore({ format: SCORE_FORMAT, sections: [{ name: '昔の音', fragmentAge: ['20m', '1h'] }] }));
+    engine.startScheduler();
+    assert.equal(engine.minFragmentAgeMs(), 5 * 60 * 1000);
+    assert.ok(env.logs.some(message => /「昔の音」の最小経過時間 20:00 が保持期間 10:00 より長いため 5:00 に縮めます/.test(message)));
+    // 保持期間に収まる値はそのまま
+    engine.options.maxRetention = '2h';
+    engine.applySection(engine.section.section);
+    assert.equal(engine.minFragmentAgeMs(), 20 * 60 * 1000);
+});
+
+test('parseScore: 問題はまとめて1つのエラーにする', () => {
+    assert.throws(() => parseScore({ format: SCORE_FORMAT, hours: [{ open: '10:00', close: '10:00' }], sections: [{ name: 'a' }, { name: 'b', collage: 2 }] }),
+        error => /hours\[0\]/.test(error.message) && /sections\[0\] \(a\): 最後以外/.test(error.message) && /collage: 0〜1/.test(error.message));
+});
+
+test('sectionAt: 繰り返さないスコアは最後のセクションが続き、繰り返すスコアは最初に戻る', () => {
+    const sections = [{ name: '始まり', duration: '10m' }, { name: '中盤', duration: '20m' }];
+    const once = parseScore({ format: SCORE_FORMAT, sections });
+    assert.equal(once.totalSec, 1800);
+    assert.equal(sectionAt(once, 0).section.name, '始まり');
+    assert.deepEqual([sectionAt(once, 600).index, sectionAt(once, 600).startSec, sectionAt(once, 600).endSec], [1, 600, 1800]);
+    const after = sectionAt(once, 5000);
+    assert.deepEqual([after.index, after.cycle, after.endSec], [1, 0, Infinity]);
+
+    const looped = parseScore({ format: SCORE_FORMAT, loop: true, sections });
+    const second = sectionAt(looped, 1800 + 300);
+    assert.deepEqual([second.index, second.cycle, second.startSec, second.endSec], [0, 1, 1800, 2400]);
+});
+
+test('isOpenAt: 日をまたぐ開場時間は、開場した曜日の夜と翌朝', () => {
+    const { hours } = parseScore({ format: SCORE_FORMAT, hours: [{ days: ['fri'], open: '22:00', close: '02:00' }], sections: [{ name: 'a' }] });
+    const at = (date, hour, minute = 0) => new Date(2026, 9, date, hour, minute); // 2026-10-16 は金曜
+    assert.equal(isOpenAt(hours, at(16, 21, 59)), false);
+    assert.equal(isOpenAt(hours, at(16, 22)), true);
+    assert.equal(isOpenAt(hours, at(17, 1, 59)), true); // 土曜の朝
+    assert.equal(isOpenAt(hours, at(17, 2)), false);
+    assert.equal(isOpenAt(hours, at(17, 23)), false); // 土曜の夜は開場日ではない
+    assert.equal(isOpenAt(hours, at(15, 1)), false); // 木曜の朝（前日は水曜）
+    assert.deepEqual(nextHoursChange(hours, at(16, 23)), { at: at(17, 2), open: false });
+    assert.deepEqual(nextHoursChange(hours, at(17, 3)), { at: at(23, 22), open: true });
+});
+
+test('applySection: セクションが終わると、書いていない値はスコアが始まる前の値に戻る', () => {
+    const env = createTestEngine({ minFragmentAge: '4s', maxFragmentAge: '0' });
+    const { engine, clock } = env;
+    const minGap = engine.triggerStrategy('minGap');
+    minGap.params.sec = 12;
+    engine.setScore(parseScore({ format: SCORE_FORMAT, sections: [
+        { name: '昔の音', duration: '10m', cooldown: '1m', fragmentAge: ['5m', '30m'] },
+        { name: '素のまま' },
+    ] }));
+    engine.startScheduler();
+    assert.equal(engine.section.section.name, '昔の音');
+    assert.equal(minGap.params.sec, 60);
+    assert.equal(engine.minFragmentAgeMs(), 5 * 60 * 1000);
+    assert.equal(engine.maxFragmentAgeMs(), 30 * 60 * 1000);
+
+    clock.t += 10 * 60 * 1000;
+    engine.updateSection();
+    assert.equal(engine.section.section.name, '素のまま');
+    assert.equal(minGap.params.sec, 12);
+    assert.equal(engine.minFragmentAgeMs(), 4000);
+    assert.equal(engine.maxFragmentAgeMs(), Infinity);
+
+    // スコアを止めたときも元に戻る
+    engine.stopScheduler();
+    engine.startScheduler();
+    assert.equal(minGap.params.sec, 60);
+    engine.stopScheduler();
+    assert.equal(minGap.params.sec, 12);
+    assert.equal(engine.minFragmentAgeMs(), 4000);
+    assert.equal(engine.section, null);
+});
+
@@ -0,0 +1,200 @@
+// --- [展示の運用: スコアと開場時間] ---
+//
+// スコア（soramimi-score.js の JSON）を読み込んで engine.setScore に渡し、進行を表示する。
+// トリガーと断片の選択は SoramimiEngine がセクションに合わせて変える。ここではページ側の値を受け持つ:
+//   - 演出の重み (SORAMIMI_EFFECTS の weight)、モニター音量 (MONITORING_GAIN)、聞き間違いの音量 (REPLAY_GAIN)
+//   - 開場時間 (score.hours) に合わせた自動の開始・停止
+// 読み込んだスコアは localStorage に残し、ページを開き直しても（展示の翌朝も）そのまま続ける。
+// セクションに書いていない値は、スコアが始まった時点の設定に戻る（途中で設定パネルから変えた値も次のセクションで戻る）。
+
+const SCORE_PREF_KEY = 'soramimi.score'; // 読み込んだスコアの JSON
+const SCORE_HOURS_PREF_KEY = 'soramimi.scoreHours'; // '0' = 開場時間で自動的に開始・停止しない
+const SCORE_TICK_MS = 1000; // 表示と開場時間の確認の間隔
+const SCORE_LEVEL_FADE_SEC = 2; // セクションが変わったときにモニター音量を移す時間
+
+let SCORE_HOURS_AUTO = true; // 開場時間に合わせて自動的に開始・停止する
+
+const exhibitionState = {
+    baseline: null, // スコアが上書きする前のページ側の値 { effects: { name: weight }, monitoringGain, replayGain }
+    wasOpen: null, // 前回の確認で開場時間内だったか（変わったときだけ開始・停止する）
+    timer: null,
+};
+let scoreInfoElement = null;
+let scoreSectionElement = null;
+
+/**
+ * スコアの JSON を読み込んで始める（スケジューラが動いていれば今から最初のセクション）
+ * @param {string} text
+ * @returns {boolean} 読み込めたか
+ */
+function loadScore(text) {
+    let score;
+    try {
+        score = SoramimiEngine.parseScore(text);
+    } catch (e) {
+        updateLog(`スコアを読み込めません: ${e.message}`);
+        return false;
+    }
+    engine.setScore(score);
+    exhibitionState.wasOpen = null;
+    try { localStorage.setItem(SCORE_PREF_KEY, text); } catch (e) {}
+    if (score.hours.length > 0) updateLog(`開場時間: ${describeHours(score.hours)}${SCORE_HOURS_AUTO ? '（自動で開始・停止）' : ''}`);
+    checkOpeningHours();
+    updateScoreInfo();
+    return true;
+}
+
+/**
+ * スコアを解除する（設定パネルの値で一定に戻る）
+ */
+function clearScore() {
+    engine.setScore(null);
+    exhibitionState.wasOpen = null;
+    try { localStorage.removeItem(SCORE_PREF_KEY); } catch (e) {}
+    updateScoreInfo();
+}
+
+/**
+ * engine の 'section' イベント: 演出の重みと音量をセクションに合わせる
+ * @param {{section: object|null}} detail section が null ならスコアの値を解除
+ */
+function applySectionLevels({ section }) {
+    if (!section) {
+        const base = exhibitionState.baseline;
+        if (base) {
+            SORAMIMI_EFFECTS.forEach(effect => { if (effect.name in base.effects) effect.weight = base.effects[effect.name]; });
+            MONITORING_GAIN = base.monitoringGain;
+            REPLAY_GAIN = base.replayGain;
+            applyMonitoringGain(SCORE_LEVEL_FADE_SEC / 3);
+        }
+        exhibitionState.baseline = null;
+        refreshSettingsPanel();
+        updateScoreInfo();
+        return;
+    }
+    if (!exhibitionState.baseline) {
+        const effects = {};
+        SORAMIMI_EFFECTS.forEach(effect => { effects[effect.name] = effect.weight; });
+        exhibitionState.baseline = { effects, monitoringGain: MONITORING_GAIN, replayGain: REPLAY_GAIN };
+    }
+    const base = exhibitionState.baseline;
+    const weights = section.effects || {};
+    SORAMIMI_EFFECTS.forEach(effect => {
+        effect.weight = effect.name in weights ? weights[effect.name] : base.effects[effect.name];
+    });
+    const unknown = Object.keys(weights).filter(name => !soramimiEffect(name));
+    if (unknown.length > 0) updateLog(`スコア: 知らない演出を無視しました (${unknown.join(', ')})`);
+    MONITORING_GAIN = section.monitoringGain === undefined ? base.monitoringGain : section.monitoringGain;
+    REPLAY_GAIN = section.replayGain === undefined ? base.replayGain : section.replayGain;
+    applyMonitoringGain(SCORE_LEVEL_FADE_SEC / 3);
+    refreshSettingsPanel();
+    updateScoreInfo();
+}
+
+/**
+ * 開場時間に入った・終わったときに開始・停止する
+ */
+function checkOpeningHours() {
+    const score = engine.score;
+    if (!score || score.hours.length === 0 || !SCORE_HOURS_AUTO) {
+        exhibitionState.wasOpen = null;
+        return;
+    }
+    const open = SoramimiEngine.isOpenAt(score.hours, new Date());
+    if (open === exhibitionState.wasOpen) return;
+    exhibitionState.wasOpen = open;
+    if (open && !audioContext) {
+        updateLog('開場時間: 開始します');
+        startSoramimi();
+        // ユーザー操作なしで作った AudioContext はブラウザによって止められることがある
+        if (audioContext && audioContext.state === 'suspended') updateLog('開場時間: 音声が止められている場合は、この画面を一度クリックしてください');
+    } else if (!open && audioContext) {
+        updateLog('開場時間の終わり: 停止します');
+        stopSoramimi();
+    }
+}
+
+/**
+ * '土日 10:00–18:00, 毎日 22:00–02:00' のような開場時間の説明
+ * @param {{days: number[], openMin: number, closeMin: number}[]} hours
+ */
+function describeHours(hours) {
+    const names = ['日', '月', '火', '水', '木', '金', '土'];
+    return hours.map(({ days, openMin, closeMin }) => {
+        const range = `${SoramimiEngine.formatClockMin(openMin)}–${SoramimiEngine.formatClockMin(closeMin)}`;
+        return days.length === 7 ? `毎日 ${range}` : `${days.map(day => names[day]).join('')} ${range}`;
+    }).join(', ');
+}
+
+/**
+ * スコアの進行と開場時間の表示を更新
+ */
+function updateScoreInfo() {
+    const score = engine && engine.score;
+    const entry = engine && engine.section;
+    if (scoreSectionElement) {
+        scoreSectionElement.hidden = !entry;
+        if (entry) {
+            const remain = Number.isFinite(entry.endSec) ? ` (残り ${SoramimiEngine.formatDuration(entry.endSec - engine.scoreElapsedSec())})` : '';
+            const text = `セクション: ${entry.section.name}${remain}`;
+            if (scoreSectionElement.textContent !== text) scoreSectionElement.textContent = text;
+        }
+    }
+    if (!scoreInfoElement) return;
+    if (!score) {
+        scoreInfoElement.textContent = 'スコア: なし（設定パネルの値のまま）';
+        return;
+    }
+    const parts = [`スコア: ${score.name ? `「${score.name}」 ` : ''}${score.sections.length} セクション${score.loop ? '（繰り返し）' : ''}`];
+    if (entry) parts.push(`${entry.index + 1}/${score.sections.length}「${entry.section.name}」`);
+    if (score.hours.length > 0) {
+        parts.push(`開場 ${describeHours(score.hours)}`);
+        const next = SCORE_HOURS_AUTO ? SoramimiEngine.nextHoursChange(score.hours, new Date()) : null;
+        if (next) parts.push(`次の${next.open ? '開始' : '停止'} ${next.at.toLocaleString([], { month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit' })}`);
+    }
+    const text = parts.join(' / ');
+    if (scoreInfoElement.textContent !== text) scoreInfoElement.textContent = text;
+}
+
+/**
+ * スコアの読み込み・解除と開場時間の自動化の UI を接続し、保存されていたスコアを再開する（engine を作った後）
+ */
+function initExhibitionControls() {
+    scoreInfoElement = document.getElementById('scoreInfo');
+    scoreSectionElement = document.getElementById('scoreSection');
+    const fileInput = document.getElementById('scoreFile');
+    const clearButton = document.getElementById('scoreClear');
+    const hoursToggle = document.getElementById('scoreHoursToggle');
+    engine.on('section', applySectionLevels);
+
+    try { SCORE_HOURS_AUTO = localStorage.getItem(SCORE_HOURS_PREF_KEY) !== '0'; } catch (e) {}
+    if (hoursToggle) {
+        hoursToggle.checked = SCORE_HOURS_AUTO;
+        hoursToggle.addEventListener('change', () => {
+            SCORE_HOURS_AUTO = hoursToggle.checked;
+            try { localStorage.setItem(SCORE_HOURS_PREF_KEY, SCORE_HOURS_AUTO ? '1' : '0'); } catch (e) {}
+            exhibitionState.wasOpen = null;
+            updateLog(`開場時間で自動的に開始・停止: ${SCORE_HOURS_AUTO ? 'ON' : 'OFF'}`);
+            checkOpeningHours();
+            updateScoreInfo();
+        });
+    }
+    if (fileInput) fileInput.addEventListener('change', () => {
+        const file = fileInput.files && fileInput.files[0];
+        if (!file) return;
+        file.text()
+            .then(text => { if (loadScore(text)) updateLog(`スコアを読み込みました: ${file.name}`); })
+            .catch(e => updateLog(`スコアの読み込みに失敗: ${e.message}`))
+            .finally(() => { fileInput.value = ''; });
+    });
+    if (clearButton) clearButton.addEventListener('click', clearScore);
+
+    let saved = null;
+    try { saved = localStorage.getItem(SCORE_PREF_KEY); } catch (e) {}
+    if (saved) loadScore(saved);
+    updateScoreInfo();
+    exhibitionState.timer = setInterval(() => {
+        checkOpeningHours();
+        updateScoreInfo();
+    }, SCORE_TICK_MS);
+}
@@ -0,0 +1,96 @@
+// --- [ハウリング（音響フィードバック）の検出] ---
+//
+// AnalyserNode のスペクトル (dB) を一定間隔で受け取り、
+// 「周りの帯域より極端に突き出た細いピークが、同じ周波数に持続している」ものをハウリングとみなす。
+// 声や楽器の倍音は周波数が揺れたり短く途切れたりするので、持続時間 (sustainMs) で区別する。
+// 検出のみを行い、ノッチや音量での対処は呼び出し側 (soramimi-feedback.js) が決める。
+//
+// ES module。AudioContext に依存しないので、作ったスペクトルを渡して Node 上でも確かめられる。
+
+export const FEEDBACK_DEFAULTS = {
+    minHz: 80, // これより低い帯域は見ない（空調などの低いうなり）
+    maxHz: 12000,
+    minDb: -55, // ピークの絶対レベルがこれ以下なら無視
+    peakDb: 18, // 周りの帯域の平均よりこれだけ突き出ていれば「細いピーク」
+    neighbourBins: 8, // 周りとして比べる左右のビン数（すぐ隣の ±1 ビンは除く）
+    sustainMs: 400, // 同じ周波数にこれだけ続いたらハウリング
+    toleranceBins: 1, // フレーム間でこれだけ動いても同じピークとみなす
+    releaseMs: 1200, // ハウリングがこれだけ見えなくなったら終わり
+    maxPeaks: 8, // 1フレームで追うピークの数（大きい順）
+};
+
+export class FeedbackDetector {
+    /**
+     * @param {object} [options] FEEDBACK_DEFAULTS の一部を上書き
+     */
+    constructor(options = {}) {
+        this.options = Object.assign({}, FEEDBACK_DEFAULTS, options);
+        this.reset();
+    }
+
+    reset() {
+        this.tracks = []; // 追跡中のピーク { bin, since, db }
+        this.active = false; // ハウリング中か
+        this.lastHowlAt = -Infinity;
+        this.startedAt = 0;
+    }
+
+    /**
+     * 1フレーム分のスペクトルから細いピークを探す
+     * @param {Float32Array} spectrum getFloatFrequencyData() の結果 (dB)
+     * @param {number} binHz 1ビンの幅 (sampleRate / fftSize)
+     * @returns {{bin: number, db: number}[]}
+     */
+    findPeaks(spectrum, binHz) {
+        const o = this.options;
+        const first = Math.max(o.neighbourBins + 1, Math.floor(o.minHz / binHz));
+        const last = Math.min(spectrum.length - o.neighbourBins - 2, Math.ceil(o.maxHz / binHz));
+        const peaks = [];
+        for (let i = first; i <= last; i++) {
+            const db = spectrum[i];
+            if (db < o.minDb || db < spectrum[i - 1] || db < spectrum[i + 1]) continue;
+            // 周りの平均はパワーで取る（dB のまま平均すると深い谷に引っ張られる）
+            let power = 0;
+            let n = 0;
+            for (let k = 2; k <= o.neighbourBins + 1; k++) {
+                power += Math.pow(10, spectrum[i - k] / 10) + Math.pow(10, spectrum[i + k] / 10);
+                n += 2;
+            }
+            const around = 10 * Math.log10(power / n + 1e-20);
+            if (db - around >= o.peakDb) peaks.push({ bin: i, db });
+        }
+        return peaks.sort((a, b) => b.db - a.db).slice(0, o.maxPeaks);
+    }
+
+    /**
+     * 1フレーム分を処理する
+     * @param {Float32Array} spectrum getFloatFrequencyData() の結果 (dB)
+     * @param {number} binHz
+     * @param {number} now 現在時刻 (ms)
+     * @returns {{active: boolean, started: boolean, ended: boolean, startedAt: number, howls: {hz: number, db: number, sustainedMs: number}[]}}
+     *   started / ended はこのフレームでハウリングが始まった / 終わったか。startedAt は最初のピークが現れた時刻
+     */
+    update(spectrum, binHz, now) {
+        const o = this.options;
+        const peaks = this.findPeaks(spectrum, binHz);
+        const tracks = [];
+        for (const peak of peaks) {
+            const prev = this.tracks.find(t => Math.abs(t.bin - peak.bin) <= o.toleranceBins);
+            tracks.push({ bin: peak.bin, since: prev ? prev.since : now, db: peak.db });
+        }
+        this.tracks = tracks;
+
+        const howls = tracks
+            .filter(t => now - t.since >= o.sustainMs)
+            .map(t => ({ hz: t.bin * binHz, db: t.db, sustainedMs: now - t.since }));
+        const wasActive = this.active;
+        if (howls.length > 0) {
+            if (!this.active) this.startedAt = now - Math.max(...howls.map(h => h.sustainedMs));
+            this.active = true;
+            this.lastHowlAt = now;
+        } else if (this.active && now - this.lastHowlAt >= o.releaseMs) {
+            this.active = false;
+        }
+        return { active: this.active, started: this.active && !wasActive, ended: wasActive && !this.active, startedAt: this.startedAt, howls };
+    }
+}
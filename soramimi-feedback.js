@@ -0,0 +1,217 @@
+// --- [ハウリング対策] ---
+//
+// マイクの直接モニターはスピーカー → マイク → スピーカーのループなので、部屋や音量によってはハウリングする。
+// モニター経路 (monitoringGain の出口) を AnalyserNode で見張り、検出（SoramimiEngine.FeedbackDetector）したら:
+//   1. その周波数に細いノッチ（peaking フィルタの深い谷）を入れる。続くなら深くする
+//   2. ノッチが足りない・深くしても止まらないときはモニター音量を下げ、収まったらゆっくり戻す
+// ハウリング中に録音されたブロックには engine.setFeedback で印を付け、断片の候補から外す。
+//
+//   入力 -> monitoringGain -> [ノッチ × FEEDBACK_NOTCH_COUNT] -> monitorBus
+//                          └-> analyser（検出用。どこにも出さない）
+
+const FEEDBACK_FFT_SIZE = 8192; // 48kHz で約 5.9Hz / ビン（細いピークを周りと分けられる細かさ）
+const FEEDBACK_POLL_MS = 50; // スペクトルを見る間隔
+const FEEDBACK_NOTCH_COUNT = 6; // ノッチの数（足りなくなったら最も古いものを付け替える）
+const FEEDBACK_NOTCH_Q = 30; // ノッチの鋭さ（1kHz で幅 約 33Hz）
+const FEEDBACK_NOTCH_STEP_DB = -6; // 1回に深くする量
+const FEEDBACK_NOTCH_MAX_DB = -30;
+const FEEDBACK_ACT_INTERVAL_MS = 300; // 同じハウリングに対して次の手を打つまでの間（フィルタが効くのを待つ）
+const FEEDBACK_DUCK_STEP = 0.7; // モニター音量を下げるときの倍率（約 -3dB）
+const FEEDBACK_DUCK_FLOOR = 0.1; // ここまでは下げる（-20dB）
+const FEEDBACK_RECOVER_MS = 2000; // 収まった後、この間隔で 1dB ずつ戻す
+
+let FEEDBACK_GUARD = true; // ハウリング対策を行う（設定パネルから切り替え）
+
+const feedbackState = {
+    analyser: null,
+    spectrum: null, // Float32Array(frequencyBinCount)
+    notches: [], // { filter, hz, gainDb, usedAt }（hz = 0 は未使用）
+    detector: null, // SoramimiEngine.FeedbackDetector
+    timer: null,
+    gainScale: 1, // モニター音量に掛ける倍率（ハウリングで下げる。monitoringGainTarget で掛ける）
+    lastActionAt: 0,
+    lastRecoverAt: 0,
+    events: 0, // このセッションで検出した回数
+};
+let feedbackInfoElement = null;
+
+/**
+ * 検出の調整値（設定パネルから変える）
+ */
+function feedbackDetectorOptions() {
+    if (!feedbackState.detector) feedbackState.detector = new SoramimiEngine.FeedbackDetector();
+    return feedbackState.detector.options;
+}
+
+/**
+ * ノッチの列と検出用の analyser を作り、ノッチの出口を monitorBus へつなぐ
+ */
+function createFeedbackChain() {
+    feedbackState.notches = [];
+    let last = null;
+    for (let i = 0; i < FEEDBACK_NOTCH_COUNT; i++) {
+        const filter = audioContext.createBiquadFilter();
+        // gain 0dB の peaking は素通し。使うときだけ谷を作る
+        filter.type = 'peaking';
+        filter.Q.value = FEEDBACK_NOTCH_Q;
+        filter.gain.value = 0;
+        if (last) last.connect(filter);
+        feedbackState.notches.push({ filter, hz: 0, gainDb: 0, usedAt: 0 });
+        last = filter;
+    }
+    last.connect(monitorBus);
+
+    feedbackState.analyser = audioContext.createAnalyser();
+    feedbackState.analyser.fftSize = FEEDBACK_FFT_SIZE;
+    feedbackState.analyser.smoothingTimeConstant = 0.5;
+    feedbackState.spectrum = new Float32Array(feedbackState.analyser.frequencyBinCount);
+}
+
+/**
+ * monitoringGain をモニター経路（ノッチ → monitorBus）と検出用の analyser へつなぐ
+ */
+function connectMonitoring() {
+    const entry = feedbackState.notches.length > 0 ? feedbackState.notches[0].filter : monitorBus;
+    monitoringGain.connect(entry);
+    if (feedbackState.analyser) monitoringGain.connect(feedbackState.analyser);
+}
+
+/**
+ * ノッチの列を作って見張りを始める（startSoramimi から。バスを作った後、monitoringGain をつなぐ前）
+ */
+function startFeedbackGuard() {
+    stopFeedbackGuard();
+    createFeedbackChain();
+    feedbackDetectorOptions();
+    feedbackState.detector.reset();
+    feedbackState.gainScale = 1;
+    feedbackState.events = 0;
+    feedbackState.timer = setInterval(pollFeedback, FEEDBACK_POLL_MS);
+    updateFeedbackInfo();
+}
+
+/**
+ * 見張りを止めてノード参照を捨てる（AudioContext と一緒に閉じる）
+ */
+function stopFeedbackGuard() {
+    if (feedbackState.timer) clearInterval(feedbackState.timer);
+    feedbackState.timer = null;
+    feedbackState.analyser = null;
+    feedbackState.notches = [];
+    feedbackState.gainScale = 1;
+    if (engine) engine.setFeedback(false);
+    updateFeedbackInfo();
+}
+
+/**
+ * スペクトルを1回見て、必要ならノッチ・音量で対処する
+ */
+function pollFeedback() {
+    if (!audioContext || !feedbackState.analyser || audioContext.state !== 'running') return;
+    const now = engine.now();
+    if (!FEEDBACK_GUARD) {
+        if (feedbackState.detector.active) {
+            feedbackState.detector.reset();
+            engine.setFeedback(false);
+        }
+        recoverMonitoringGain(now);
+        return;
+    }
+    feedbackState.analyser.getFloatFrequencyData(feedbackState.spectrum);
+    const result = feedbackState.detector.update(feedbackState.spectrum, audioContext.sampleRate / FEEDBACK_FFT_SIZE, now);
+
+    if (result.started) {
+        feedbackState.events++;
+        updateLog(`ハウリング検出: ${result.howls.map(h => `${Math.round(h.hz)}Hz`).join(' / ')}`);
+        engine.setFeedback(true, result.startedAt);
+    } else if (result.ended) {
+        updateLog('ハウリングが収まりました');
+        engine.setFeedback(false);
+    }
+
+    if (result.howls.length > 0) {
+        if (now - feedbackState.lastActionAt >= FEEDBACK_ACT_INTERVAL_MS) {
+            feedbackState.lastActionAt = now;
+            // ノッチで対処できなかったものがあれば音量も下げる
+            const unresolved = result.howls.filter(h => !applyNotch(h.hz, now));
+            if (unresolved.length > 0) duckMonitoringGain();
+        }
+        feedbackState.lastRecoverAt = now;
+    } else {
+        recoverMonitoringGain(now);
+    }
+    updateFeedbackInfo();
+}
+
+/**
+ * 周波数 hz にノッチを入れる（近くにあれば深くする）
+ * @param {number} hz
+ * @param {number} now
+ * @returns {boolean} 手を打てたか（最大の深さのノッチで止まらなければ false）
+ */
+function applyNotch(hz, now) {
+    const notches = feedbackState.notches;
+    if (notches.length === 0) return false;
+    // 1/6 オクターブ以内なら同じハウリング（検出の揺れ）とみなす
+    let notch = notches.find(n => n.hz > 0 && Math.abs(Math.log2(hz / n.hz)) < 1 / 6);
+    if (notch) {
+        if (notch.gainDb <= FEEDBACK_NOTCH_MAX_DB) return false;
+        notch.gainDb = Math.max(FEEDBACK_NOTCH_MAX_DB, notch.gainDb + FEEDBACK_NOTCH_STEP_DB);
+    } else {
+        notch = notches.find(n => n.hz === 0) || notches.reduce((a, b) => (a.usedAt <= b.usedAt ? a : b));
+        if (notch.hz > 0) updateLog(`ノッチを付け替え: ${Math.round(notch.hz)}Hz → ${Math.round(hz)}Hz`);
+        notch.hz = hz;
+        notch.gainDb = FEEDBACK_NOTCH_STEP_DB * 2;
+        notch.filter.frequency.setValueAtTime(hz, audioContext.currentTime);
+    }
+    notch.usedAt = now;
+    notch.filter.gain.setTargetAtTime(notch.gainDb, audioContext.currentTime, 0.02);
+    updateLog(`ノッチ: ${Math.round(hz)}Hz ${notch.gainDb}dB`);
+    return true;
+}
+
+/**
+ * モニター音量を一段下げる
+ */
+function duckMonitoringGain() {
+    if (feedbackState.gainScale <= FEEDBACK_DUCK_FLOOR) return;
+    feedbackState.gainScale = Math.max(FEEDBACK_DUCK_FLOOR, feedbackState.gainScale * FEEDBACK_DUCK_STEP);
+    applyMonitoringGain();
+    updateLog(`ハウリング: モニター音量を ${(20 * Math.log10(feedbackState.gainScale)).toFixed(1)}dB に下げました`);
+}
+
+/**
+ * 収まっている間、下げたモニター音量を 1dB ずつ戻す
+ * @param {number} now
+ */
+function recoverMonitoringGain(now) {
+    if (feedbackState.gainScale >= 1 || now - feedbackState.lastRecoverAt < FEEDBACK_RECOVER_MS) return;
+    feedbackState.lastRecoverAt = now;
+    feedbackState.gainScale = Math.min(1, feedbackState.gainScale * Math.pow(10, 1 / 20));
+    applyMonitoringGain();
+    if (feedbackState.gainScale >= 1) updateLog('モニター音量を元に戻しました');
+}
+
+/**
+ * 状態表示（使っているノッチ・音量の下げ幅）
+ */
+function updateFeedbackInfo() {
+    if (!feedbackInfoElement) return;
+    if (!feedbackState.timer) {
+        feedbackInfoElement.textContent = '';
+        return;
+    }
+    const used = feedbackState.notches.filter(n => n.hz > 0);
+    const parts = [feedbackState.detector && feedbackState.detector.active ? 'ハウリング中' : 'ハウリング: なし'];
+    if (feedbackState.events > 0) parts.push(`検出 ${feedbackState.events} 回`);
+    if (used.length > 0) parts.push(`ノッチ ${used.map(n => `${Math.round(n.hz)}Hz`).join(', ')}`);
+    if (feedbackState.gainScale < 1) parts.push(`モニター ${(20 * Math.log10(feedbackState.gainScale)).toFixed(1)}dB`);
+    const text = parts.join(' / ');
+    if (feedbackInfoElement.textContent !== text) feedbackInfoElement.textContent = text;
+    feedbackInfoElement.classList.toggle('is-alert', !!(feedbackState.detector && feedbackState.detector.active));
+}
+
+function initFeedbackControls() {
+    feedbackInfoElement = document.getElementById('feedbackInfo');
+    updateFeedbackInfo();
+}
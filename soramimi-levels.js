@@ -0,0 +1,89 @@
+// --- [音量の釣り合い: リミッターとダッキング] ---
+//
+// 断片ごとのラウドネスの補正は SoramimiEngine（info.loudnessGainDb）が決め、再生時に REPLAY_GAIN と掛ける。
+// ここでは出力全体をまとめる:
+//   - マスターのリミッター: monitorBus / fragmentBus -> リミッター -> masterBus -> destination
+//     （録音は masterBus から取るので、聞こえている音と同じくリミッター後になる）
+//     DynamicsCompressorNode は2チャンネルまでなので、マルチスピーカーではチャンネルごとに1つずつ
+//   - ダッキング: 聞き間違いが鳴っている間、ライブのモニター (monitoringGain) を下げて断片を聞こえやすくする
+// モニターの実際の音量は MONITORING_GAIN × ハウリング対策の下げ幅 × ダッキング（monitoringGainTarget）。
+
+let LIMITER_THRESHOLD_DB = -3; // マスターのリミッターが効き始めるレベル
+let MONITOR_DUCK = false; // 断片の再生中にモニターを下げる
+let MONITOR_DUCK_DB = -9; // 下げる量
+let MONITOR_DUCK_ATTACK_MS = 80; // 下げるまでの時間
+let MONITOR_DUCK_RELEASE_MS = 600; // 戻すまでの時間
+
+let masterLimiters = []; // DynamicsCompressorNode（チャンネルごと、またはステレオで1つ）
+let monitorDucks = 0; // ダッキング中の断片の数（重なっても最後の1つが終わるまで下げたまま）
+
+/**
+ * dB → 倍率
+ * @param {number} db
+ */
+function dbToGain(db) {
+    return Math.pow(10, db / 20);
+}
+
+/**
+ * マスターのリミッターを作る（createOutputBuses から）
+ * DynamicsCompressorNode を高い比率・速いアタックで使う
+ * @param {number} channels 出力のチャンネル数
+ * @returns {{input: AudioNode, output: AudioNode}}
+ */
+function createMasterLimiter(channels) {
+    const createLimiter = () => {
+        const limiter = audioContext.createDynamicsCompressor();
+        limiter.knee.value = 0;
+        limiter.ratio.value = 20;
+        limiter.attack.value = 0.003;
+        limiter.release.value = 0.25;
+        masterLimiters.push(limiter);
+        return limiter;
+    };
+    masterLimiters = [];
+    let stage;
+    if (channels <= 2) {
+        const limiter = createLimiter();
+        stage = { input: limiter, output: limiter };
+    } else {
+        const input = audioContext.createGain();
+        setDiscreteChannels(input, channels);
+        const splitter = audioContext.createChannelSplitter(channels);
+        const merger = audioContext.createChannelMerger(channels);
+        input.connect(splitter);
+        for (let k = 0; k < channels; k++) splitter.connect(createLimiter(), k).connect(merger, 0, k);
+        stage = { input, output: merger };
+    }
+    applyLimiterThreshold();
+    return stage;
+}
+
+function applyLimiterThreshold() {
+    if (!audioContext) return;
+    masterLimiters.forEach(limiter => limiter.threshold.setValueAtTime(LIMITER_THRESHOLD_DB, audioContext.currentTime));
+}
+
+/**
+ * ハウリング対策とダッキングを反映したモニター音量（monitoringGain に設定する値）
+ */
+function monitoringGainTarget() {
+    const duck = MONITOR_DUCK && monitorDucks > 0 ? dbToGain(MONITOR_DUCK_DB) : 1;
+    return MONITORING_GAIN * feedbackState.gainScale * duck;
+}
+
+/**
+ * 断片の再生が始まった: モニターを下げる
+ */
+function duckMonitorStart() {
+    monitorDucks++;
+    if (MONITOR_DUCK && monitorDucks === 1) applyMonitoringGain(MONITOR_DUCK_ATTACK_MS / 3000);
+}
+
+/**
+ * 断片の再生が終わった: 最後の1つならモニターを戻す
+ */
+function duckMonitorEnd() {
+    monitorDucks = Math.max(0, monitorDucks - 1);
+    if (MONITOR_DUCK && monitorDucks === 0) applyMonitoringGain(MONITOR_DUCK_RELEASE_MS / 3000);
+}
@@ -0,0 +1,175 @@
+// --- [プライバシー: 匿名化・保持期間・録音中の表示・すべて消去] ---
+//
+// 公共の場所で来場者の会話を録り、別の人に聞かせるための安全策。
+//   - 匿名化: 再生する断片の声を加工する（engine の anonymize。soramimi-anonymize.js）
+//   - 保持期間: 録れた音を maxRetention より長く持たない（アーカイブ・保存済みの記憶・直近の聞き間違い）
+//   - 録音中の表示: 来場者に見える「録音しています」の表示（#privacyNotice）
+//   - すべて消去: アーカイブ・コーパス・保存済みの記憶・直近の聞き間違い・セッション録音を 0 で上書きして消す
+//     （WAV 録音の一時ファイルも削除する）
+// プライバシーモード中は、匿名化と保持期間を外せず、録音・断片・ログなどを一切書き出さない（downloadBlob で止める）。
+
+const PRIVACY_PREF_KEY = 'soramimi.privacy'; // { mode, notice }
+const PRIVACY_TICK_MS = 5000; // 保持期間の確認の間隔（停止中も消す）
+const PRIVACY_DEFAULT_RETENTION = '15m'; // プライバシーモードに入ったとき、保持期間が無ければこれにする
+const PRIVACY_DEFAULT_ANONYMIZE = 'shift'; // プライバシーモードに入ったとき、匿名化が無ければこれにする
+const ANONYMIZE_OPTIONS = [
+    { value: 'off', label: 'しない' },
+    { value: 'shift', label: '声の高さをずらす' },
+    { value: 'scramble', label: '帯域を反転する' },
+];
+
+let PRIVACY_MODE = false; // 匿名化と保持期間を強制し、書き出しを止める
+let PRIVACY_NOTICE = true; // 録音中の表示を出す
+
+const privacyState = {
+    timer: null,
+};
+let privacyInfoElement = null;
+let privacyNoticeElement = null;
+
+function savePrivacyPrefs() {
+    try { localStorage.setItem(PRIVACY_PREF_KEY, JSON.stringify({ mode: PRIVACY_MODE, notice: PRIVACY_NOTICE })); } catch (e) {}
+}
+
+/**
+ * プライバシーモードを切り替える（入るときは匿名化と保持期間を有効にし、最小経過時間を保持期間に収め、録音中のセッション録音を捨てる）
+ * @param {boolean} on
+ */
+function setPrivacyMode(on) {
+    PRIVACY_MODE = on;
+    if (on) {
+        const o = engine.options;
+        if (o.anonymize === 'off') {
+            o.anonymize = PRIVACY_DEFAULT_ANONYMIZE;
+            updateLog(`プライバシー: 匿名化を有効にしました (${PRIVACY_DEFAULT_ANONYMIZE})`);
+        }
+        if (!Number.isFinite(engine.maxRetentionMs())) {
+            o.maxRetention = PRIVACY_DEFAULT_RETENTION;
+            updateLog(`プライバシー: 保持期間を ${PRIVACY_DEFAULT_RETENTION} にしました`);
+        }
+        // 保持期間より古い音しか選ばない設定だと何も再生できないので縮める
+        const clamped = SoramimiEngine.clampMinFragmentAge(o.minFragmentAge, o.maxRetention);
+        if (clamped !== null) {
+            o.minFragmentAge = `${Math.floor(clamped)}s`;
+            updateLog(`プライバシー: 最小経過時間が保持期間より長いため ${SoramimiEngine.formatDuration(clamped)} に縮めました`);
+        }
+        if (sessionRecording) discardSessionRecording();
+        enforcePrivacy();
+    }
+    updateLog(`プライバシーモード: ${on ? 'ON（匿名化・保持期間を強制し、書き出しを止めます）' : 'OFF'}`);
+    savePrivacyPrefs();
+    refreshSettingsPanel();
+    renderFragmentList();
+    updateRecorderUI();
+    updatePrivacyInfo();
+}
+
+/**
+ * 書き出しの前に: プライバシーモード中なら止める
+ * @returns {boolean} 止めたか
+ */
+function exportBlocked() {
+    if (!PRIVACY_MODE) return false;
+    updateLog('プライバシーモード中は書き出せません');
+    return true;
+}
+
+/**
+ * 保持期間を過ぎた音を消す（アーカイブ・直近の聞き間違い・保存済みの記憶）
+ */
+function enforcePrivacy() {
+    const maxMs = engine.maxRetentionMs();
+    if (!Number.isFinite(maxMs)) return;
+    engine.enforceRetention();
+    const cutoff = Date.now() - maxMs;
+    forgetFragments(entry => entry.playedAt < cutoff || entry.spans.some(span => span.t < cutoff));
+    // 「記憶を保存」が OFF でも、以前に保存された記憶を消す（pruneArchiveStore がデータベースを開く）
+    pruneArchiveStore()
+        .then(removed => { if (removed > 0) updateStoreInfo(); })
+        .catch(e => console.warn('prune failed', e));
+}
+
+/**
+ * すべて消去（確認なし。来場者に頼まれたときにその場で押せるように）
+ */
+function purgeEverything() {
+    engine.purge();
+    const forgotten = forgetFragments(() => true);
+    discardSessionRecording();
+    clearRecordSpool();
+    corpusState.files = [];
+    updateCorpusInfo();
+    timelineState.markers = [];
+    clearArchiveStore()
+        .then(() => updateLog(`すべて消去しました（直近の聞き間違い ${forgotten} 件・保存済みの記憶を含む）`))
+        .catch(e => updateLog(`保存済みの記憶を消せません: ${e.message}`))
+        .then(() => updateStoreInfo());
+}
+
+/**
+ * 状態の表示
+ */
+function updatePrivacyInfo() {
+    updatePrivacyNotice();
+    if (!privacyInfoElement) return;
+    const o = engine.options;
+    const maxMs = engine.maxRetentionMs();
+    const mode = ANONYMIZE_OPTIONS.find(option => option.value === o.anonymize);
+    const parts = [
+        `匿名化: ${mode ? mode.label : o.anonymize}`,
+        `保持期間: ${Number.isFinite(maxMs) ? SoramimiEngine.formatDuration(maxMs / 1000) : '制限なし'}`,
+    ];
+    if (PRIVACY_MODE) parts.push('書き出し: 停止中');
+    const text = parts.join(' / ');
+    if (privacyInfoElement.textContent !== text) privacyInfoElement.textContent = text;
+}
+
+/**
+ * 来場者に見せる録音中の表示
+ */
+function updatePrivacyNotice() {
+    if (!privacyNoticeElement) return;
+    privacyNoticeElement.hidden = !PRIVACY_NOTICE;
+    privacyNoticeElement.classList.toggle('is-recording', !!audioContext);
+    const maxMs = engine.maxRetentionMs();
+    const retention = Number.isFinite(maxMs) ? `${SoramimiEngine.formatDuration(maxMs / 1000)}で消去` : '';
+    const anonymized = engine.options.anonymize !== 'off' ? '声は加工して再生' : '';
+    const detail = [anonymized, retention].filter(Boolean).join('・');
+    const text = `${audioContext ? '● この場の音を録音しています' : '録音していません'}${audioContext && detail ? `（${detail}）` : ''}`;
+    if (privacyNoticeElement.textContent !== text) privacyNoticeElement.textContent = text;
+}
+
+/**
+ * プライバシーの UI を接続し、保存されていたモードを戻す（engine と録音の UI を作った後）
+ */
+function initPrivacyControls() {
+    privacyInfoElement = document.getElementById('privacyInfo');
+    privacyNoticeElement = document.getElementById('privacyNotice');
+    const modeToggle = document.getElementById('privacyToggle');
+    const noticeToggle = document.getElementById('privacyNoticeToggle');
+    const purgeButton = document.getElementById('privacyPurge');
+
+    let saved = null;
+    try { saved = JSON.parse(localStorage.getItem(PRIVACY_PREF_KEY)); } catch (e) {}
+    if (saved && typeof saved.notice === 'boolean') PRIVACY_NOTICE = saved.notice;
+    if (saved && saved.mode) setPrivacyMode(true);
+
+    if (modeToggle) {
+        modeToggle.checked = PRIVACY_MODE;
+        modeToggle.addEventListener('change', () => setPrivacyMode(modeToggle.checked));
+    }
+    if (noticeToggle) {
+        noticeToggle.checked = PRIVACY_NOTICE;
+        noticeToggle.addEventListener('change', () => {
+            PRIVACY_NOTICE = noticeToggle.checked;
+            savePrivacyPrefs();
+            updatePrivacyNotice();
+        });
+    }
+    if (purgeButton) purgeButton.addEventListener('click', purgeEverything);
+    updatePrivacyInfo();
+    privacyState.timer = setInterval(() => {
+        enforcePrivacy();
+        updatePrivacyInfo();
+    }, PRIVACY_TICK_MS);
+}
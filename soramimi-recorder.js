@@ -0,0 +1,705 @@
+// --- [セッションの録音と断片の書き出し] ---
+//
+// 公演の出力（audioContext.destination に出ている音）を録音してダウンロードする。
+// 出力はすべて masterBus に集まり、その手前にモニター (monitorBus) と
+// 聞き間違い (fragmentBus) の2系統がある。RECORD_STEMS なら2系統も別ファイルで録る。
+//   - 'wav':  ワークレットで受け取った PCM をその場で Int16 にして一時ファイル (OPFS) に書き足し、停止時に WAV ヘッダを書く
+//             （OPFS が使えなければメモリに溜め、RECORD_WAV_MEMORY_MAX_SEC で録音を止めて書き出す）
+//   - 'webm': MediaStreamAudioDestinationNode + MediaRecorder (Opus)
+// ウォッチドッグの作り直しの間は録音を中断し（書き出さない）、作り直した経路のバスにつなぎ直して続ける。
+// WAV は同じファイルに書き足し、Opus は作り直しごとに別ファイル (-part2, -part3...) になる。
+// また、再生した聞き間違いを直近 RECENT_FRAGMENTS_MAX 件覚えておき、
+// 1つずつ WAV とメタデータ (JSON) のセットで保存できるようにする。
+
+const RECENT_FRAGMENTS_MAX = 20; // 保存できるように覚えておく聞き間違いの数
+const RECORD_CHANNELS = 2;
+const FRAGMENT_RENDER_TAIL_SEC = 4; // 断片の書き出し時、残響などのために余分にレンダリングする長さ
+const FRAGMENT_FILE_FORMAT = 'soramimi-fragment';
+const RECORD_MIME_TYPES = ['audio/webm;codecs=opus', 'audio/ogg;codecs=opus', 'audio/webm'];
+const RECORD_SPOOL_PREFIX = 'soramimi-recording-'; // OPFS の一時ファイル（系統ごとに1つ。次の録音で上書き）
+const RECORD_SPOOL_TRACKS = ['mix', 'monitor', 'soramimi'];
+const RECORD_WAV_MEMORY_MAX_SEC = 20 * 60; // OPFS が使えないとき、メモリに溜める WAV の上限（約 230 MB/系統 @48kHz ステレオ）
+
+let RECORD_FORMAT = 'wav'; // 'wav' | 'webm'
+let RECORD_STEMS = false; // ミックスに加えてモニター / 聞き間違いを別ファイルでも録る
+
+let sessionRecording = null; // { format, startedAt, suspended, tracks: [...] }
+const recentFragments = []; // 新しい順 { id, buffer, chain, pan, playedAt, reason, mode, source, spans }
+let recordButton = null;
+let recordInfoElement = null;
+let recordFormatSelect = null;
+let recordStemsToggle = null;
+let fragmentListElement = null;
+
+/**
+ * Blob をファイルとしてダウンロード（プライバシーモード中は何も書き出さない）
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+    if (exportBlocked()) return;
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * ファイル名用の時刻表記 '2024-05-01T12-34-56'（ローカル時刻）
+ * @param {number} t
+ */
+function fileStamp(t) {
+    const d = new Date(t);
+    const pad = n => String(n).padStart(2, '0');
+    return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}-${pad(d.getMinutes())}-${pad(d.getSeconds())}`;
+}
+
+// --- WAV エンコーダ ---
+
+/**
+ * インターリーブ済みの Int16 PCM から WAV ファイルを作る
+ * @param {Int16Array[]} chunks
+ * @param {number} channels
+ * @param {number} sampleRate
+ * @returns {Blob}
+ */
+function encodeWav(chunks, channels, sampleRate) {
+    const dataBytes = chunks.reduce((sum, c) => sum + c.byteLength, 0);
+    return new Blob([wavHeader(dataBytes, channels, sampleRate), ...chunks], { type: 'audio/wav' });
+}
+
+/**
+ * 16bit PCM の WAV ヘッダ (44 bytes)
+ * @param {number} dataBytes
+ * @param {number} channels
+ * @param {number} sampleRate
+ * @returns {DataView}
+ */
+function wavHeader(dataBytes, channels, sampleRate) {
+    const header = new DataView(new ArrayBuffer(44));
+    const text = (offset, str) => { for (let i = 0; i < str.length; i++) header.setUint8(offset + i, str.charCodeAt(i)); };
+    text(0, 'RIFF');
+    header.setUint32(4, 36 + dataBytes, true);
+    text(8, 'WAVE');
+    text(12, 'fmt ');
+    header.setUint32(16, 16, true); // fmt chunk size
+    header.setUint16(20, 1, true); // PCM
+    header.setUint16(22, channels, true);
+    header.setUint32(24, sampleRate, true);
+    header.setUint32(28, sampleRate * channels * 2, true); // byte rate
+    header.setUint16(32, channels * 2, true); // block align
+    header.setUint16(34, 16, true); // bits per sample
+    text(36, 'data');
+    header.setUint32(40, dataBytes, true);
+    return header;
+}
+
+/**
+ * チャンネルごとの Float32 をインターリーブした Int16 にする
+ * @param {Float32Array[]} channels
+ * @param {number} frames
+ */
+function interleaveInt16(channels, frames) {
+    const out = new Int16Array(frames * channels.length);
+    for (let i = 0; i < frames; i++) {
+        for (let ch = 0; ch < channels.length; ch++) {
+            const v = channels[ch][i];
+            out[i * channels.length + ch] = v >= 1 ? 32767 : v <= -1 ? -32768 : Math.round(v * 32767);
+        }
+    }
+    return out;
+}
+
+/**
+ * AudioBuffer を WAV にする。末尾の無音 (残響の余白) は切り詰める
+ * @param {AudioBuffer} buffer
+ * @returns {Blob}
+ */
+function audioBufferToWav(buffer) {
+    const channels = [];
+    for (let ch = 0; ch < buffer.numberOfChannels; ch++) channels.push(buffer.getChannelData(ch));
+    let frames = buffer.length;
+    while (frames > 0 && channels.every(data => Math.abs(data[frames - 1]) < 1e-4)) frames--;
+    return encodeWav([interleaveInt16(channels, frames)], channels.length, buffer.sampleRate);
+}
+
+// --- セッションの録音 ---
+
+/**
+ * WAV を書き足していく一時ファイルを開く（OPFS。使えなければ null でメモリに溜める）
+ * 先頭にヘッダの分を空けておき、停止時に書き直す
+ * @param {string} name 系統名
+ * @returns {Promise<{handle: FileSystemFileHandle, writable: FileSystemWritableFileStream, writing: Promise}|null>}
+ */
+function openWavSpool(name) {
+    if (!navigator.storage || !navigator.storage.getDirectory) return Promise.resolve(null);
+    return navigator.storage.getDirectory()
+        .then(root => root.getFileHandle(`${RECORD_SPOOL_PREFIX}${name}.wav`, { create: true }))
+        .then(handle => handle.createWritable().then(writable => ({ handle, writable, writing: writable.write(new Uint8Array(44)) })))
+        .catch(e => {
+            console.warn('recording spool unavailable', e);
+            return null;
+        });
+}
+
+/**
+ * 録音の一時ファイルを削除（すべて消去）
+ * @returns {Promise<void>}
+ */
+function clearRecordSpool() {
+    if (!navigator.storage || !navigator.storage.getDirectory) return Promise.resolve();
+    return navigator.storage.getDirectory()
+        .then(root => Promise.all(RECORD_SPOOL_TRACKS.map(name => root.removeEntry(`${RECORD_SPOOL_PREFIX}${name}.wav`).catch(() => {}))))
+        .then(() => {}, () => {});
+}
+
+/**
+ * 1系統分の WAV 録音（ワークレットが使えなければ ScriptProcessorNode）
+ * @param {string} name
+ * @param {AudioNode} bus
+ */
+function createWavTrack(name, bus) {
+    const sampleRate = audioContext.sampleRate;
+    const track = { name, bus, node: null, chunks: [], frames: 0, spool: null, limited: false, append: null };
+    track.append = (planar, frames) => {
+        const channels = [];
+        for (let ch = 0; ch < RECORD_CHANNELS; ch++) channels.push(planar.subarray(ch * frames, (ch + 1) * frames));
+        const data = interleaveInt16(channels, frames);
+        track.frames += frames;
+        const spool = track.spool;
+        if (spool) {
+            spool.writing = spool.writing.then(() => spool.writable.write(data)).catch(e => {
+                if (spool.error) return;
+                spool.error = e;
+                console.warn('recording spool write failed', e);
+                updateLog(`録音: 一時ファイルに書き込めません (${e && e.name ? e.name : e})。ここまでを書き出します`);
+                if (sessionRecording && sessionRecording.tracks.includes(track)) stopSessionRecording();
+            });
+            return;
+        }
+        track.chunks.push(data);
+        if (!track.limited && track.frames >= RECORD_WAV_MEMORY_MAX_SEC * sampleRate) {
+            track.limited = true;
+            updateLog(`録音: メモリに溜められる長さ (${SoramimiEngine.formatDuration(RECORD_WAV_MEMORY_MAX_SEC)}) に達したので止めて書き出します（長く録るなら Opus にしてください）`);
+            if (sessionRecording && sessionRecording.tracks.includes(track)) stopSessionRecording();
+        }
+    };
+    return openWavSpool(name).then(spool => {
+        track.spool = spool;
+        return attachWavCapture(track, bus);
+    });
+}
+
+/**
+ * WAV の系統に、今の AudioContext で受け取りのノードをつなぐ（作り直しの後は新しいバスへつなぎ直す）
+ * @param {object} track createWavTrack() の系統
+ * @param {AudioNode} bus
+ * @returns {Promise<object>} track
+ */
+function attachWavCapture(track, bus) {
+    const ctx = audioContext;
+    const useScriptProcessor = () => {
+        const node = ctx.createScriptProcessor(BUFFER_SIZE, RECORD_CHANNELS, RECORD_CHANNELS);
+        node.onaudioprocess = (event) => {
+            const input = event.inputBuffer;
+            const planar = new Float32Array(input.length * RECORD_CHANNELS);
+            for (let ch = 0; ch < RECORD_CHANNELS; ch++) {
+                planar.set(input.getChannelData(Math.min(ch, input.numberOfChannels - 1)), ch * input.length);
+            }
+            track.append(planar, input.length);
+        };
+        return node;
+    };
+    const connect = node => {
+        track.bus = bus;
+        track.node = node;
+        bus.connect(node);
+        return track;
+    };
+    if (!ctx.audioWorklet || typeof AudioWorkletNode === 'undefined') return Promise.resolve(connect(useScriptProcessor()));
+    // アーカイブと同じキャプチャ用プロセッサ（モジュールは読み込み済みならすぐ解決する）
+    return ctx.audioWorklet.addModule(ARCHIVE_WORKLET_URL)
+        .then(() => {
+            const node = new AudioWorkletNode(ctx, 'soramimi-archive-capture', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                channelCount: RECORD_CHANNELS,
+                channelCountMode: 'explicit',
+                processorOptions: { blockSize: BUFFER_SIZE, channels: RECORD_CHANNELS },
+            });
+            node.port.onmessage = (event) => {
+                const block = event.data;
+                if (!(block instanceof Float32Array)) return;
+                try {
+                    track.append(block, BUFFER_SIZE);
+                } finally {
+                    // 書き込みに失敗してもバッファは必ず返す（soramimi.js の取り込みと同じ）
+                    node.port.postMessage(block, [block.buffer]);
+                }
+            };
+            return connect(node);
+        })
+        .catch(e => {
+            console.warn('recorder worklet unavailable, falling back to ScriptProcessorNode', e);
+            return connect(useScriptProcessor());
+        });
+}
+
+/**
+ * 1系統分の Opus 録音 (MediaRecorder)
+ * @param {string} name
+ * @param {AudioNode} bus
+ * @param {string} mimeType
+ */
+function createMediaRecorderTrack(name, bus, mimeType) {
+    const node = audioContext.createMediaStreamDestination();
+    bus.connect(node);
+    const track = { name, bus, node, recorder: null, chunks: [], segments: [] };
+    attachMediaRecorder(track, bus, node, mimeType);
+    return Promise.resolve(track);
+}
+
+/**
+ * Opus の系統に MediaRecorder をつけて録り始める（作り直しの後は新しい区切りとして録る）
+ * @param {object} track
+ * @param {AudioNode} bus
+ * @param {MediaStreamAudioDestinationNode} node
+ * @param {string} mimeType
+ */
+function attachMediaRecorder(track, bus, node, mimeType) {
+    const recorder = new MediaRecorder(node.stream, { mimeType });
+    const chunks = [];
+    track.bus = bus;
+    track.node = node;
+    track.recorder = recorder;
+    track.chunks = chunks;
+    recorder.ondataavailable = (event) => {
+        if (event.data && event.data.size > 0) chunks.push(event.data);
+    };
+    recorder.start(1000);
+}
+
+/**
+ * Opus の系統の MediaRecorder を止め、そこまでを1つの区切りとして取っておく
+ * @param {object} track
+ * @param {string} mimeType
+ * @returns {Promise<void>}
+ */
+function closeMediaRecorder(track, mimeType) {
+    const recorder = track.recorder;
+    // 中断で止めた分がまだ区切りになっていなければ、それを待つ
+    if (!recorder) return track.closing || Promise.resolve();
+    track.recorder = null;
+    const { bus, node, chunks } = track;
+    track.closing = new Promise(resolve => {
+        recorder.onstop = () => {
+            disconnectTrack({ bus, node });
+            if (chunks.length > 0) track.segments.push(new Blob(chunks, { type: mimeType }));
+            resolve();
+        };
+        if (recorder.state === 'inactive') recorder.onstop();
+        else recorder.stop();
+    });
+    return track.closing;
+}
+
+/**
+ * MediaRecorder で使える Opus の形式
+ * @returns {string|null}
+ */
+function supportedRecordMimeType() {
+    if (typeof MediaRecorder === 'undefined') return null;
+    return RECORD_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || null;
+}
+
+/**
+ * セッションの録音を開始（開始中のみ: 出力のバスが必要）
+ * @returns {Promise<boolean>}
+ */
+function startSessionRecording() {
+    if (sessionRecording) return Promise.resolve(true);
+    if (PRIVACY_MODE) {
+        updateLog('プライバシーモード中は録音できません');
+        return Promise.resolve(false);
+    }
+    if (!audioContext || !masterBus) {
+        updateLog('録音できません: 開始してから録音してください');
+        return Promise.resolve(false);
+    }
+    let format = RECORD_FORMAT;
+    const mimeType = format === 'webm' ? supportedRecordMimeType() : null;
+    if (format === 'webm' && !mimeType) {
+        updateLog('このブラウザは Opus で録音できないため WAV で録音します');
+        format = 'wav';
+    }
+    const buses = [{ name: 'mix', bus: masterBus }];
+    if (RECORD_STEMS) buses.push({ name: 'monitor', bus: monitorBus }, { name: 'soramimi', bus: fragmentBus });
+    const recording = { format, mimeType, sampleRate: audioContext.sampleRate, startedAt: Date.now(), tracks: [] };
+    sessionRecording = recording;
+    return Promise.all(buses.map(({ name, bus }) => (format === 'webm'
+        ? createMediaRecorderTrack(name, bus, mimeType)
+        : createWavTrack(name, bus))))
+        .then(tracks => {
+            recording.tracks = tracks;
+            // stopSessionRecording() / stopSoramimi() while the worklet module loaded
+            if (sessionRecording !== recording || !audioContext) {
+                tracks.forEach(track => {
+                    disconnectTrack(track);
+                    abortWavSpool(track);
+                });
+                return false;
+            }
+            updateLog(`録音開始: ${format === 'webm' ? `Opus (${mimeType})` : 'WAV'}${RECORD_STEMS ? ' / ステムあり' : ''}`);
+            if (outputChannels > RECORD_CHANNELS) updateLog(`録音: ${outputChannels} チャンネルの出力を ${RECORD_CHANNELS} チャンネルにまとめて録ります`);
+            updateRecorderUI();
+            return true;
+        })
+        .catch(e => {
+            console.warn('session recording failed', e);
+            updateLog(`録音を開始できません: ${e && e.name ? e.name : e}`);
+            if (sessionRecording === recording) sessionRecording = null;
+            updateRecorderUI();
+            return false;
+        });
+}
+
+/**
+ * 録音用ノードを出力のバスから外す
+ * @param {object} track
+ */
+function disconnectTrack(track) {
+    try {
+        if (track.node.port) track.node.port.onmessage = null;
+        if (track.node.onaudioprocess) track.node.onaudioprocess = null;
+        track.bus.disconnect(track.node);
+    } catch (e) {}
+}
+
+/**
+ * WAV の一時ファイルへの書き込みを取り消す（書き出さずに捨てるとき）
+ * @param {object} track
+ */
+function abortWavSpool(track) {
+    const spool = track.spool;
+    track.spool = null;
+    if (spool) spool.writing.then(() => spool.writable.abort()).catch(() => {});
+}
+
+/**
+ * 1系統分の録音を終えてファイルにする
+ * @param {object} track
+ * @param {{format: string, mimeType: string, sampleRate: number}} recording
+ * @returns {Promise<Blob[]>} WAV は1つ。Opus は作り直しで区切られた数だけ
+ */
+function finishTrack(track, recording) {
+    if (recording.format !== 'webm') {
+        disconnectTrack(track);
+        const spool = track.spool;
+        if (!spool) return Promise.resolve([encodeWav(track.chunks, RECORD_CHANNELS, recording.sampleRate)]);
+        // 書き足し終わるのを待ってヘッダを書き直し、ファイル（ディスク上の Blob）として返す
+        const header = wavHeader(track.frames * RECORD_CHANNELS * 2, RECORD_CHANNELS, recording.sampleRate);
+        return spool.writing
+            .then(() => spool.writable.write({ type: 'write', position: 0, data: header }))
+            .then(() => spool.writable.close())
+            .then(() => spool.handle.getFile())
+            .then(file => [file.slice(0, file.size, 'audio/wav')]);
+    }
+    return closeMediaRecorder(track, recording.mimeType).then(() => track.segments);
+}
+
+/**
+ * セッションの録音を停止し、各系統をダウンロード
+ * @returns {Promise<void>}
+ */
+function stopSessionRecording() {
+    const recording = sessionRecording;
+    sessionRecording = null;
+    updateRecorderUI();
+    if (!recording || recording.tracks.length === 0) return Promise.resolve();
+    const ext = recording.format === 'webm' ? (recording.mimeType.indexOf('ogg') >= 0 ? 'ogg' : 'webm') : 'wav';
+    const stamp = fileStamp(recording.startedAt);
+    return Promise.all(recording.tracks.map(track => finishTrack(track, recording).then(blobs => blobs.map((blob, i) => {
+        downloadBlob(blob, `soramimi-session-${stamp}-${track.name}${i > 0 ? `-part${i + 1}` : ''}.${ext}`);
+        return blob.size;
+    })))).then(perTrack => {
+        const sizes = [].concat(...perTrack);
+        const mb = sizes.reduce((a, b) => a + b, 0) / 1024 / 1024;
+        const sec = (Date.now() - recording.startedAt) / 1000;
+        updateLog(`録音停止: ${SoramimiEngine.formatDuration(sec)} / ${sizes.length} ファイル (${mb.toFixed(1)} MB)`);
+        if (recordInfoElement) recordInfoElement.textContent = `録音: ${SoramimiEngine.formatDuration(sec)} を保存しました`;
+    }).catch(e => {
+        console.warn('session recording export failed', e);
+        updateLog(`録音を書き出せません: ${e && e.name ? e.name : e}`);
+    });
+}
+
+/**
+ * ウォッチドッグの作り直しの前に: 録音を書き出さずに中断する（閉じる経路から外すだけで、録った分は残す）
+ */
+function suspendSessionRecording() {
+    const recording = sessionRecording;
+    if (!recording || recording.suspended) return;
+    // 録音の開始を待っている途中なら、続けずにそこで終える
+    if (recording.tracks.length === 0) {
+        stopSessionRecording();
+        return;
+    }
+    recording.suspended = true;
+    recording.tracks.forEach(track => {
+        if (recording.format === 'webm') closeMediaRecorder(track, recording.mimeType);
+        else disconnectTrack(track);
+    });
+    updateLog('録音: 経路を作り直す間は中断します');
+    updateRecorderUI();
+}
+
+/**
+ * 作り直した経路で: 中断していた録音を新しいバスにつなぎ直して続ける
+ * （サンプルレートが変わったら、そこまでを書き出して録り直す）
+ * @returns {Promise<boolean>} 続けられたか
+ */
+function resumeSessionRecording() {
+    const recording = sessionRecording;
+    if (!recording || !recording.suspended || !audioContext) return Promise.resolve(false);
+    if (audioContext.sampleRate !== recording.sampleRate) {
+        updateLog(`録音: サンプルレートが変わったので (${recording.sampleRate} → ${audioContext.sampleRate} Hz) ここまでを書き出して録り直します`);
+        stopSessionRecording();
+        return startSessionRecording();
+    }
+    const ctx = audioContext;
+    const buses = { mix: masterBus, monitor: monitorBus, soramimi: fragmentBus };
+    recording.suspended = false;
+    return Promise.all(recording.tracks.map(track => {
+        if (recording.format !== 'webm') return attachWavCapture(track, buses[track.name]);
+        const node = ctx.createMediaStreamDestination();
+        buses[track.name].connect(node);
+        attachMediaRecorder(track, buses[track.name], node, recording.mimeType);
+        return track;
+    })).then(() => {
+        // stopSessionRecording() / 次の作り直しがワークレットの読み込み中に来た
+        if (sessionRecording !== recording || recording.suspended || audioContext !== ctx) {
+            if (recording.format !== 'webm') recording.tracks.forEach(disconnectTrack);
+            return false;
+        }
+        updateLog('録音: 作り直した経路で続けます');
+        updateRecorderUI();
+        return true;
+    }).catch(e => {
+        console.warn('session recording resume failed', e);
+        updateLog(`録音を続けられません: ${e && e.name ? e.name : e}。ここまでを書き出します`);
+        if (sessionRecording === recording) stopSessionRecording();
+        return false;
+    });
+}
+
+/**
+ * セッションの録音を書き出さずに捨てる（プライバシーモードに入ったとき・すべて消去）
+ */
+function discardSessionRecording() {
+    const recording = sessionRecording;
+    sessionRecording = null;
+    updateRecorderUI();
+    if (!recording) return;
+    recording.tracks.forEach(track => {
+        if (track.recorder) {
+            track.recorder.ondataavailable = null;
+            try { track.recorder.stop(); } catch (e) {}
+        }
+        disconnectTrack(track);
+        abortWavSpool(track);
+        track.chunks.forEach(chunk => { if (chunk.fill) chunk.fill(0); });
+        track.chunks.length = 0;
+        if (track.segments) Promise.resolve(track.closing).then(() => { track.segments.length = 0; });
+    });
+    if (recordInfoElement) recordInfoElement.textContent = '';
+    updateLog('録音を破棄しました（書き出していません）');
+}
+
+// --- 断片の保存 ---
+
+/**
+ * 再生した聞き間違いを保存候補として覚えておく
+ * @param {object} entry playSoraMimiBuffer() が渡す { buffer, chain, pan, playedAt, reason, mode, source, spans }
+ */
+function rememberFragment(entry) {
+    entry.id = `${fileStamp(entry.playedAt)}-${Math.random().toString(36).slice(2, 6)}`;
+    recentFragments.unshift(entry);
+    if (recentFragments.length > RECENT_FRAGMENTS_MAX) recentFragments.length = RECENT_FRAGMENTS_MAX;
+    renderFragmentList();
+}
+
+/**
+ * 覚えている聞き間違いを忘れる（バッファは 0 で上書き）
+ * @param {(entry: object) => boolean} predicate true を返したものを忘れる
+ * @returns {number} 忘れた数
+ */
+function forgetFragments(predicate) {
+    let forgotten = 0;
+    for (let i = recentFragments.length - 1; i >= 0; i--) {
+        const entry = recentFragments[i];
+        if (!predicate(entry)) continue;
+        for (let ch = 0; ch < entry.buffer.numberOfChannels; ch++) entry.buffer.getChannelData(ch).fill(0);
+        recentFragments.splice(i, 1);
+        forgotten++;
+    }
+    if (forgotten > 0) renderFragmentList();
+    return forgotten;
+}
+
+/**
+ * 入力 ID → 表示名（入力が無い・保存された記憶なら null）
+ * @param {string} [id]
+ */
+function inputLabel(id) {
+    const archive = id ? engine.input(id) : null;
+    return archive ? archive.label || archive.id : null;
+}
+
+/**
+ * 断片のメタデータ（JSON の横に置くファイル）
+ * @param {object} entry
+ */
+function fragmentMetadata(entry) {
+    return {
+        format: FRAGMENT_FILE_FORMAT,
+        version: 1,
+        id: entry.id,
+        playedAt: new Date(entry.playedAt).toISOString(),
+        trigger: entry.reason || null,
+        mode: entry.mode,
+        source: entry.source,
+        input: inputLabel(entry.input),
+        outputZone: inputLabel(entry.outputZone),
+        capturedAt: entry.spans.map(span => new Date(span.t).toISOString()),
+        ageSec: entry.spans.map(span => Math.round((entry.playedAt - span.t) / 100) / 10),
+        spanSec: entry.spans.map(span => Math.round(span.sec * 1000) / 1000),
+        corpus: entry.corpus || null,
+        anonymized: entry.anonymized || null,
+        durationSec: Math.round(entry.buffer.duration * 1000) / 1000,
+        sampleRate: entry.buffer.sampleRate,
+        effects: entry.chain.map(({ effect, params }) => ({ name: effect.name, params })),
+        pan: entry.pan,
+        placement: entry.placement,
+        replayGain: entry.gain,
+        loudnessDb: entry.loudnessDb === undefined ? null : entry.loudnessDb,
+        loudnessGainDb: entry.loudnessGainDb || 0,
+    };
+}
+
+/**
+ * 再生時と同じエフェクト・パラメータ・配置で断片をレンダリングする
+ * （OfflineAudioContext が無ければ演出前の断片をそのまま返す。マルチスピーカーの配置はステレオのパンに置き換える）
+ * @param {object} entry
+ * @returns {Promise<AudioBuffer>}
+ */
+function renderFragment(entry) {
+    const OfflineCtx = window.OfflineAudioContext || window.webkitOfflineAudioContext;
+    if (!OfflineCtx) return Promise.resolve(entry.buffer);
+    const sr = entry.buffer.sampleRate;
+    // pitch は最大 1/0.75 倍に伸びるので、長めにレンダリングして無音の尾は WAV にするとき切り詰める
+    const length = Math.ceil((entry.buffer.duration * 2 + FRAGMENT_RENDER_TAIL_SEC) * sr);
+    const offline = new OfflineCtx(RECORD_CHANNELS, length, sr);
+    const placement = entry.placement.mode === 'speakers' ? { mode: 'stereo', pan: entry.pan } : entry.placement;
+    const graph = connectFragmentGraph(offline, entry.buffer, entry.chain, placement, offline.destination, entry.gain);
+    graph.sourceNode.start(0);
+    return offline.startRendering().then(rendered => {
+        graph.cleanups.forEach(fn => fn());
+        return rendered;
+    });
+}
+
+/**
+ * 覚えている断片を WAV とメタデータ JSON としてダウンロード
+ * @param {string} id
+ * @returns {Promise<void>}
+ */
+function saveFragment(id) {
+    const entry = recentFragments.find(f => f.id === id);
+    if (!entry) return Promise.resolve();
+    return renderFragment(entry).then(rendered => {
+        const name = `soramimi-fragment-${entry.id}`;
+        downloadBlob(audioBufferToWav(rendered), `${name}.wav`);
+        const meta = new Blob([JSON.stringify(fragmentMetadata(entry), null, 2)], { type: 'application/json' });
+        downloadBlob(meta, `${name}.json`);
+        updateLog(`断片を保存: ${name}.wav`);
+    }).catch(e => {
+        console.warn('fragment render failed', e);
+        updateLog(`断片を保存できません: ${e && e.name ? e.name : e}`);
+    });
+}
+
+// --- UI ---
+
+/**
+ * 直近の聞き間違いの一覧を描き直す
+ */
+function renderFragmentList() {
+    if (!fragmentListElement) return;
+    fragmentListElement.textContent = '';
+    for (const entry of recentFragments) {
+        const item = document.createElement('li');
+        const label = document.createElement('span');
+        const oldest = Math.min(...entry.spans.map(span => span.t));
+        const age = entry.corpus ? `コーパス「${entry.corpus.name}」` : Number.isFinite(oldest) ? `${SoramimiEngine.formatDuration((entry.playedAt - oldest) / 1000)}前の音` : '';
+        label.textContent = `${new Date(entry.playedAt).toLocaleTimeString()} ${entry.mode} ${entry.buffer.duration.toFixed(1)}s ${age} · ${entry.chain.map(c => c.effect.name).join(' → ') || '演出なし'}`;
+        label.title = entry.reason || '';
+        const button = document.createElement('button');
+        button.className = 'btn ghost';
+        button.textContent = '保存';
+        button.title = PRIVACY_MODE ? 'プライバシーモード中は保存できません' : 'この聞き間違いを WAV とメタデータ (JSON) で保存します';
+        button.disabled = PRIVACY_MODE;
+        button.addEventListener('click', () => saveFragment(entry.id));
+        item.append(label, button);
+        fragmentListElement.append(item);
+    }
+}
+
+/**
+ * 録音ボタンの表示を状態に合わせる
+ */
+function updateRecorderUI() {
+    if (recordButton) {
+        recordButton.textContent = sessionRecording ? '録音停止' : '録音';
+        recordButton.classList.toggle('is-recording', !!sessionRecording);
+        recordButton.disabled = !sessionRecording && (!masterBus || PRIVACY_MODE);
+    }
+    // 録音中は形式・ステムを変えられない
+    if (recordFormatSelect) recordFormatSelect.disabled = !!sessionRecording;
+    if (recordStemsToggle) recordStemsToggle.disabled = !!sessionRecording;
+    if (recordInfoElement && sessionRecording) {
+        recordInfoElement.textContent = `${sessionRecording.suspended ? '録音中断中（作り直しを待っています）' : '録音中'} (${sessionRecording.format === 'webm' ? 'Opus' : 'WAV'}${RECORD_STEMS ? ' + ステム' : ''})`;
+    }
+}
+
+/**
+ * 録音の操作（ボタン・形式・ステム）と断片一覧を初期化
+ */
+function initRecorderControls() {
+    recordButton = document.getElementById('recordButton');
+    recordInfoElement = document.getElementById('recordInfo');
+    fragmentListElement = document.getElementById('fragmentList');
+    recordFormatSelect = document.getElementById('recordFormat');
+    recordStemsToggle = document.getElementById('recordStems');
+    if (recordFormatSelect) {
+        if (!supportedRecordMimeType()) {
+            const webm = recordFormatSelect.querySelector('option[value="webm"]');
+            if (webm) webm.disabled = true;
+        }
+        recordFormatSelect.value = RECORD_FORMAT;
+        recordFormatSelect.addEventListener('change', () => { RECORD_FORMAT = recordFormatSelect.value; });
+    }
+    if (recordStemsToggle) {
+        recordStemsToggle.checked = RECORD_STEMS;
+        recordStemsToggle.addEventListener('change', () => { RECORD_STEMS = recordStemsToggle.checked; });
+    }
+    if (recordButton) {
+        recordButton.addEventListener('click', () => {
+            if (sessionRecording) stopSessionRecording();
+            else startSessionRecording();
+        });
+    }
+    updateRecorderUI();
+    renderFragmentList();
+}
@@ -0,0 +1,308 @@
+#!/usr/bin/env node
+// --- [リモート操作の中継サーバー (Node)] ---
+//
+// 公演のページ（performer）と、スマートフォンや別の PC の操作画面（controller, remote.html）を
+// LAN 内の WebSocket でつなぐ小さな中継。外部のサービスやパッケージは使わない（Node の標準モジュールだけ）。
+//
+//   SORAMIMI_TOKEN=<合言葉> node soramimi-relay.js [port]       （既定 8787。合言葉が無ければ起動しない）
+//
+//   http://<この PC>:8787/              公演のページ（このディレクトリをそのまま配信）
+//   http://<この PC>:8787/remote.html   操作画面
+//   ws://<この PC>:8787/ws              中継
+//
+// 各クライアントは最初に { type: 'hello', role: 'performer' | 'controller', token } を送る。
+// 合言葉が SORAMIMI_TOKEN と合えば { type: 'welcome' } を返し、合わなければ { type: 'error' } を返して切る。
+// hello が通るまでは、そのクライアントへは何も流さず、そのクライアントからのメッセージも流さない。
+// 通った controller のメッセージはすべての performer へ、performer のメッセージはすべての controller へそのまま流す。
+// 中身（コマンド・状態）は見ない。新しくつながった controller には、各 performer の直近の状態を送る。
+//
+// 注: マイクを使うので、公演のページを別の端末から開くときは https か localhost が必要（ブラウザの制約）。
+
+'use strict';
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = Number(process.argv[2]) || 8787;
+const TOKEN = String(process.env.SORAMIMI_TOKEN || '').trim();
+const ROOT = __dirname;
+const WS_PATH = '/ws';
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1024 * 1024;
+const PING_INTERVAL_MS = 20000;
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.wav': 'audio/wav',
+    '.mp3': 'audio/mpeg',
+    '.ogg': 'audio/ogg',
+};
+
+const clients = new Set(); // { socket, role, name, buffer, fragments, lastStatus, alive }
+
+// --- 静的ファイル ---
+
+const server = http.createServer((req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+        res.writeHead(405).end();
+        return;
+    }
+    let pathname;
+    try {
+        pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+        res.writeHead(400).end();
+        return;
+    }
+    if (pathname.endsWith('/')) pathname += 'index.html';
+    const file = path.join(ROOT, path.normalize(pathname));
+    const type = MIME_TYPES[path.extname(file).toLowerCase()];
+    // ディレクトリの外・隠しファイル・知らない種類のファイルは出さない
+    if (!file.startsWith(ROOT + path.sep) || !type || path.basename(file).startsWith('.')) {
+        res.writeHead(404).end();
+        return;
+    }
+    fs.readFile(file, (err, data) => {
+        if (err) {
+            res.writeHead(404).end();
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': type, 'Cache-Control': 'no-cache' });
+        res.end(req.method === 'HEAD' ? undefined : data);
+    });
+});
+
+// --- WebSocket (RFC 6455 の必要な部分だけ) ---
+
+server.on('upgrade', (req, socket) => {
+    const key = req.headers['sec-websocket-key'];
+    const pathname = new URL(req.url, 'http://localhost').pathname;
+    if (pathname !== WS_PATH || !key || String(req.headers.upgrade).toLowerCase() !== 'websocket') {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+    const accept = crypto.createHash('sha1').update(key + WS_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', '',
+    ].join('\r\n'));
+    socket.setNoDelay(true);
+
+    const client = { socket, role: null, name: '', buffer: Buffer.alloc(0), fragments: [], lastStatus: null, alive: true };
+    clients.add(client);
+    log(`接続: ${req.socket.remoteAddress}`);
+    socket.on('data', chunk => {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+        try {
+            readFrames(client);
+        } catch (e) {
+            log(`切断（不正なフレーム）: ${e.message}`);
+            closeClient(client, 1002);
+        }
+    });
+    socket.on('close', () => dropClient(client));
+    socket.on('error', () => dropClient(client));
+});
+
+/**
+ * 溜まったバイト列から完全なフレームを取り出して処理する
+ * @param {object} client
+ */
+function readFrames(client) {
+    for (;;) {
+        const buf = client.buffer;
+        if (buf.length < 2) return;
+        const fin = (buf[0] & 0x80) !== 0;
+        const opcode = buf[0] & 0x0f;
+        const masked = (buf[1] & 0x80) !== 0;
+        let length = buf[1] & 0x7f;
+        let offset = 2;
+        if (length === 126) {
+            if (buf.length < 4) return;
+            length = buf.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (buf.length < 10) return;
+            const high = buf.readUInt32BE(2);
+            if (high !== 0) throw new Error('too large');
+            length = buf.readUInt32BE(6);
+            offset = 10;
+        }
+        if (!masked) throw new Error('client frames must be masked');
+        if (length > MAX_MESSAGE_BYTES) throw new Error('too large');
+        if (buf.length < offset + 4 + length) return;
+        const mask = buf.subarray(offset, offset + 4);
+        const payload = Buffer.from(buf.subarray(offset + 4, offset + 4 + length));
+        for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+        client.buffer = buf.subarray(offset + 4 + length);
+
+        if (opcode === 0x8) {
+            closeClient(client, 1000);
+            return;
+        } else if (opcode === 0x9) {
+            sendFrame(client, 0xa, payload);
+        } else if (opcode === 0xa) {
+            client.alive = true;
+        } else if (opcode === 0x1 || opcode === 0x0) {
+            // 分割されたメッセージは FIN まで溜める
+            client.fragments.push(payload);
+            if (client.fragments.reduce((sum, part) => sum + part.length, 0) > MAX_MESSAGE_BYTES) throw new Error('too large');
+            if (fin) {
+                const text = Buffer.concat(client.fragments).toString('utf8');
+                client.fragments = [];
+                onMessage(client, text);
+            }
+        } else if (opcode === 0x2) {
+            // バイナリは使わない
+        }
+    }
+}
+
+/**
+ * @param {object} client
+ * @param {number} opcode
+ * @param {Buffer} payload
+ */
+function sendFrame(client, opcode, payload) {
+    if (client.socket.destroyed) return;
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x80 | opcode, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeUInt32BE(0, 2);
+        header.writeUInt32BE(payload.length, 6);
+    }
+    client.socket.write(Buffer.concat([header, payload]));
+}
+
+/**
+ * @param {object} client
+ * @param {string} text
+ */
+function sendText(client, text) {
+    sendFrame(client, 0x1, Buffer.from(text, 'utf8'));
+}
+
+function closeClient(client, code) {
+    const payload = Buffer.alloc(2);
+    payload.writeUInt16BE(code, 0);
+    sendFrame(client, 0x8, payload);
+    client.socket.end();
+    dropClient(client);
+}
+
+function dropClient(client) {
+    if (!clients.delete(client)) return;
+    log(`切断: ${client.role || '(hello 前)'} ${client.name}`);
+    if (client.role === 'performer') {
+        // controller に公演のページが離れたことを知らせる
+        broadcast('controller', JSON.stringify({ type: 'peer', role: 'performer', name: client.name, connected: false }));
+    }
+}
+
+// --- 中継 ---
+
+/**
+ * @param {object} client
+ * @param {string} text
+ */
+function onMessage(client, text) {
+    let message;
+    try {
+        message = JSON.parse(text);
+    } catch (e) {
+        return;
+    }
+    if (!message || typeof message.type !== 'string') return;
+    if (message.type === 'hello') {
+        if (client.role || (message.role !== 'performer' && message.role !== 'controller')) return;
+        if (!tokenMatches(message.token)) {
+            log(`合言葉が違うため切断: ${message.role}`);
+            sendText(client, JSON.stringify({ type: 'error', error: 'auth', message: '合言葉が違います' }));
+            closeClient(client, 1008);
+            return;
+        }
+        client.role = message.role;
+        client.name = String(message.name || '').slice(0, 80);
+        log(`hello: ${client.role} ${client.name}`);
+        sendText(client, JSON.stringify({ type: 'welcome', role: client.role }));
+        if (client.role === 'controller') {
+            for (const other of clients) {
+                if (other.role === 'performer' && other.lastStatus) sendText(client, other.lastStatus);
+            }
+        } else {
+            broadcast('controller', JSON.stringify({ type: 'peer', role: 'performer', name: client.name, connected: true }));
+        }
+        return;
+    }
+    if (!client.role) return;
+    if (client.role === 'performer' && message.type === 'status') client.lastStatus = text;
+    broadcast(client.role === 'performer' ? 'controller' : 'performer', text);
+}
+
+/**
+ * 合言葉を比べる（長さや一致した位置が時間から分からないよう、ハッシュにしてから比べる）
+ * @param {*} token
+ * @returns {boolean}
+ */
+function tokenMatches(token) {
+    if (typeof token !== 'string') return false;
+    const digest = value => crypto.createHash('sha256').update(value, 'utf8').digest();
+    return crypto.timingSafeEqual(digest(token.trim()), digest(TOKEN));
+}
+
+/**
+ * @param {string} role 送り先
+ * @param {string} text
+ */
+function broadcast(role, text) {
+    for (const client of clients) {
+        if (client.role === role) sendText(client, text);
+    }
+}
+
+function log(message) {
+    console.log(`[${new Date().toLocaleTimeString()}] ${message}`);
+}
+
+// 応答のない接続（電源が切れた端末など）を片付ける
+const pingTimer = setInterval(() => {
+    for (const client of clients) {
+        if (!client.alive) {
+            client.socket.destroy();
+            dropClient(client);
+            continue;
+        }
+        client.alive = false;
+        sendFrame(client, 0x9, Buffer.alloc(0));
+    }
+}, PING_INTERVAL_MS);
+
+server.on('close', () => clearInterval(pingTimer));
+
+if (!TOKEN) {
+    console.error('合言葉を SORAMIMI_TOKEN に設定してください（例: SORAMIMI_TOKEN=himitsu node soramimi-relay.js）');
+    process.exit(1);
+}
+
+server.listen(PORT, () => {
+    log(`Soramimi relay: http://localhost:${PORT}/  操作画面: /remote.html  中継: ws://<host>:${PORT}${WS_PATH}`);
+});
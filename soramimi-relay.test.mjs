@@ -0,0 +1,183 @@
+// --- [中継サーバー (soramimi-relay.js) のテスト] ---
+//
+// 中継サーバーを別プロセスで起動し、合言葉なし・違う合言葉のクライアントには何も流れない
+// （コマンド・状態・イベントを受け取れず、送っても公演のページに届かない）ことを確かめる。
+//
+//   node --test soramimi-relay.test.mjs
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { createServer } from 'node:net';
+import { request } from 'node:http';
+import { randomBytes } from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const RELAY = fileURLToPath(new URL('./soramimi-relay.js', import.meta.url));
+const TOKEN = 'himitsu-no-aikotoba';
+const SETTLE_MS = 200; // 届かないことを確かめるために待つ時間
+
+let relay = null;
+let port = 0;
+
+// --- 最小限の WebSocket クライアント ---
+
+/**
+ * 空いているポート
+ * @returns {Promise<number>}
+ */
+function freePort() {
+    return new Promise((resolve, reject) => {
+        const server = createServer();
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port: free } = server.address();
+            server.close(() => resolve(free));
+        });
+    });
+}
+
+/**
+ * 中継サーバーにつなぐ（受け取ったテキストは messages に溜まる）
+ * @returns {Promise<{messages: object[], closed: boolean, send: (message: object) => void, close: () => void}>}
+ */
+function connect() {
+    return new Promise((resolve, reject) => {
+        const req = request({
+            host: '127.0.0.1',
+            port,
+            path: '/ws',
+            headers: {
+                Connection: 'Upgrade',
+                Upgrade: 'websocket',
+                'Sec-WebSocket-Key': randomBytes(16).toString('base64'),
+                'Sec-WebSocket-Version': '13',
+            },
+        });
+        req.on('error', reject);
+        req.on('response', res => reject(new Error(`upgrade refused: ${res.statusCode}`)));
+        req.on('upgrade', (res, socket) => {
+            const client = { messages: [], closed: false, send: null, close: null };
+            let buffer = Buffer.alloc(0);
+            socket.on('data', chunk => {
+                buffer = Buffer.concat([buffer, chunk]);
+                // サーバーからのフレームはマスクなし・分割なし
+                while (buffer.length >= 2) {
+                    const opcode = buffer[0] & 0x0f;
+                    let length = buffer[1] & 0x7f;
+                    let offset = 2;
+                    if (length === 126) {
+                        if (buffer.length < 4) return;
+                        length = buffer.readUInt16BE(2);
+                        offset = 4;
+                    } else if (length === 127) {
+                        if (buffer.length < 10) return;
+                        length = buffer.readUInt32BE(6);
+                        offset = 10;
+                    }
+                    if (buffer.length < offset + length) return;
+                    const payload = buffer.subarray(offset, offset + length);
+                    buffer = buffer.subarray(offset + length);
+                    if (opcode === 0x1) client.messages.push(JSON.parse(payload.toString('utf8')));
+                }
+            });
+            socket.on('close', () => { client.closed = true; });
+            socket.on('error', () => {});
+            client.send = message => {
+                if (socket.destroyed) return;
+                const payload = Buffer.from(JSON.stringify(message), 'utf8');
+                const mask = randomBytes(4);
+                const header = payload.length < 126
+                    ? Buffer.from([0x81, 0x80 | payload.length])
+                    : Buffer.from([0x81, 0x80 | 126, payload.length >> 8, payload.length & 0xff]);
+                for (let i = 0; i < payload.length; i++) payload[i] ^= mask[i & 3];
+                socket.write(Buffer.concat([header, mask, payload]));
+            };
+            client.close = () => socket.destroy();
+            resolve(client);
+        });
+        req.end();
+    });
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 条件を満たすまで待つ
+ * @param {() => boolean} predicate
+ */
+async function until(predicate) {
+    for (let i = 0; i < 100 && !predicate(); i++) await wait(20);
+    assert.ok(predicate(), 'timed out');
+}
+
+before(async () => {
+    port = await freePort();
+    relay = spawn(process.execPath, [RELAY, String(port)], { env: { ...process.env, SORAMIMI_TOKEN: TOKEN }, stdio: ['ignore', 'pipe', 'inherit'] });
+    await new Promise((resolve, reject) => {
+        relay.on('exit', code => reject(new Error(`relay exited: ${code}`)));
+        relay.stdout.on('data', chunk => { if (String(chunk).includes('Soramimi relay')) resolve(); });
+    });
+});
+
+after(() => {
+    if (relay) relay.kill();
+});
+
+// --- テスト ---
+
+test('合言葉なしでは起動しない', async () => {
+    const child = spawn(process.execPath, [RELAY, String(await freePort())], { env: { ...process.env, SORAMIMI_TOKEN: '' }, stdio: 'ignore' });
+    const timer = setTimeout(() => child.kill(), 5000);
+    const code = await new Promise(resolve => child.on('exit', resolve));
+    clearTimeout(timer);
+    assert.equal(code, 1);
+});
+
+test('合言葉が違う controller / performer には何も流れず、切断される', async () => {
+    const performer = await connect();
+    performer.send({ type: 'hello', role: 'performer', name: 'stage', token: TOKEN });
+    await until(() => performer.messages.some(m => m.type === 'welcome'));
+    performer.send({ type: 'status', status: { name: 'stage', inputs: ['マイク 1'], privacy: true } });
+
+    const spyController = await connect();
+    spyController.send({ type: 'hello', role: 'controller' });
+    const spyPerformer = await connect();
+    spyPerformer.send({ type: 'hello', role: 'performer', token: 'wrong' });
+    await until(() => spyController.closed && spyPerformer.closed);
+
+    const controller = await connect();
+    controller.send({ type: 'hello', role: 'controller', token: TOKEN });
+    await until(() => controller.messages.some(m => m.type === 'status'));
+    controller.send({ type: 'command', id: 'c1', command: 'status', params: {} });
+    performer.send({ type: 'event', event: 'log', detail: { message: 'secret' } });
+    await until(() => performer.messages.some(m => m.type === 'command') && controller.messages.some(m => m.type === 'event'));
+
+    for (const spy of [spyController, spyPerformer]) {
+        assert.deepEqual(spy.messages, [{ type: 'error', error: 'auth', message: '合言葉が違います' }]);
+    }
+    // 通ったクライアント同士のメッセージにも合言葉は載らない
+    assert.ok(!JSON.stringify(performer.messages).includes(TOKEN));
+    [performer, controller].forEach(client => client.close());
+});
+
+test('hello を送らないクライアントには何も流れず、送ったものも届かない', async () => {
+    const performer = await connect();
+    performer.send({ type: 'hello', role: 'performer', name: 'stage', token: TOKEN });
+    const controller = await connect();
+    controller.send({ type: 'hello', role: 'controller', token: TOKEN });
+    await until(() => performer.messages.some(m => m.type === 'welcome') && controller.messages.some(m => m.type === 'welcome'));
+
+    const silent = await connect();
+    silent.send({ type: 'command', id: 'x1', command: 'stop', params: {} });
+    silent.send({ type: 'status', status: { name: 'fake' } });
+    performer.send({ type: 'status', status: { name: 'stage' } });
+    controller.send({ type: 'command', id: 'c2', command: 'status', params: {} });
+    await wait(SETTLE_MS);
+
+    assert.deepEqual(silent.messages, []);
+    assert.ok(!performer.messages.some(m => m.type === 'command' && m.id === 'x1'));
+    assert.ok(!controller.messages.some(m => m.type === 'status' && m.status.name === 'fake'));
+    assert.ok(performer.messages.some(m => m.type === 'command' && m.id === 'c2'));
+    [performer, controller, silent].forEach(client => client.close());
+});
@@ -0,0 +1,356 @@
+// --- [リモート操作（操作画面 remote.html）] ---
+//
+// 公演のページ (soramimi-remote.js) へコマンドを送り、状態とイベントを表示する。
+// 同じブラウザのタブなら BroadcastChannel、別の端末からは中継サーバー (soramimi-relay.js) の WebSocket。
+// 中継サーバーへは hello で合言葉を1度だけ送り、welcome が返ってから操作する（コマンドには合言葉を付けない）。
+// 設定欄は公演のページから受け取った SETTINGS_SCHEMA の写しで組み立てる（項目の追加に追従する）。
+
+const PANEL_CHANNEL_NAME = 'soramimi-remote'; // soramimi-remote.js の REMOTE_CHANNEL_NAME と同じ
+const PANEL_PREF_KEY = 'soramimi.remotePanel'; // { transport, url, token }
+const PANEL_RECONNECT_MS = 3000;
+const PANEL_STALE_MS = 6000; // これだけ状態が届かなければ「応答なし」
+
+const panelState = {
+    transport: 'channel', // 'channel' | 'socket'
+    url: '',
+    token: '',
+    channel: null,
+    socket: null,
+    connected: false, // 操作できる（中継サーバーなら welcome を受け取った）
+    rejected: false, // 合言葉が違うと断られた（接続し直すまで再接続しない）
+    retryTimer: null,
+    seq: 0,
+    pending: {}, // id -> (result) => void
+    lastStatusAt: 0,
+    settingsBuilt: false,
+};
+const panelInputs = {}; // 設定の key -> 入力欄
+let logElement = null;
+
+/**
+ * ログに1行足す（公演のページのログもここに流れてくる）
+ * @param {string} message
+ * @param {number} [t] 時刻 (ms)
+ */
+function updateLog(message, t = Date.now()) {
+    if (!logElement) return;
+    const entry = document.createElement('div');
+    entry.textContent = `[${new Date(t).toLocaleTimeString()}] ${message}`;
+    logElement.prepend(entry);
+    while (logElement.children.length > 200) logElement.removeChild(logElement.lastChild);
+}
+
+function loadPanelPrefs() {
+    try {
+        const prefs = JSON.parse(localStorage.getItem(PANEL_PREF_KEY) || '{}');
+        if (prefs.transport === 'channel' || prefs.transport === 'socket') panelState.transport = prefs.transport;
+        if (typeof prefs.url === 'string') panelState.url = prefs.url;
+        if (typeof prefs.token === 'string') panelState.token = prefs.token;
+    } catch (e) {}
+    // 中継サーバーから開いたなら、その中継につなぐのが既定
+    if (!panelState.url && /^https?:$/.test(location.protocol)) {
+        panelState.url = `${location.protocol === 'https:' ? 'wss' : 'ws'}://${location.host}/ws`;
+        if (!localStorage.getItem(PANEL_PREF_KEY)) panelState.transport = 'socket';
+    }
+}
+
+function savePanelPrefs() {
+    try {
+        localStorage.setItem(PANEL_PREF_KEY, JSON.stringify({ transport: panelState.transport, url: panelState.url, token: panelState.token }));
+    } catch (e) {}
+}
+
+// --- 接続 ---
+
+/**
+ * @param {object} message
+ */
+function panelSend(message) {
+    if (panelState.transport === 'channel' && panelState.channel) {
+        panelState.channel.postMessage(message);
+        return true;
+    }
+    if (panelState.transport === 'socket' && panelState.socket && panelState.connected) {
+        panelState.socket.send(JSON.stringify(message));
+        return true;
+    }
+    return false;
+}
+
+/**
+ * コマンドを送る
+ * @param {string} command
+ * @param {object} [params]
+ * @returns {Promise<*>} 公演のページでの結果
+ */
+function sendCommand(command, params = {}) {
+    const id = `c${Date.now().toString(36)}-${panelState.seq++}`;
+    return new Promise((resolve, reject) => {
+        if (!panelSend({ type: 'command', id, command, params })) {
+            reject(new Error('接続していません'));
+            return;
+        }
+        panelState.pending[id] = result => (result.ok ? resolve(result.data) : reject(new Error(result.error)));
+    });
+}
+
+function connectPanel() {
+    disconnectPanel();
+    if (panelState.transport === 'channel') {
+        if (typeof BroadcastChannel === 'undefined') {
+            updateLog('このブラウザはタブ間の接続に対応していません');
+            return;
+        }
+        panelState.channel = new BroadcastChannel(PANEL_CHANNEL_NAME);
+        panelState.channel.onmessage = event => onPanelMessage(event.data);
+        panelState.connected = true;
+        panelSend({ type: 'hello', role: 'controller' });
+        updateLog('同じブラウザのタブに接続しました');
+        requestSettings();
+        return;
+    }
+    let socket;
+    try {
+        socket = new WebSocket(panelState.url);
+    } catch (e) {
+        updateLog(`接続先が正しくありません (${panelState.url})`);
+        return;
+    }
+    panelState.socket = socket;
+    socket.onopen = () => {
+        socket.send(JSON.stringify({ type: 'hello', role: 'controller', name: navigator.userAgent.slice(0, 60), token: panelState.token }));
+    };
+    socket.onmessage = event => {
+        let message;
+        try { message = JSON.parse(event.data); } catch (e) { return; }
+        if (message && message.type === 'welcome') {
+            panelState.connected = true;
+            updateLog(`中継サーバーに接続しました (${panelState.url})`);
+            requestSettings();
+            return;
+        }
+        if (message && message.type === 'error' && message.error === 'auth') {
+            panelState.rejected = true;
+            updateLog('合言葉が中継サーバーと違うため接続できません');
+            return;
+        }
+        onPanelMessage(message);
+    };
+    socket.onclose = () => {
+        if (panelState.socket !== socket) return;
+        if (panelState.connected) updateLog('中継サーバーから切断されました');
+        panelState.socket = null;
+        panelState.connected = false;
+        renderStatus(null);
+        if (panelState.rejected) return;
+        panelState.retryTimer = setTimeout(connectPanel, PANEL_RECONNECT_MS);
+    };
+}
+
+function disconnectPanel() {
+    if (panelState.retryTimer) clearTimeout(panelState.retryTimer);
+    panelState.retryTimer = null;
+    if (panelState.channel) panelState.channel.close();
+    panelState.channel = null;
+    const socket = panelState.socket;
+    panelState.socket = null;
+    panelState.connected = false;
+    panelState.rejected = false;
+    if (socket) {
+        try { socket.close(); } catch (e) {}
+    }
+}
+
+/**
+ * @param {object} message
+ */
+function onPanelMessage(message) {
+    if (!message || typeof message !== 'object') return;
+    if (message.type === 'status') {
+        panelState.lastStatusAt = Date.now();
+        renderStatus(message.status);
+        if (!panelState.settingsBuilt) requestSettings();
+    } else if (message.type === 'result') {
+        const done = panelState.pending[message.id];
+        if (!done) return;
+        delete panelState.pending[message.id];
+        done(message);
+    } else if (message.type === 'event') {
+        const detail = message.detail || {};
+        if (message.event === 'log') updateLog(detail.message, detail.t);
+        else if (message.event === 'fragment') renderLastFragment(detail);
+    } else if (message.type === 'peer' && message.role === 'performer') {
+        updateLog(`公演のページが${message.connected ? 'つながりました' : '離れました'}${message.name ? ` (${message.name})` : ''}`);
+        if (message.connected) requestSettings();
+    }
+}
+
+// --- 表示 ---
+
+/**
+ * @param {number} sec
+ */
+function formatSec(sec) {
+    const s = Math.max(0, Math.round(sec));
+    const h = Math.floor(s / 3600);
+    const m = Math.floor(s % 3600 / 60);
+    const pad = n => String(n).padStart(2, '0');
+    return h > 0 ? `${h}:${pad(m)}:${pad(s % 60)}` : `${m}:${pad(s % 60)}`;
+}
+
+/**
+ * @param {object|null} status soramimi-remote.js の remoteStatus()
+ */
+function renderStatus(status) {
+    const statusElement = document.getElementById('remoteStatus');
+    const archiveElement = document.getElementById('remoteArchive');
+    if (!status) {
+        statusElement.textContent = panelState.connected ? '公演のページの応答なし' : '未接続';
+        archiveElement.textContent = '';
+        return;
+    }
+    const state = status.running ? `実行中 (${status.contextState})` : '停止中';
+    const extras = [];
+    if (status.inputs && status.inputs.length > 0) extras.push(status.inputs.join(' / '));
+    if (status.section) extras.push(`セクション ${status.section.index + 1}/${status.section.count}「${status.section.name}」`);
+    if (status.playing > 0) extras.push(`再生中 ${status.playing}`);
+    if (status.feedback) extras.push('ハウリング中');
+    if (status.recovering) extras.push('復旧中');
+    if (status.uptimeSec > 0) extras.push(`稼働 ${formatSec(status.uptimeSec)}${status.incidents > 0 ? ` (異常 ${status.incidents} 回)` : ''}`);
+    if (status.recording) extras.push('録音中');
+    if (status.privacy) extras.push('プライバシー');
+    statusElement.textContent = `ステータス: ${state}${extras.length > 0 ? ` — ${extras.join(', ')}` : ''}`;
+    archiveElement.textContent = `アーカイブ: ${formatSec(status.archive.durationSec)} / ${formatSec(status.archive.capacitySec)}`;
+    if (status.lastFragment) renderLastFragment(status.lastFragment);
+}
+
+/**
+ * @param {object} fragment soramimi-remote.js の lastFragment
+ */
+function renderLastFragment(fragment) {
+    const el = document.getElementById('remoteLastFragment');
+    const age = fragment.corpus ? `コーパス「${fragment.corpus}」` : fragment.ageSec && fragment.ageSec.length > 0 ? `${formatSec(fragment.ageSec[0])} 前の音` : '';
+    el.textContent = `直近の聞き間違い: ${new Date(fragment.at).toLocaleTimeString()} ${fragment.mode} ${fragment.durationSec}s ${age}`;
+}
+
+// --- 設定 ---
+
+function requestSettings() {
+    sendCommand('settings')
+        .then(({ values, schema }) => buildPanelSettings(schema, values))
+        .catch(() => {});
+}
+
+/**
+ * 公演のページから受け取った定義で設定欄を組み立てる
+ * @param {object[]} schema
+ * @param {Object<string, *>} values
+ */
+function buildPanelSettings(schema, values) {
+    const container = document.getElementById('remoteSettingsFields');
+    container.textContent = '';
+    const groups = {};
+    for (const item of schema) {
+        if (!groups[item.group]) {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = item.group;
+            fieldset.appendChild(legend);
+            container.appendChild(fieldset);
+            groups[item.group] = fieldset;
+        }
+        const label = document.createElement('label');
+        label.className = 'setting';
+        const text = document.createElement('span');
+        text.textContent = item.label;
+        const input = document.createElement(item.type === 'select' ? 'select' : 'input');
+        if (item.type === 'checkbox') {
+            input.type = 'checkbox';
+        } else if (item.type === 'select') {
+            for (const option of item.options || []) {
+                const el = document.createElement('option');
+                el.value = option.value;
+                el.textContent = option.label;
+                input.appendChild(el);
+            }
+        } else if (item.type === 'duration') {
+            input.type = 'text';
+            input.className = 'number-input';
+        } else {
+            input.type = 'number';
+            input.className = 'number-input';
+            input.min = item.min;
+            input.max = item.max;
+            input.step = item.step;
+        }
+        input.addEventListener('change', () => {
+            const value = item.type === 'checkbox' ? input.checked : input.value;
+            sendCommand('set', { values: { [item.key]: value } })
+                .then(updated => {
+                    input.classList.remove('invalid');
+                    input.title = '';
+                    setPanelValues(updated);
+                })
+                .catch(e => {
+                    input.classList.add('invalid');
+                    input.title = e.message;
+                    updateLog(`設定エラー: ${e.message}`);
+                });
+        });
+        panelInputs[item.key] = input;
+        label.appendChild(text);
+        label.appendChild(input);
+        groups[item.group].appendChild(label);
+    }
+    setPanelValues(values);
+    panelState.settingsBuilt = true;
+}
+
+/**
+ * @param {Object<string, *>} values
+ */
+function setPanelValues(values) {
+    for (const key of Object.keys(values || {})) {
+        const input = panelInputs[key];
+        if (!input || input === document.activeElement) continue;
+        if (input.type === 'checkbox') input.checked = values[key];
+        else input.value = values[key];
+    }
+}
+
+// --- 初期化 ---
+
+window.addEventListener('DOMContentLoaded', () => {
+    logElement = document.getElementById('log');
+    loadPanelPrefs();
+    const transportSelect = document.getElementById('remoteTransport');
+    const urlInput = document.getElementById('remoteUrl');
+    const tokenInput = document.getElementById('remoteToken');
+    transportSelect.value = panelState.transport;
+    urlInput.value = panelState.url;
+    tokenInput.value = panelState.token;
+    document.getElementById('remoteConnect').addEventListener('click', () => {
+        panelState.transport = transportSelect.value;
+        panelState.url = urlInput.value.trim();
+        panelState.token = tokenInput.value.trim();
+        savePanelPrefs();
+        panelState.settingsBuilt = false;
+        connectPanel();
+    });
+
+    const command = (name, label) => () => sendCommand(name)
+        .then(() => updateLog(`${label}: OK`))
+        .catch(e => updateLog(`${label}: ${e.message}`));
+    document.getElementById('remoteStart').addEventListener('click', command('start', '開始'));
+    document.getElementById('remoteStop').addEventListener('click', command('stop', '停止'));
+    document.getElementById('remoteTrigger').addEventListener('click', command('trigger', '今すぐ聞き間違い'));
+
+    // 状態が届かなくなったら表示を戻す
+    setInterval(() => {
+        if (panelState.lastStatusAt && Date.now() - panelState.lastStatusAt > PANEL_STALE_MS) {
+            panelState.lastStatusAt = 0;
+            renderStatus(null);
+        }
+    }, 1000);
+    connectPanel();
+});
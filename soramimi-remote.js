@@ -0,0 +1,311 @@
+// --- [リモート操作（公演のページ側）] ---
+//
+// 別のタブ・別の端末の操作画面 (remote.html) から開始 / 停止 / 設定の変更 / 今すぐ聞き間違い を受け付け、
+// 状態とイベント（ログ・トリガー・断片）を送り返す。
+//   - 同じブラウザのタブ同士: BroadcastChannel（設定不要）
+//   - スマートフォンや別の PC: WebSocket で中継サーバー (soramimi-relay.js) につなぐ
+// メッセージはどちらも同じ JSON:
+//   → { type: 'command', id, command: 'start' | 'stop' | 'trigger' | 'set' | 'status' | 'settings', params }
+//   ← { type: 'result', id, ok, error?, data? }
+//   ← { type: 'status', status }                  REMOTE_STATUS_MS ごと、とコマンドを実行した後
+//   ← { type: 'event', event: 'log' | 'trigger' | 'fragment', detail }
+// 合言葉 (REMOTE_TOKEN) は中継サーバーへの hello で1度だけ送る。中継サーバーが合言葉を確かめて welcome を返すまでは、
+// WebSocket へは状態もイベントも送らず、WebSocket からのコマンドも実行しない（同じブラウザのタブは確認しない）。
+// 合言葉が空のうちは中継サーバーにつながない。
+
+const REMOTE_CHANNEL_NAME = 'soramimi-remote';
+const REMOTE_PREF_KEY = 'soramimi.remote'; // { url, token }
+const REMOTE_STATUS_MS = 2000;
+const REMOTE_RECONNECT_MS = [1000, 2000, 5000, 10000, 30000]; // 切れたら順に間を空けて再接続
+
+let REMOTE_URL = ''; // 中継サーバー（例: ws://192.168.0.10:8787/ws）。空なら WebSocket は使わない
+let REMOTE_TOKEN = ''; // 合言葉（空なら中継サーバーにつながない）
+
+const remoteState = {
+    channel: null, // BroadcastChannel
+    socket: null, // WebSocket
+    connected: false, // WebSocket が開いた
+    authenticated: false, // 中継サーバーが合言葉を確かめた（welcome を受け取った）
+    rejected: false, // 合言葉が違うと断られた（合言葉を変えるまで再接続しない）
+    retries: 0,
+    retryTimer: null,
+    statusTimer: null,
+    lastFragment: null, // 直近の聞き間違い（状態として送る）
+};
+let remoteUrlInput = null;
+let remoteTokenInput = null;
+let remoteInfoElement = null;
+
+function loadRemotePrefs() {
+    try {
+        const prefs = JSON.parse(localStorage.getItem(REMOTE_PREF_KEY) || '{}');
+        REMOTE_URL = typeof prefs.url === 'string' ? prefs.url : '';
+        REMOTE_TOKEN = typeof prefs.token === 'string' ? prefs.token : '';
+    } catch (e) {}
+}
+
+function saveRemotePrefs() {
+    try {
+        localStorage.setItem(REMOTE_PREF_KEY, JSON.stringify({ url: REMOTE_URL, token: REMOTE_TOKEN }));
+    } catch (e) {}
+}
+
+/**
+ * すべての経路へ送る
+ * @param {object} message
+ */
+function remoteSend(message) {
+    try {
+        if (remoteState.channel) remoteState.channel.postMessage(message);
+        if (remoteState.socket && remoteState.authenticated) remoteState.socket.send(JSON.stringify(message));
+    } catch (e) {
+        console.warn('remote send failed', e);
+    }
+}
+
+/**
+ * イベントを操作画面へ流す（何もつながっていなければ何もしない）
+ * @param {string} event
+ * @param {object} detail
+ */
+function remoteEvent(event, detail) {
+    if (!remoteState.channel && !remoteState.authenticated) return;
+    remoteSend({ type: 'event', event, detail });
+}
+
+/**
+ * 現在の状態
+ */
+function remoteStatus() {
+    return {
+        name: document.title,
+        running: !!audioContext,
+        contextState: audioContext ? audioContext.state : 'closed',
+        sampleRate: audioContext ? audioContext.sampleRate : null,
+        archive: { durationSec: engine.archiveDurationSec(), capacitySec: engine.archiveCapacitySec() },
+        inputs: inputs.map(input => input.label),
+        playing: engine.activeFragments,
+        feedback: engine.feedbackActive,
+        outputMode: OUTPUT_MODE,
+        outputChannels,
+        recording: !!sessionRecording,
+        privacy: PRIVACY_MODE,
+        uptimeSec: watchdogState.sessionStartedAt ? Math.round((Date.now() - watchdogState.sessionStartedAt) / 1000) : 0,
+        incidents: watchdogState.sessionIncidents,
+        recovering: watchdogState.recovering,
+        section: engine.section ? { name: engine.section.section.name, index: engine.section.index, count: engine.section.count } : null,
+        lastFragment: remoteState.lastFragment,
+        at: Date.now(),
+    };
+}
+
+function sendRemoteStatus() {
+    remoteSend({ type: 'status', status: remoteStatus() });
+}
+
+/**
+ * コマンドを実行する
+ * @param {{id?: string, command: string, params?: object}} message
+ * @returns {Promise<*>} 結果のデータ
+ */
+function runRemoteCommand(message) {
+    const params = message.params || {};
+    switch (message.command) {
+    case 'start':
+        if (audioContext) return Promise.resolve(false);
+        updateLog('リモート: 開始');
+        startSoramimi();
+        // ユーザー操作なしで作った AudioContext はブラウザによって止められることがある
+        if (audioContext && audioContext.state === 'suspended') updateLog('リモート: 音声が止められている場合は、この画面を一度クリックしてください');
+        return Promise.resolve(true);
+    case 'stop':
+        if (!audioContext) return Promise.resolve(false);
+        updateLog('リモート: 停止');
+        stopSoramimi();
+        return Promise.resolve(true);
+    case 'trigger':
+        if (!audioContext) return Promise.reject(new Error('開始していません'));
+        engine.trigger('リモート');
+        return Promise.resolve(true);
+    case 'set': {
+        const values = params.values && typeof params.values === 'object' ? params.values : {};
+        const errors = applySettings(values);
+        updateLog(`リモート: 設定変更 ${Object.keys(values).join(', ')}${errors.length > 0 ? ` (エラー ${errors.length} 件)` : ''}`);
+        if (errors.length > 0) return Promise.reject(new Error(errors.join(' / ')));
+        return Promise.resolve(currentSettings());
+    }
+    case 'settings':
+        return Promise.resolve({
+            values: currentSettings(),
+            schema: SETTINGS_SCHEMA.map(({ key, group, label, type, min, max, step, options }) => ({ key, group, label, type, min, max, step, options })),
+        });
+    case 'status':
+        return Promise.resolve(remoteStatus());
+    default:
+        return Promise.reject(new Error(`不明なコマンド: ${message.command}`));
+    }
+}
+
+/**
+ * 受け取ったメッセージ
+ * @param {object} message
+ * @param {boolean} trusted 同じブラウザのタブからか（合言葉を確認しない）
+ */
+function onRemoteMessage(message, trusted) {
+    if (!message || typeof message !== 'object') return;
+    // 中継サーバーが合言葉を確かめる前の WebSocket からは、状態の問い合わせもコマンドも受けない
+    if (!trusted && !remoteState.authenticated) return;
+    if (message.type === 'hello' && message.role === 'controller') {
+        sendRemoteStatus();
+        return;
+    }
+    if (message.type !== 'command') return;
+    const reply = (ok, payload) => remoteSend(Object.assign({ type: 'result', id: message.id, command: message.command, ok }, payload));
+    runRemoteCommand(message)
+        .then(data => {
+            reply(true, { data });
+            sendRemoteStatus();
+        })
+        .catch(e => reply(false, { error: e && e.message ? e.message : String(e) }));
+}
+
+// --- WebSocket ---
+
+/**
+ * 中継サーバーへつなぐ（REMOTE_URL が空なら切るだけ）
+ */
+function connectRemoteSocket() {
+    disconnectRemoteSocket();
+    if (!REMOTE_URL || typeof WebSocket === 'undefined') {
+        updateRemoteInfo();
+        return;
+    }
+    if (!REMOTE_TOKEN) {
+        updateLog('リモート: 合言葉を設定するまで中継サーバーにはつなぎません');
+        updateRemoteInfo();
+        return;
+    }
+    let socket;
+    try {
+        socket = new WebSocket(REMOTE_URL);
+    } catch (e) {
+        updateLog(`リモート: 接続先が正しくありません (${REMOTE_URL})`);
+        updateRemoteInfo();
+        return;
+    }
+    remoteState.socket = socket;
+    socket.onopen = () => {
+        remoteState.connected = true;
+        socket.send(JSON.stringify({ type: 'hello', role: 'performer', name: document.title, token: REMOTE_TOKEN }));
+        updateRemoteInfo();
+    };
+    socket.onmessage = event => {
+        let message;
+        try { message = JSON.parse(event.data); } catch (e) { return; }
+        if (message && message.type === 'welcome') {
+            remoteState.authenticated = true;
+            remoteState.retries = 0;
+            updateLog(`リモート: 中継サーバーに接続しました (${REMOTE_URL})`);
+            sendRemoteStatus();
+            updateRemoteInfo();
+            return;
+        }
+        if (message && message.type === 'error' && message.error === 'auth') {
+            remoteState.rejected = true;
+            updateLog('リモート: 合言葉が中継サーバーと違うため接続できません');
+            return;
+        }
+        onRemoteMessage(message, false);
+    };
+    socket.onclose = () => {
+        if (remoteState.socket !== socket) return;
+        const wasConnected = remoteState.authenticated;
+        remoteState.socket = null;
+        remoteState.connected = false;
+        remoteState.authenticated = false;
+        if (remoteState.rejected) {
+            updateRemoteInfo();
+            return;
+        }
+        const delay = REMOTE_RECONNECT_MS[Math.min(remoteState.retries++, REMOTE_RECONNECT_MS.length - 1)];
+        if (wasConnected) updateLog(`リモート: 中継サーバーから切断されました（${delay / 1000} 秒後に再接続）`);
+        remoteState.retryTimer = setTimeout(connectRemoteSocket, delay);
+        updateRemoteInfo();
+    };
+}
+
+function disconnectRemoteSocket() {
+    if (remoteState.retryTimer) clearTimeout(remoteState.retryTimer);
+    remoteState.retryTimer = null;
+    const socket = remoteState.socket;
+    remoteState.socket = null;
+    remoteState.connected = false;
+    remoteState.authenticated = false;
+    remoteState.rejected = false;
+    if (socket) {
+        try { socket.close(); } catch (e) {}
+    }
+}
+
+function updateRemoteInfo() {
+    if (!remoteInfoElement) return;
+    const parts = [];
+    if (remoteState.channel) parts.push('タブ間: 待機中');
+    if (REMOTE_URL && !REMOTE_TOKEN) parts.push('中継: 合言葉を設定してください');
+    else if (REMOTE_URL && remoteState.rejected) parts.push('中継: 合言葉が違います');
+    else if (REMOTE_URL) parts.push(remoteState.authenticated ? '中継: 接続中' : '中継: 未接続（再接続を待っています）');
+    remoteInfoElement.textContent = parts.join(' / ');
+}
+
+/**
+ * リモート操作を始める（DOMContentLoaded から。engine を作った後）
+ */
+function initRemote() {
+    loadRemotePrefs();
+    if (typeof BroadcastChannel !== 'undefined') {
+        remoteState.channel = new BroadcastChannel(REMOTE_CHANNEL_NAME);
+        remoteState.channel.onmessage = event => onRemoteMessage(event.data, true);
+    }
+    engine.on('trigger', detail => remoteEvent('trigger', detail));
+    engine.on('fragment', ({ buffer, info }) => {
+        remoteState.lastFragment = {
+            mode: info.mode,
+            source: info.source,
+            reason: info.reason || null,
+            input: info.input || null,
+            corpus: info.corpus ? info.corpus.name : null,
+            durationSec: Math.round(buffer.duration * 1000) / 1000,
+            ageSec: info.spans.map(span => Math.round((Date.now() - span.t) / 100) / 10),
+            loudnessDb: info.loudnessDb,
+            at: Date.now(),
+        };
+        remoteEvent('fragment', remoteState.lastFragment);
+    });
+    remoteState.statusTimer = setInterval(() => {
+        if (remoteState.channel || remoteState.authenticated) sendRemoteStatus();
+    }, REMOTE_STATUS_MS);
+
+    remoteUrlInput = document.getElementById('remoteUrl');
+    remoteTokenInput = document.getElementById('remoteToken');
+    remoteInfoElement = document.getElementById('remoteInfo');
+    if (remoteUrlInput) {
+        remoteUrlInput.value = REMOTE_URL;
+        remoteUrlInput.addEventListener('change', () => {
+            REMOTE_URL = remoteUrlInput.value.trim();
+            saveRemotePrefs();
+            remoteState.retries = 0;
+            connectRemoteSocket();
+        });
+    }
+    if (remoteTokenInput) {
+        remoteTokenInput.value = REMOTE_TOKEN;
+        remoteTokenInput.addEventListener('change', () => {
+            REMOTE_TOKEN = remoteTokenInput.value.trim();
+            saveRemotePrefs();
+            // 合言葉が無い・変わった: つなぎ直す（空なら切る）
+            remoteState.retries = 0;
+            connectRemoteSocket();
+        });
+    }
+    connectRemoteSocket();
+}
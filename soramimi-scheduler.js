@@ -0,0 +1,241 @@
+// --- [トリガースケジューラ] ---
+//
+// 聞き間違いを「いつ」起こすかを1か所で決める。
+// tickMs ごとに登録された戦略 (strategy) をすべて評価し、
+//   - どれかが { fire: 理由 } を返し、
+//   - どれも { veto: 理由 } を返さなければ
+// 1回だけ発火する。発火・見送りはどちらも理由付きでログに残す。
+//
+// 戦略は次の形のオブジェクト:
+//   {
+//     name: 'poisson',
+//     enabled: true,
+//     params: { meanSec: 195 },        // 設定から変更できる値
+//     reset(now, isFirst, env)         // 開始時と発火後に呼ばれる（省略可）。env: { random, log }
+//     evaluate(state) -> null | { fire: string } | { veto: string }
+//   }
+// state: { now, dtMs, sinceLastMs, playing, inputRms, voice, random }
+//
+// ES module。時計・乱数・タイマー・ログの出力先は外から渡す（テストで差し替えられるように）。
+
+export const SCHEDULER_TICK_MS = 250;
+
+export class TriggerScheduler {
+    /**
+     * @param {object} deps
+     * @param {() => number} deps.now 現在時刻 (ms)
+     * @param {() => number} deps.random 0..1
+     * @param {{setInterval: Function, clearInterval: Function}} deps.timers
+     * @param {(message: string) => void} deps.log
+     * @param {number} [deps.tickMs]
+     */
+    constructor({ now, random, timers, log, tickMs = SCHEDULER_TICK_MS }) {
+        this.now = now;
+        this.random = random;
+        this.timers = timers;
+        this.log = log;
+        this.tickMs = tickMs;
+        this.maxOverlap = 1; // 同時に鳴っていてよい聞き間違いの数（これ以上は発火しない）
+        this.strategies = [];
+        this.timer = null;
+        this.lastTickAt = 0;
+        this.lastFireAt = 0;
+        this.lastVetoKey = ''; // 同じ戦略の組み合わせによる見送りを毎 tick ログに出さないため
+    }
+
+    /**
+     * 戦略を登録（同名があれば置き換え）
+     * @param {object} strategy
+     */
+    register(strategy) {
+        const i = this.strategies.findIndex(s => s.name === strategy.name);
+        if (i >= 0) this.strategies[i] = strategy;
+        else this.strategies.push(strategy);
+    }
+
+    /**
+     * 名前で戦略を取得
+     * @param {string} name
+     */
+    strategy(name) {
+        return this.strategies.find(s => s.name === name) || null;
+    }
+
+    /**
+     * 開始時・発火後に各戦略の reset を呼ぶ
+     * @param {number} now
+     * @param {boolean} isFirst
+     */
+    resetStrategies(now, isFirst) {
+        const env = { random: this.random, log: this.log };
+        for (const strategy of this.strategies) {
+            if (strategy.reset) strategy.reset(now, isFirst, env);
+        }
+    }
+
+    /**
+     * スケジューラを開始
+     * @param {() => {ready: boolean, playing: number, inputRms: number, voice: boolean}} sense 現在の状態を返す
+     * @param {(reason: string) => void} fire 発火時に呼ばれる
+     */
+    start(sense, fire) {
+        this.stop();
+        const now = this.now();
+        this.lastTickAt = now;
+        this.lastFireAt = now;
+        this.lastVetoKey = '';
+        this.resetStrategies(now, true);
+        this.timer = this.timers.setInterval(() => this.tick(sense, fire), this.tickMs);
+        const enabled = this.strategies.filter(s => s.enabled).map(s => s.name);
+        this.log(`スケジューラ開始: ${enabled.join(', ')} (最大同時再生 ${this.maxOverlap})`);
+    }
+
+    /**
+     * スケジューラを停止
+     */
+    stop() {
+        if (this.timer !== null) {
+            this.timers.clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * 1 tick 分の判定
+     * @param {Function} sense
+     * @param {Function} fire
+     * @returns {string|null} 発火した場合はその理由
+     */
+    tick(sense, fire) {
+        const now = this.now();
+        const sensed = sense();
+        const state = Object.assign({}, sensed, {
+            now,
+            dtMs: now - this.lastTickAt,
+            sinceLastMs: now - this.lastFireAt,
+            random: this.random,
+        });
+        this.lastTickAt = now;
+        if (!sensed.ready) return null;
+
+        const fires = [];
+        const vetoes = [];
+        if (state.playing >= this.maxOverlap) vetoes.push({ name: 'overlap', text: `再生中 (${state.playing}/${this.maxOverlap})` });
+        for (const strategy of this.strategies) {
+            if (!strategy.enabled) continue;
+            let result = null;
+            try {
+                result = strategy.evaluate(state);
+            } catch (e) {
+                this.log(`トリガー戦略 ${strategy.name} でエラー: ${e && e.message ? e.message : e}`);
+            }
+            if (!result) continue;
+            if (result.veto) vetoes.push({ name: strategy.name, text: result.veto });
+            else if (result.fire) fires.push({ name: strategy.name, text: result.fire });
+        }
+        if (fires.length === 0) return null;
+
+        const describe = list => list.map(r => `${r.name}: ${r.text}`).join(' / ');
+        if (vetoes.length > 0) {
+            const key = fires.concat(vetoes).map(r => r.name).join(',');
+            if (key !== this.lastVetoKey) this.log(`見送り: ${describe(fires)} ← ${describe(vetoes)}`);
+            this.lastVetoKey = key;
+            return null;
+        }
+        this.lastVetoKey = '';
+        this.lastFireAt = now;
+        this.resetStrategies(now, false);
+        const reason = describe(fires);
+        this.log(`発火: ${reason}`);
+        fire(reason);
+        return reason;
+    }
+}
+
+// --- 標準の戦略 ---
+
+/**
+ * 標準の戦略一式を新しく作る（スケジューラごとに別の params を持つ）
+ * @returns {object[]}
+ */
+export function createDefaultTriggerStrategies() {
+    return [
+        // ポアソン過程: 平均 meanSec 秒に1回、指数分布の間隔でランダムに発火
+        // （もとの「10秒ごとに 5%」は平均 約195秒）
+        {
+            name: 'poisson',
+            enabled: true,
+            params: { meanSec: 195 },
+            evaluate(s) {
+                const p = 1 - Math.exp(-s.dtMs / 1000 / Math.max(0.001, this.params.meanSec));
+                return s.random() < p ? { fire: `ランダム (平均 ${Math.round(this.params.meanSec)}s)` } : null;
+            },
+        },
+
+        // 最大間隔の保証: 前回から minSec〜maxSec（開始直後は firstMaxSec まで）のランダムな間隔を超えたら発火
+        {
+            name: 'maxGap',
+            enabled: true,
+            params: { minSec: 1, maxSec: 60, firstMaxSec: 30 },
+            reset(now, isFirst, env) {
+                const max = isFirst ? Math.min(this.params.firstMaxSec, this.params.maxSec) : this.params.maxSec;
+                const gapSec = this.params.minSec + env.random() * Math.max(0, max - this.params.minSec);
+                this.deadline = now + gapSec * 1000;
+                this.gapSec = gapSec;
+                env.log(`次の保証された聞き間違いまで: ${Math.round(gapSec)}s`);
+            },
+            evaluate(s) {
+                return s.now >= this.deadline ? { fire: `最大間隔 ${Math.round(this.gapSec)}s に到達` } : null;
+            },
+        },
+
+        // 最小間隔（クールダウン）: 前回の発火から sec 秒は発火しない
+        {
+            name: 'minGap',
+            enabled: true,
+            params: { sec: 6 },
+            evaluate(s) {
+                const remain = this.params.sec * 1000 - s.sinceLastMs;
+                return remain > 0 ? { veto: `クールダウン中 (残り ${(remain / 1000).toFixed(1)}s)` } : null;
+            },
+        },
+
+        // 発話の後、部屋が静かになった瞬間に（probability の確率で）発火
+        {
+            name: 'quietAfterSpeech',
+            enabled: true,
+            params: { speechSec: 1.5, quietSec: 1.2, probability: 0.5 },
+            reset(now, isFirst) {
+                if (isFirst) {
+                    this.speechMs = 0;
+                    this.quietMs = 0;
+                }
+            },
+            evaluate(s) {
+                if (s.voice) {
+                    this.speechMs += s.dtMs;
+                    this.quietMs = 0;
+                    return null;
+                }
+                this.quietMs += s.dtMs;
+                if (this.quietMs < this.params.quietSec * 1000) return null;
+                const spoke = this.speechMs >= this.params.speechSec * 1000;
+                this.speechMs = 0; // 1回の「発話→静寂」につき1度だけ判定する
+                if (spoke && s.random() < this.params.probability) {
+                    return { fire: `発話の後の静寂 (${this.params.quietSec}s)` };
+                }
+                return null;
+            },
+        },
+
+        // 入力がうるさい間は発火しない
+        {
+            name: 'notDuringLoud',
+            enabled: true,
+            params: { rms: 0.1 },
+            evaluate(s) {
+                return s.inputRms > this.params.rms ? { veto: `入力が大きい (RMS ${s.inputRms.toFixed(3)})` } : null;
+            },
+        },
+    ];
+}
@@ -0,0 +1,203 @@
+// --- [スコア: 時間に沿った構成と開場時間] ---
+//
+// 何時間も続く展示のために、作品を「セクションの並び」として JSON で書く。
+// 1つの確率で通すのではなく、静かな始まり・密度の高い中盤… のようにセクションごとに変える。
+//
+//   {
+//     "format": "soramimi-score", "version": 1,
+//     "name": "展示 A",
+//     "loop": false,                  // true: 最後のセクションの後は最初に戻る / false: 最後のセクションが続く
+//     "hours": [                      // 開場時間（省略可）。days を省略すると毎日。close < open なら日をまたぐ
+//       { "days": ["sat", "sun"], "open": "10:00", "close": "18:00" }
+//     ],
+//     "sections": [
+//       { "name": "静かな始まり", "duration": "20m",
+//         "triggersPerHour": 6,         // 平均の発火回数（0 = このセクションでは発火しない）
+//         "maxGap": ["2m", "8m"],       // 最大間隔の保証 [最小, 最大]（false で保証しない）
+//         "cooldown": "30s",
+//         "collage": 0.1,               // コラージュの割合 (0..1)
+//         "fragmentAge": ["5m", "1h"],  // 使う音の古さ [最小, 最大]（最大は省略可）
+//         "effects": { "reverb": 3, "reverse": 0 },  // 演出の重み（書いたものだけ）
+//         "monitoringGain": 0.8, "replayGain": 1.0 }
+//     ]
+//   }
+//
+// セクションに書いていない値は、スコアが始まった時点の設定のまま。
+// 最後のセクションだけは duration を省略できる（終わりなし）。
+// 経過時間はスケジューラの開始から数える（開場時間で毎日開始するなら、毎日最初のセクションから）。
+//
+// ES module。読み込みと時刻の計算だけで、反映するのは SoramimiEngine（トリガー・断片）と
+// soramimi-exhibition.js（演出の重み・音量・表示）。
+
+import { parseDurationSec, parseClockMin } from './soramimi-time.js';
+
+export const SCORE_FORMAT = 'soramimi-score';
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * スコアの JSON を検証して、秒・分に揃えた形にする
+ * @param {string|object} source JSON の文字列、または解析済みのオブジェクト
+ * @returns {{name: string, loop: boolean, hours: {days: number[], openMin: number, closeMin: number}[], sections: object[], totalSec: number}}
+ * @throws {Error} 形式が正しくなければ、すべての問題をまとめたメッセージで
+ */
+export function parseScore(source) {
+    const data = typeof source === 'string' ? JSON.parse(source) : source;
+    if (!data || data.format !== SCORE_FORMAT) throw new Error('Soramimi のスコアではありません (format)');
+    const errors = [];
+    const duration = (value, where) => {
+        const sec = parseDurationSec(value);
+        if (!Number.isFinite(sec) || sec < 0) {
+            errors.push(`${where}: 時間として解釈できません (${value})`);
+            return NaN;
+        }
+        return sec;
+    };
+    const number = (value, min, max, where) => {
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+            errors.push(`${where}: ${min}〜${max} の数値にしてください`);
+            return NaN;
+        }
+        return value;
+    };
+    const range = (value, where, allowOpenEnd) => {
+        if (!Array.isArray(value) || value.length < 1 || value.length > 2 || (!allowOpenEnd && value.length !== 2)) {
+            errors.push(`${where}: [最小, 最大] の形にしてください`);
+            return null;
+        }
+        const minSec = duration(value[0], where);
+        const maxSec = value.length > 1 && value[1] !== null ? duration(value[1], where) : Infinity;
+        if (minSec > maxSec) errors.push(`${where}: 最小が最大より大きくなっています`);
+        return { minSec, maxSec };
+    };
+
+    const hours = [];
+    (Array.isArray(data.hours) ? data.hours : []).forEach((window, i) => {
+        const where = `hours[${i}]`;
+        const openMin = parseClockMin(window && window.open);
+        const closeMin = parseClockMin(window && window.close);
+        if (!Number.isFinite(openMin) || !Number.isFinite(closeMin) || openMin === closeMin) {
+            errors.push(`${where}: open / close は 'HH:MM' の異なる時刻にしてください`);
+            return;
+        }
+        let days = [0, 1, 2, 3, 4, 5, 6];
+        if (window.days !== undefined) {
+            days = (Array.isArray(window.days) ? window.days : [window.days]).map(day =>
+                typeof day === 'number' ? day : DAY_NAMES.indexOf(String(day).trim().toLowerCase().slice(0, 3)));
+            if (days.length === 0 || days.some(day => !(day >= 0 && day <= 6))) {
+                errors.push(`${where}: days は 'mon'〜'sun' または 0〜6 にしてください`);
+                return;
+            }
+        }
+        hours.push({ days, openMin, closeMin });
+    });
+
+    const sources = Array.isArray(data.sections) ? data.sections : [];
+    if (sources.length === 0) errors.push('sections: セクションが1つもありません');
+    const sections = sources.map((src, i) => {
+        const where = `sections[${i}]${src && src.name ? ` (${src.name})` : ''}`;
+        const section = { name: src && src.name ? String(src.name) : `セクション ${i + 1}` };
+        if (!src || typeof src !== 'object') {
+            errors.push(`${where}: 形式が正しくありません`);
+            return section;
+        }
+        if (src.duration !== undefined) section.durationSec = duration(src.duration, `${where}.duration`);
+        else if (i < sources.length - 1) errors.push(`${where}: 最後以外のセクションには duration が必要です`);
+        else section.durationSec = Infinity;
+        if (section.durationSec === 0) errors.push(`${where}.duration: 0 より長くしてください`);
+        if (src.triggersPerHour !== undefined) section.triggersPerHour = number(src.triggersPerHour, 0, 3600, `${where}.triggersPerHour`);
+        if (src.maxGap === false) section.maxGap = false;
+        else if (src.maxGap !== undefined) section.maxGap = range(src.maxGap, `${where}.maxGap`, false);
+        if (src.cooldown !== undefined) section.cooldownSec = duration(src.cooldown, `${where}.cooldown`);
+        if (src.collage !== undefined) section.collage = number(src.collage, 0, 1, `${where}.collage`);
+        if (src.fragmentAge !== undefined) section.fragmentAge = range(src.fragmentAge, `${where}.fragmentAge`, true);
+        if (src.effects !== undefined) {
+            if (!src.effects || typeof src.effects !== 'object') errors.push(`${where}.effects: { 名前: 重み } の形にしてください`);
+            else {
+                section.effects = {};
+                for (const name of Object.keys(src.effects)) section.effects[name] = number(src.effects[name], 0, 100, `${where}.effects.${name}`);
+            }
+        }
+        if (src.monitoringGain !== undefined) section.monitoringGain = number(src.monitoringGain, 0, 4, `${where}.monitoringGain`);
+        if (src.replayGain !== undefined) section.replayGain = number(src.replayGain, 0, 4, `${where}.replayGain`);
+        return section;
+    });
+    if (errors.length > 0) throw new Error(errors.join(' / '));
+
+    return {
+        name: data.name ? String(data.name) : '',
+        loop: !!data.loop,
+        hours,
+        sections,
+        totalSec: sections.reduce((sum, s) => sum + s.durationSec, 0),
+    };
+}
+
+/**
+ * 経過時間に当たるセクション
+ * @param {object} score parseScore() の結果
+ * @param {number} elapsedSec スコアの開始からの秒数
+ * @returns {{index: number, cycle: number, section: object, startSec: number, endSec: number}}
+ *   startSec / endSec はスコアの開始からの秒（最後のセクションが続く間の endSec は Infinity）
+ */
+export function sectionAt(score, elapsedSec) {
+    const { sections, totalSec } = score;
+    let cycle = 0;
+    let offset = 0;
+    if (elapsedSec >= totalSec) {
+        if (!score.loop) {
+            const last = sections.length - 1;
+            return { index: last, cycle: 0, section: sections[last], startSec: totalSec - sections[last].durationSec, endSec: Infinity };
+        }
+        cycle = Math.floor(elapsedSec / totalSec);
+        offset = cycle * totalSec;
+    }
+    let startSec = offset;
+    for (let index = 0; index < sections.length; index++) {
+        const endSec = startSec + sections[index].durationSec;
+        if (elapsedSec < endSec) return { index, cycle, section: sections[index], startSec, endSec };
+        startSec = endSec;
+    }
+    // 浮動小数点の端数で最後を過ぎた場合
+    const last = sections.length - 1;
+    return { index: last, cycle, section: sections[last], startSec: startSec - sections[last].durationSec, endSec: startSec };
+}
+
+/**
+ * 開場時間内か（開場時間が無ければ常に true）
+ * @param {{days: number[], openMin: number, closeMin: number}[]} hours
+ * @param {Date} date
+ */
+export function isOpenAt(hours, date) {
+    if (hours.length === 0) return true;
+    const min = date.getHours() * 60 + date.getMinutes();
+    const day = date.getDay();
+    return hours.some(({ days, openMin, closeMin }) => {
+        if (openMin < closeMin) return days.includes(day) && min >= openMin && min < closeMin;
+        // 日をまたぐ: 開場した日の夜と、その翌日の朝
+        return (days.includes(day) && min >= openMin) || (days.includes((day + 6) % 7) && min < closeMin);
+    });
+}
+
+/**
+ * 次に開場 / 閉場する時刻（開場時間が無い、または1週間以内に変わらなければ null）
+ * @param {{days: number[], openMin: number, closeMin: number}[]} hours
+ * @param {Date} date
+ * @returns {{at: Date, open: boolean}|null} open: その時刻に開くか
+ */
+export function nextHoursChange(hours, date) {
+    if (hours.length === 0) return null;
+    const now = isOpenAt(hours, date);
+    const times = [];
+    for (let d = 0; d <= 7; d++) {
+        for (const { openMin, closeMin } of hours) {
+            for (const min of [openMin, closeMin]) {
+                const at = new Date(date.getFullYear(), date.getMonth(), date.getDate() + d, 0, min);
+                if (at > date) times.push(at);
+            }
+        }
+    }
+    times.sort((a, b) => a - b);
+    const at = times.find(t => isOpenAt(hours, t) !== now);
+    return at ? { at, open: !now } : null;
+}
@@ -0,0 +1,501 @@
+// --- [設定パネルとプリセット] ---
+//
+// SETTINGS_SCHEMA の各項目が「どの値（engine.options・戦略の params・グローバル）をどう読み書きするか」を持ち、
+// パネルはこの定義から組み立てる。値は入力のたびに検証してすぐ反映する（再起動不要）。
+// 名前付きプリセットは localStorage に保存し、JSON ファイルとして書き出し・読み込みできる。
+
+const SETTINGS_PRESETS_KEY = 'soramimi.presets'; // { [name]: { [key]: value } }
+const SETTINGS_LAST_PRESET_KEY = 'soramimi.lastPreset';
+const SETTINGS_FILE_FORMAT = 'soramimi-presets'; // 書き出す JSON の format フィールド
+
+/**
+ * 設定項目の定義
+ *   type: 'number' | 'duration' | 'checkbox' | 'select'（options: [{ value, label }]）
+ *   validate(value, values) -> エラーメッセージ（問題なければ null）
+ */
+const SETTINGS_SCHEMA = [
+    // トリガー
+    { key: 'triggerProbability', group: 'トリガー', label: '確率 (%)', type: 'number', min: 0, max: 100, step: 1,
+        get: () => Math.round(engine.options.triggerProbability * 1000) / 10,
+        set: v => { engine.options.triggerProbability = v / 100; engine.applyTriggerRate(); } },
+    { key: 'triggerInterval', group: 'トリガー', label: '抽選間隔 (秒)', type: 'number', min: 1, max: 600, step: 1,
+        get: () => engine.options.triggerCheckInterval / 1000,
+        set: v => { engine.options.triggerCheckInterval = v * 1000; engine.applyTriggerRate(); } },
+    { key: 'maxGapMin', group: 'トリガー', label: '保証間隔 最小 (秒)', type: 'number', min: 0, max: 3600, step: 1,
+        get: () => engine.triggerStrategy('maxGap').params.minSec,
+        set: v => { engine.triggerStrategy('maxGap').params.minSec = v; },
+        validate: (v, values) => v > values.maxGapMax ? '最大以下にしてください' : null },
+    { key: 'maxGapMax', group: 'トリガー', label: '保証間隔 最大 (秒)', type: 'number', min: 1, max: 3600, step: 1,
+        get: () => engine.triggerStrategy('maxGap').params.maxSec,
+        set: v => { engine.triggerStrategy('maxGap').params.maxSec = v; },
+        validate: (v, values) => v < values.maxGapMin ? '最小以上にしてください' : null },
+    { key: 'maxGapEnabled', group: 'トリガー', label: '最大間隔を保証', type: 'checkbox',
+        get: () => engine.triggerStrategy('maxGap').enabled,
+        set: v => { engine.triggerStrategy('maxGap').enabled = v; } },
+    { key: 'cooldown', group: 'トリガー', label: 'クールダウン (秒)', type: 'number', min: 0, max: 600, step: 0.5,
+        get: () => engine.triggerStrategy('minGap').params.sec,
+        set: v => { engine.triggerStrategy('minGap').params.sec = v; } },
+    { key: 'quietAfterSpeech', group: 'トリガー', label: '発話後の静寂で発火 (確率)', type: 'number', min: 0, max: 1, step: 0.05,
+        get: () => engine.triggerStrategy('quietAfterSpeech').enabled ? engine.triggerStrategy('quietAfterSpeech').params.probability : 0,
+        set: v => { const s = engine.triggerStrategy('quietAfterSpeech'); s.params.probability = v; s.enabled = v > 0; } },
+    { key: 'loudVetoRms', group: 'トリガー', label: '入力がこれより大きい間は発火しない (RMS)', type: 'number', min: 0.001, max: 1, step: 0.005,
+        get: () => engine.triggerStrategy('notDuringLoud').params.rms,
+        set: v => { engine.triggerStrategy('notDuringLoud').params.rms = v; } },
+    { key: 'maxOverlap', group: 'トリガー', label: '最大同時再生数', type: 'number', min: 1, max: 8, step: 1,
+        get: () => engine.scheduler.maxOverlap,
+        set: v => { engine.scheduler.maxOverlap = Math.round(v); } },
+    { key: 'collageWeight', group: 'トリガー', label: 'コラージュの割合 (0..1)', type: 'number', min: 0, max: 1, step: 0.05,
+        get: () => {
+            const total = engine.modes.reduce((sum, m) => sum + m.weight, 0);
+            return total > 0 ? Math.round(engine.mode('collage').weight / total * 100) / 100 : 0;
+        },
+        set: v => { engine.mode('fragment').weight = 1 - v; engine.mode('collage').weight = v; } },
+    { key: 'crossZone', group: 'トリガー', label: '別のゾーンのスピーカーから鳴らす（入力が複数のとき）', type: 'checkbox',
+        get: () => engine.options.crossZone,
+        set: v => { engine.options.crossZone = v; } },
+
+    // 断片
+    { key: 'segmentMinSec', group: '断片', label: '長さ 最小 (秒)', type: 'number', min: 0.2, max: 30, step: 0.1,
+        get: () => engine.options.segmentMinSec,
+        set: v => { engine.options.segmentMinSec = v; },
+        validate: (v, values) => v > values.segmentMaxSec ? '最大以下にしてください' : null },
+    { key: 'segmentMaxSec', group: '断片', label: '長さ 最大 (秒)', type: 'number', min: 0.2, max: 30, step: 0.1,
+        get: () => engine.options.segmentMaxSec,
+        set: v => { engine.options.segmentMaxSec = v; },
+        validate: (v, values) => v < values.segmentMinSec ? '最小以上にしてください' : null },
+    { key: 'minFragmentAge', group: '断片', label: '最小経過時間 (例: 4s, 5m)', type: 'duration',
+        validate: (v, values) => SoramimiEngine.clampMinFragmentAge(v, values.maxRetention) !== null ? '保持期間より短くしてください' : null,
+        get: () => String(engine.options.minFragmentAge),
+        set: v => { engine.options.minFragmentAge = v; } },
+    { key: 'maxFragmentAge', group: '断片', label: '最大経過時間 (例: 1h, 0 = 制限なし)', type: 'duration',
+        validate: (v, values) => {
+            const max = SoramimiEngine.parseDurationSec(v);
+            return max > 0 && max <= SoramimiEngine.parseDurationSec(values.minFragmentAge) ? '最小経過時間より長くしてください' : null;
+        },
+        get: () => String(engine.options.maxFragmentAge),
+        set: v => { engine.options.maxFragmentAge = v; } },
+    { key: 'corpusRatio', group: '断片', label: 'コーパスから選ぶ割合 (0..1)', type: 'number', min: 0, max: 1, step: 0.05,
+        get: () => engine.options.corpusRatio,
+        set: v => { engine.options.corpusRatio = v; updateCorpusInfo(); } },
+    { key: 'fadeInMs', group: '断片', label: 'フェードイン (ms)', type: 'number', min: 0, max: 1000, step: 1,
+        get: () => engine.options.fadeInMs,
+        set: v => { engine.options.fadeInMs = v; } },
+    { key: 'fadeOutMs', group: '断片', label: 'フェードアウト (ms)', type: 'number', min: 0, max: 2000, step: 1,
+        get: () => engine.options.fadeOutMs,
+        set: v => { engine.options.fadeOutMs = v; } },
+    { key: 'filterMin', group: '断片', label: 'ローパス 最小 (Hz)', type: 'number', min: 200, max: 20000, step: 50,
+        get: () => soramimiEffect('lowpass').params.frequency[0],
+        set: v => { soramimiEffect('lowpass').params.frequency[0] = v; },
+        validate: (v, values) => v > values.filterMax ? '最大以下にしてください' : null },
+    { key: 'filterMax', group: '断片', label: 'ローパス 最大 (Hz)', type: 'number', min: 200, max: 20000, step: 50,
+        get: () => soramimiEffect('lowpass').params.frequency[1],
+        set: v => { soramimiEffect('lowpass').params.frequency[1] = v; },
+        validate: (v, values) => v < values.filterMin ? '最小以上にしてください' : null },
+
+    // レベル
+    { key: 'monitoringGain', group: 'レベル', label: 'モニター音量', type: 'number', min: 0, max: 4, step: 0.05,
+        get: () => MONITORING_GAIN,
+        set: v => { MONITORING_GAIN = v; applyMonitoringGain(); } },
+    { key: 'replayGain', group: 'レベル', label: '聞き間違いの音量', type: 'number', min: 0, max: 4, step: 0.05,
+        get: () => REPLAY_GAIN,
+        set: v => { REPLAY_GAIN = v; } },
+    { key: 'loudnessNormalize', group: 'レベル', label: '断片のラウドネスを揃える', type: 'checkbox',
+        get: () => engine.options.loudnessNormalize,
+        set: v => { engine.options.loudnessNormalize = v; } },
+    { key: 'loudnessTargetDb', group: 'レベル', label: 'ラウドネスの目標 (dB)', type: 'number', min: -60, max: -6, step: 1,
+        get: () => engine.options.loudnessTargetDb,
+        set: v => { engine.options.loudnessTargetDb = v; } },
+    { key: 'limiterThresholdDb', group: 'レベル', label: 'リミッター (dB)', type: 'number', min: -30, max: 0, step: 0.5,
+        get: () => LIMITER_THRESHOLD_DB,
+        set: v => { LIMITER_THRESHOLD_DB = v; applyLimiterThreshold(); } },
+    { key: 'monitorDuck', group: 'レベル', label: '断片の再生中にモニターを下げる', type: 'checkbox',
+        get: () => MONITOR_DUCK,
+        set: v => { MONITOR_DUCK = v; applyMonitoringGain(); } },
+    { key: 'monitorDuckDb', group: 'レベル', label: 'モニターを下げる量 (dB)', type: 'number', min: -40, max: 0, step: 1,
+        get: () => MONITOR_DUCK_DB,
+        set: v => { MONITOR_DUCK_DB = v; applyMonitoringGain(); } },
+    { key: 'monitorDuckAttackMs', group: 'レベル', label: 'ダッキングのアタック (ms)', type: 'number', min: 1, max: 2000, step: 1,
+        get: () => MONITOR_DUCK_ATTACK_MS,
+        set: v => { MONITOR_DUCK_ATTACK_MS = v; } },
+    { key: 'monitorDuckReleaseMs', group: 'レベル', label: 'ダッキングのリリース (ms)', type: 'number', min: 1, max: 5000, step: 1,
+        get: () => MONITOR_DUCK_RELEASE_MS,
+        set: v => { MONITOR_DUCK_RELEASE_MS = v; } },
+
+    // ハウリング
+    { key: 'feedbackGuard', group: 'ハウリング', label: 'ハウリングを検出して抑える', type: 'checkbox',
+        get: () => FEEDBACK_GUARD,
+        set: v => { FEEDBACK_GUARD = v; } },
+    { key: 'feedbackPeakDb', group: 'ハウリング', label: 'ピークの突出 (dB・小さいほど敏感)', type: 'number', min: 6, max: 40, step: 1,
+        get: () => feedbackDetectorOptions().peakDb,
+        set: v => { feedbackDetectorOptions().peakDb = v; } },
+    { key: 'feedbackSustainMs', group: 'ハウリング', label: '持続時間 (ms)', type: 'number', min: 100, max: 3000, step: 50,
+        get: () => feedbackDetectorOptions().sustainMs,
+        set: v => { feedbackDetectorOptions().sustainMs = v; } },
+
+    // 監視
+    { key: 'watchdog', group: '監視', label: '異常を見張って自動で立ち直る', type: 'checkbox',
+        get: () => WATCHDOG,
+        set: v => { WATCHDOG = v; } },
+    { key: 'watchdogStallSec', group: '監視', label: '取り込みの停止とみなす時間 (秒)', type: 'number', min: 2, max: 120, step: 1,
+        get: () => WATCHDOG_STALL_SEC,
+        set: v => { WATCHDOG_STALL_SEC = v; } },
+    { key: 'wakeLock', group: '監視', label: '開始中は画面をスリープさせない', type: 'checkbox',
+        get: () => WAKE_LOCK,
+        set: v => { WAKE_LOCK = v; if (!v) releaseWakeLock(); else if (audioContext) requestWakeLock(); } },
+
+    // プライバシー（プライバシーモード中は匿名化と保持期間を外せない）
+    { key: 'anonymize', group: 'プライバシー', label: '再生する声の匿名化', type: 'select', options: ANONYMIZE_OPTIONS,
+        validate: v => PRIVACY_MODE && v === 'off' ? 'プライバシーモード中は外せません' : null,
+        get: () => engine.options.anonymize,
+        set: v => { engine.options.anonymize = v; updatePrivacyInfo(); } },
+    { key: 'anonymizeSemitones', group: 'プライバシー', label: '声の高さをずらす量 (半音)', type: 'number', min: 2, max: 12, step: 0.5,
+        get: () => engine.options.anonymizeSemitones,
+        set: v => { engine.options.anonymizeSemitones = v; } },
+    { key: 'maxRetention', group: 'プライバシー', label: '保持期間 (例: 15m, 0 = 制限なし)', type: 'duration',
+        validate: (v, values) => {
+            const sec = SoramimiEngine.parseDurationSec(v);
+            if (!(sec > 0)) return PRIVACY_MODE ? 'プライバシーモード中は制限が必要です' : null;
+            return sec <= SoramimiEngine.parseDurationSec(values.minFragmentAge) ? '最小経過時間より長くしてください' : null;
+        },
+        get: () => String(engine.options.maxRetention),
+        set: v => { engine.options.maxRetention = v; enforcePrivacy(); updatePrivacyInfo(); } },
+
+    // 空間（チャンネル数に関わるものは次の開始から）
+    { key: 'outputMode', group: '空間', label: '出力モード（次の開始から）', type: 'select', options: OUTPUT_MODES,
+        get: () => OUTPUT_MODE,
+        set: v => { OUTPUT_MODE = v; } },
+    { key: 'speakerCount', group: '空間', label: 'スピーカー数（0 = 出力のチャンネル数）', type: 'number', min: 0, max: 32, step: 1,
+        get: () => SPEAKER_COUNT,
+        set: v => { SPEAKER_COUNT = Math.round(v); } },
+    { key: 'speakerPairProbability', group: '空間', label: '2台の間に置く確率 (0..1)', type: 'number', min: 0, max: 1, step: 0.05,
+        get: () => SPEAKER_PAIR_PROBABILITY,
+        set: v => { SPEAKER_PAIR_PROBABILITY = v; } },
+    { key: 'speakerAvoidSource', group: '空間', label: '録れたマイクに最も近いスピーカーを避ける', type: 'checkbox',
+        get: () => SPEAKER_AVOID_SOURCE,
+        set: v => { SPEAKER_AVOID_SOURCE = v; } },
+
+    // アーカイブ
+    { key: 'archiveDuration', group: 'アーカイブ', label: '深さ (例: 30s, 10m, 1h)', type: 'duration',
+        validate: v => {
+            const sec = SoramimiEngine.parseDurationSec(v);
+            return sec <= 0 ? '0 より長くしてください' : sec > 4 * 3600 ? '4時間以下にしてください' : null;
+        },
+        get: () => String(engine.options.archiveDuration),
+        set: v => { engine.options.archiveDuration = v; if (audioContext) engine.configureArchive(audioContext.sampleRate); updateArchiveSizeDisplay(); } },
+];
+
+const settingsInputs = {}; // key -> <input>
+
+/**
+ * 現在の設定値
+ * @returns {Object<string, number|string|boolean>}
+ */
+function currentSettings() {
+    const values = {};
+    for (const item of SETTINGS_SCHEMA) values[item.key] = item.get();
+    return values;
+}
+
+/**
+ * 1項目の値を正規化して検証する
+ * @param {object} item SETTINGS_SCHEMA の項目
+ * @param {*} raw
+ * @param {object} values 検証に使う他の項目の値（相互チェック用）
+ * @returns {{value: *, error: string|null}}
+ */
+function validateSetting(item, raw, values) {
+    let value = raw;
+    if (item.type === 'checkbox') {
+        value = raw === true || raw === 'true';
+    } else if (item.type === 'select') {
+        value = String(raw);
+        if (!item.options.some(option => option.value === value)) return { value, error: '選択肢にありません' };
+    } else if (item.type === 'duration') {
+        value = String(raw).trim();
+        const sec = SoramimiEngine.parseDurationSec(value);
+        if (!Number.isFinite(sec) || sec < 0) return { value, error: '時間として解釈できません' };
+    } else {
+        value = typeof raw === 'number' ? raw : Number(String(raw).trim());
+        if (String(raw).trim() === '' || !Number.isFinite(value)) return { value, error: '数値を入力してください' };
+        if (value < item.min || value > item.max) return { value, error: `${item.min}〜${item.max} の範囲で入力してください` };
+    }
+    const error = item.validate ? item.validate(value, Object.assign({}, values, { [item.key]: value })) : null;
+    return { value, error };
+}
+
+/**
+ * 設定値をまとめて反映（検証に失敗した項目は反映せず、エラーとして返す）
+ * @param {Object<string, *>} values
+ * @returns {string[]} エラーメッセージ
+ */
+function applySettings(values) {
+    const merged = Object.assign(currentSettings(), values);
+    const errors = [];
+    for (const item of SETTINGS_SCHEMA) {
+        if (!(item.key in values)) continue;
+        const { value, error } = validateSetting(item, values[item.key], merged);
+        if (error) {
+            errors.push(`${item.label}: ${error}`);
+            continue;
+        }
+        item.set(value);
+    }
+    refreshSettingsPanel();
+    return errors;
+}
+
+/**
+ * パネルの入力欄を現在の値に合わせる
+ */
+function refreshSettingsPanel() {
+    for (const item of SETTINGS_SCHEMA) {
+        const input = settingsInputs[item.key];
+        if (!input) continue;
+        if (item.type === 'checkbox') input.checked = item.get();
+        else input.value = item.get();
+        input.classList.remove('invalid');
+        input.title = '';
+    }
+}
+
+/**
+ * SETTINGS_SCHEMA から設定パネルを組み立てる
+ * @param {HTMLElement} container
+ */
+function buildSettingsPanel(container) {
+    const groups = {};
+    for (const item of SETTINGS_SCHEMA) {
+        if (!groups[item.group]) {
+            const fieldset = document.createElement('fieldset');
+            const legend = document.createElement('legend');
+            legend.textContent = item.group;
+            fieldset.appendChild(legend);
+            container.appendChild(fieldset);
+            groups[item.group] = fieldset;
+        }
+        const label = document.createElement('label');
+        label.className = 'setting';
+        const text = document.createElement('span');
+        text.textContent = item.label;
+        const input = document.createElement(item.type === 'select' ? 'select' : 'input');
+        input.id = `setting-${item.key}`;
+        if (item.type === 'checkbox') {
+            input.type = 'checkbox';
+        } else if (item.type === 'select') {
+            for (const option of item.options) {
+                const el = document.createElement('option');
+                el.value = option.value;
+                el.textContent = option.label;
+                input.appendChild(el);
+            }
+        } else if (item.type === 'duration') {
+            input.type = 'text';
+            input.className = 'number-input';
+        } else {
+            input.type = 'number';
+            input.className = 'number-input';
+            input.min = item.min;
+            input.max = item.max;
+            input.step = item.step;
+        }
+        input.addEventListener('change', () => {
+            const raw = item.type === 'checkbox' ? input.checked : input.value;
+            const { value, error } = validateSetting(item, raw, currentSettings());
+            if (error) {
+                input.classList.add('invalid');
+                input.title = error;
+                updateLog(`設定エラー: ${item.label}: ${error}`);
+                return;
+            }
+            input.classList.remove('invalid');
+            input.title = '';
+            item.set(value);
+            updateLog(`設定変更: ${item.label} = ${value}`);
+        });
+        settingsInputs[item.key] = input;
+        label.appendChild(text);
+        label.appendChild(input);
+        groups[item.group].appendChild(label);
+    }
+    refreshSettingsPanel();
+}
+
+// --- プリセット ---
+
+/**
+ * 保存済みプリセット
+ * @returns {Object<string, Object<string, *>>}
+ */
+function loadPresets() {
+    try {
+        const presets = JSON.parse(localStorage.getItem(SETTINGS_PRESETS_KEY) || '{}');
+        return presets && typeof presets === 'object' ? presets : {};
+    } catch (e) {
+        console.warn('presets unreadable', e);
+        return {};
+    }
+}
+
+/**
+ * @param {Object<string, Object<string, *>>} presets
+ */
+function storePresets(presets) {
+    try {
+        localStorage.setItem(SETTINGS_PRESETS_KEY, JSON.stringify(presets));
+    } catch (e) {
+        updateLog(`プリセットを保存できません: ${e.message}`);
+    }
+}
+
+/**
+ * 現在の設定を名前を付けて保存
+ * @param {string} name
+ */
+function savePreset(name) {
+    const presets = loadPresets();
+    presets[name] = currentSettings();
+    storePresets(presets);
+    try { localStorage.setItem(SETTINGS_LAST_PRESET_KEY, name); } catch (e) {}
+}
+
+/**
+ * プリセットを読み込んで反映
+ * @param {string} name
+ * @returns {string[]} エラーメッセージ
+ */
+function loadPreset(name) {
+    const preset = loadPresets()[name];
+    if (!preset) return [`プリセット「${name}」がありません`];
+    try { localStorage.setItem(SETTINGS_LAST_PRESET_KEY, name); } catch (e) {}
+    return applySettings(preset);
+}
+
+/**
+ * @param {string} name
+ */
+function deletePreset(name) {
+    const presets = loadPresets();
+    delete presets[name];
+    storePresets(presets);
+}
+
+/**
+ * すべてのプリセットを JSON ファイルとしてダウンロード
+ */
+function exportPresets() {
+    const data = { format: SETTINGS_FILE_FORMAT, version: 1, presets: loadPresets() };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `soramimi-presets-${new Date().toISOString().slice(0, 10)}.json`);
+}
+
+/**
+ * JSON ファイルのプリセットを取り込む（同名は上書き）。各プリセットは事前に検証する
+ * @param {string} text ファイルの中身
+ * @returns {{imported: string[], errors: string[]}}
+ */
+function importPresets(text) {
+    const data = JSON.parse(text);
+    if (!data || data.format !== SETTINGS_FILE_FORMAT || typeof data.presets !== 'object') {
+        throw new Error('Soramimi のプリセットファイルではありません');
+    }
+    const presets = loadPresets();
+    const imported = [];
+    const errors = [];
+    const known = new Set(SETTINGS_SCHEMA.map(item => item.key));
+    for (const name of Object.keys(data.presets)) {
+        const values = data.presets[name];
+        if (!values || typeof values !== 'object') {
+            errors.push(`${name}: 形式が正しくありません`);
+            continue;
+        }
+        const merged = Object.assign(currentSettings(), values);
+        const problems = Object.keys(values || {})
+            .filter(key => known.has(key))
+            .map(key => {
+                const item = SETTINGS_SCHEMA.find(i => i.key === key);
+                const { error } = validateSetting(item, values[key], merged);
+                return error ? `${item.label}: ${error}` : null;
+            })
+            .filter(Boolean);
+        if (problems.length > 0) {
+            errors.push(`${name}: ${problems.join(', ')}`);
+            continue;
+        }
+        presets[name] = values;
+        imported.push(name);
+    }
+    storePresets(presets);
+    return { imported, errors };
+}
+
+/**
+ * プリセット操作（選択・保存・削除・書き出し・読み込み）のUIを接続
+ */
+function initPresetControls() {
+    const select = document.getElementById('presetSelect');
+    const nameInput = document.getElementById('presetName');
+    const saveButton = document.getElementById('presetSave');
+    const deleteButton = document.getElementById('presetDelete');
+    const exportButton = document.getElementById('presetExport');
+    const importInput = document.getElementById('presetImport');
+    if (!select) return;
+
+    const refresh = (selected) => {
+        select.innerHTML = '';
+        const placeholder = document.createElement('option');
+        placeholder.value = '';
+        placeholder.textContent = '— プリセット —';
+        select.appendChild(placeholder);
+        for (const name of Object.keys(loadPresets()).sort()) {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        }
+        select.value = selected || '';
+    };
+    let last = null;
+    try { last = localStorage.getItem(SETTINGS_LAST_PRESET_KEY); } catch (e) {}
+    refresh(last);
+    if (last && loadPresets()[last]) {
+        const errors = loadPreset(last);
+        updateLog(`プリセット「${last}」を適用しました${errors.length ? ` (エラー: ${errors.join(', ')})` : ''}`);
+    }
+
+    select.addEventListener('change', () => {
+        if (!select.value) return;
+        const errors = loadPreset(select.value);
+        if (nameInput) nameInput.value = select.value;
+        updateLog(`プリセット「${select.value}」を適用しました${errors.length ? ` (エラー: ${errors.join(', ')})` : ''}`);
+    });
+    if (saveButton) saveButton.addEventListener('click', () => {
+        const name = (nameInput && nameInput.value.trim()) || select.value;
+        if (!name) {
+            updateLog('プリセット名を入力してください');
+            return;
+        }
+        savePreset(name);
+        refresh(name);
+        updateLog(`プリセット「${name}」を保存しました`);
+    });
+    if (deleteButton) deleteButton.addEventListener('click', () => {
+        const name = select.value;
+        if (!name || !confirm(`プリセット「${name}」を削除しますか？`)) return;
+        deletePreset(name);
+        refresh('');
+        updateLog(`プリセット「${name}」を削除しました`);
+    });
+    if (exportButton) exportButton.addEventListener('click', exportPresets);
+    if (importInput) importInput.addEventListener('change', () => {
+        const file = importInput.files && importInput.files[0];
+        if (!file) return;
+        file.text().then(text => {
+            const { imported, errors } = importPresets(text);
+            refresh(select.value);
+            updateLog(`プリセットを読み込みました: ${imported.join(', ') || 'なし'}`);
+            errors.forEach(err => updateLog(`読み込めなかったプリセット: ${err}`));
+        }).catch(e => updateLog(`プリセットの読み込みに失敗: ${e.message}`)).finally(() => {
+            importInput.value = '';
+        });
+    });
+}
@@ -0,0 +1,210 @@
+// --- [空間配置: ステレオ / マルチスピーカー / HRTF] ---
+//
+// 聞き間違いをどこから鳴らすか（placement）を断片ごとに決め、再生の経路に置くノードを作る。
+//   stereo   : StereoPannerNode で左右のどこか（入力が複数ならゾーンの位置）
+//   speakers : 出力のチャンネルを1本ずつスピーカーとみなし（discrete）、1台または隣り合う2台の間に置く。
+//              マイクが複数なら、録れたマイクに最も近いスピーカーは避ける（SPEAKER_AVOID_SOURCE）
+//   hrtf     : PannerNode (HRTF) でランダムな 3D の位置に置く（ヘッドフォンで聞くとき）
+// スピーカーは出力チャンネルの順に輪のように並んでいるとみなし、入力（マイク）も同じ順に等間隔で割り当てる。
+// チャンネル数は開始時（createOutputBuses）に決まるので、モードやスピーカー数の変更は次の開始から。
+
+const OUTPUT_MODES = [
+    { value: 'stereo', label: 'ステレオ' },
+    { value: 'speakers', label: 'マルチスピーカー' },
+    { value: 'hrtf', label: 'HRTF（ヘッドフォン）' },
+];
+const HRTF_DISTANCE = [1, 4]; // 頭からの距離 (m)
+const HRTF_ELEVATION_DEG = [-15, 45]; // 仰角
+
+let OUTPUT_MODE = 'stereo';
+let SPEAKER_COUNT = 0; // 0 = 出力デバイスの最大チャンネル数
+let SPEAKER_PAIR_PROBABILITY = 0.3; // 1台ではなく隣り合う2台の間に置く確率
+let SPEAKER_AVOID_SOURCE = true; // 録れたマイクに最も近いスピーカーからは鳴らさない
+
+let outputChannels = 2; // 実際に組んだ出力のチャンネル数
+
+/**
+ * 出力のチャンネル数を決め、destination をそれに合わせる（createOutputBuses から）
+ * @returns {number}
+ */
+function configureOutputChannels() {
+    const dest = audioContext.destination;
+    outputChannels = 2;
+    if (OUTPUT_MODE !== 'speakers') return outputChannels;
+    const max = dest.maxChannelCount || 2;
+    const wanted = SPEAKER_COUNT > 0 ? SPEAKER_COUNT : max;
+    if (wanted > max) updateLog(`スピーカー: この出力は ${max} チャンネルまでです（${wanted} → ${max}）`);
+    try {
+        setDiscreteChannels(dest, Math.max(1, Math.min(max, wanted)));
+        outputChannels = dest.channelCount;
+    } catch (e) {
+        console.warn('destination channelCount failed', e);
+    }
+    updateLog(`スピーカー出力: ${outputChannels} チャンネル`);
+    return outputChannels;
+}
+
+/**
+ * 出力デバイスを切り替えた後: 新しいデバイスのチャンネル数に収める（足りなければ一部のスピーカーは鳴らない）
+ */
+function fitOutputChannels() {
+    if (!audioContext || OUTPUT_MODE !== 'speakers') return;
+    const dest = audioContext.destination;
+    const max = dest.maxChannelCount || 2;
+    try {
+        dest.channelCount = Math.min(outputChannels, max);
+    } catch (e) {}
+    if (max < outputChannels) updateLog(`スピーカー: この出力は ${max} チャンネルまでです（${outputChannels} 台のうち ${max} 台だけ鳴ります）`);
+}
+
+/**
+ * チャンネルを混ぜずにそのまま通すよう設定する
+ * @param {AudioNode} node
+ * @param {number} channels
+ */
+function setDiscreteChannels(node, channels) {
+    node.channelCount = channels;
+    node.channelCountMode = 'explicit';
+    node.channelInterpretation = 'discrete';
+}
+
+/**
+ * モニター (monitorBus) を出力へつなぐ。マルチスピーカーではすべてのスピーカーから同じ音量で
+ * @param {AudioNode} destination
+ */
+function connectMonitorOutput(destination) {
+    if (outputChannels <= 2) {
+        monitorBus.connect(destination);
+        return;
+    }
+    // いったんモノラルにまとめ、全チャンネルへ（合計のパワーが変わらないよう 1/√n）
+    monitorBus.channelCount = 1;
+    monitorBus.channelCountMode = 'explicit';
+    monitorBus.channelInterpretation = 'speakers';
+    const spread = audioContext.createGain();
+    spread.gain.value = 1 / Math.sqrt(outputChannels);
+    const merger = audioContext.createChannelMerger(outputChannels);
+    monitorBus.connect(spread);
+    for (let k = 0; k < outputChannels; k++) spread.connect(merger, 0, k);
+    merger.connect(destination);
+}
+
+/**
+ * 入力（マイク）に最も近いスピーカー。入力が1つなら位置が分からないので -1
+ * @param {string} inputId
+ * @returns {number}
+ */
+function speakerForInput(inputId) {
+    const ids = engine.archives.map(archive => archive.id);
+    const k = ids.indexOf(inputId);
+    if (k < 0 || ids.length < 2) return -1;
+    return Math.round(k * (outputChannels - 1) / (ids.length - 1));
+}
+
+/**
+ * 断片をどこから鳴らすか決める
+ * @param {{input?: string, outputZone?: string|null}} info
+ * @returns {{mode: string, pan: number, gains?: number[], speakers?: number[], position?: {x: number, y: number, z: number}}}
+ *   pan はステレオにしたときの位置（保存する断片のレンダリングとメタデータ用）
+ */
+function choosePlacement(info) {
+    // 入力が複数あれば、録れた場所とは別のゾーン (outputZone) から鳴らす
+    const zone = info.outputZone ? engine.input(info.outputZone) : null;
+    if (zone) updateLog(`ゾーン: ${engine.input(info.input) ? engine.input(info.input).label : info.input} の音を ${zone.label} から`);
+
+    if (OUTPUT_MODE === 'speakers' && outputChannels > 2) return chooseSpeakers(info, zone);
+    if (OUTPUT_MODE === 'hrtf') {
+        const azimuth = zone && zone.pan !== null
+            ? zone.pan * Math.PI / 2 + (Math.random() - 0.5) * 0.3
+            : (Math.random() * 2 - 1) * Math.PI;
+        const elevation = (HRTF_ELEVATION_DEG[0] + Math.random() * (HRTF_ELEVATION_DEG[1] - HRTF_ELEVATION_DEG[0])) * Math.PI / 180;
+        const distance = HRTF_DISTANCE[0] + Math.random() * (HRTF_DISTANCE[1] - HRTF_DISTANCE[0]);
+        // 正面は -z、右は +x
+        const position = {
+            x: distance * Math.sin(azimuth) * Math.cos(elevation),
+            y: distance * Math.sin(elevation),
+            z: -distance * Math.cos(azimuth) * Math.cos(elevation),
+        };
+        updateLog(`HRTF: 方位 ${Math.round(azimuth * 180 / Math.PI)}° / 仰角 ${Math.round(elevation * 180 / Math.PI)}° / ${distance.toFixed(1)}m`);
+        return { mode: 'hrtf', pan: Math.sin(azimuth), position };
+    }
+    // パンニング（-0.8から-0.2、または0.2から0.8の間でランダム）
+    const pan = zone && zone.pan !== null ? zone.pan : Math.random() > 0.5 ? Math.random() * 0.6 + 0.2 : -(Math.random() * 0.6 + 0.2);
+    return { mode: 'stereo', pan };
+}
+
+/**
+ * マルチスピーカー: 1台、または隣り合う2台の間（等パワー）を選ぶ
+ * @param {{input?: string}} info
+ * @param {SoundArchive|null} zone
+ */
+function chooseSpeakers(info, zone) {
+    const n = outputChannels;
+    const avoid = SPEAKER_AVOID_SOURCE ? speakerForInput(info.input) : -1;
+    let allowed = [];
+    for (let k = 0; k < n; k++) if (k !== avoid) allowed.push(k);
+    if (allowed.length === 0) allowed = [0];
+    const preferred = zone ? speakerForInput(zone.id) : -1;
+    const first = allowed.includes(preferred) ? preferred : allowed[Math.floor(Math.random() * allowed.length)];
+    const speakers = [first];
+    const gains = new Array(n).fill(0);
+    gains[first] = 1;
+    if (Math.random() < SPEAKER_PAIR_PROBABILITY) {
+        const neighbours = [(first + 1) % n, (first - 1 + n) % n].filter(k => k !== first && allowed.includes(k));
+        if (neighbours.length > 0) {
+            const second = neighbours[Math.floor(Math.random() * neighbours.length)];
+            const position = Math.random() * Math.PI / 2;
+            gains[first] = Math.cos(position);
+            gains[second] = Math.sin(position);
+            speakers.push(second);
+        }
+    }
+    const avoided = avoid >= 0 ? `（マイク近くの ${avoid + 1} を避ける）` : '';
+    updateLog(`スピーカー: ${speakers.map(k => k + 1).join(' + ')}${avoided}`);
+    const centre = speakers.reduce((sum, k) => sum + k * gains[k] * gains[k], 0);
+    return { mode: 'speakers', pan: n > 1 ? Math.round((centre / (n - 1) * 2 - 1) * 100) / 100 : 0, gains, speakers };
+}
+
+/**
+ * placement に置くノードを作る
+ * @param {BaseAudioContext} ctx
+ * @param {object} placement choosePlacement() の結果
+ * @returns {{input: AudioNode, output: AudioNode, disconnect: () => void}}
+ */
+function createPlacementStage(ctx, placement) {
+    if (placement.mode === 'speakers' && placement.gains) {
+        // モノラルにまとめて、選んだチャンネルへだけ送る
+        const input = ctx.createGain();
+        input.channelCount = 1;
+        input.channelCountMode = 'explicit';
+        const merger = ctx.createChannelMerger(placement.gains.length);
+        const nodes = [];
+        placement.gains.forEach((gain, k) => {
+            if (gain <= 0) return;
+            const send = ctx.createGain();
+            send.gain.value = gain;
+            input.connect(send);
+            send.connect(merger, 0, k);
+            nodes.push(send);
+        });
+        return { input, output: merger, disconnect: () => [input, merger].concat(nodes).forEach(node => node.disconnect()) };
+    }
+    if (placement.mode === 'hrtf' && placement.position) {
+        const panner = ctx.createPanner();
+        panner.panningModel = 'HRTF';
+        panner.distanceModel = 'inverse';
+        panner.refDistance = 1;
+        const { x, y, z } = placement.position;
+        if (panner.positionX) {
+            panner.positionX.setValueAtTime(x, ctx.currentTime);
+            panner.positionY.setValueAtTime(y, ctx.currentTime);
+            panner.positionZ.setValueAtTime(z, ctx.currentTime);
+        } else {
+            panner.setPosition(x, y, z);
+        }
+        return { input: panner, output: panner, disconnect: () => panner.disconnect() };
+    }
+    const panner = ctx.createStereoPanner();
+    panner.pan.setValueAtTime(placement.pan, ctx.currentTime);
+    return { input: panner, output: panner, disconnect: () => panner.disconnect() };
+}
@@ -0,0 +1,249 @@
+// --- [永続アーカイブ（IndexedDB）] ---
+//
+// ライブのアーカイブ（engine）とは別に、取り込んだ音声（最初の入力）を STORE_CHUNK_SEC ごとの
+// Int16 チャンクとして IndexedDB に保存する。リロードや別の日の公演でも
+// 以前の「記憶」から聞き間違いを引き出せるようにするためのもの。
+// メタデータ (時刻・長さ・サイズ) と音声本体は別の object store に分け、
+// 容量計算や候補選びでは音声本体を読み込まない。
+
+const STORE_DB_NAME = 'soramimi';
+const STORE_DB_VERSION = 1;
+const STORE_META = 'meta'; // { id, t, session, sampleRate, length, bytes }
+const STORE_SAMPLES = 'samples'; // { id, samples: Int16Array }
+const STORE_CHUNK_SEC = 10; // IndexedDB に書き込む1チャンクの長さ（秒）
+const STORE_PREF_KEY = 'soramimi.persistArchive'; // 永続化の ON/OFF を覚えておく localStorage キー
+
+let PERSIST_ARCHIVE = false; // 永続アーカイブを使うか（UIのチェックボックスで切り替え）
+let PERSIST_QUOTA_MB = 500; // 保存する音声の上限サイズ (MB)。超えたら古い順に削除
+let PERSIST_MAX_AGE = '30d'; // これより古いチャンクは削除（parseDurationSec 形式）
+let PERSISTED_FRAGMENT_RATIO = 0.3; // 聞き間違いのうち保存済みの記憶から選ぶ割合 (0..1)
+let PERSISTED_AGE_WEIGHT = 0.5; // >0: 古い記憶ほど選ばれやすい / <0: 新しいほど / 0: 一様
+
+let storeDbPromise = null; // Promise<IDBDatabase>
+let storeIndex = []; // メタデータのキャッシュ（t の昇順）
+let storePending = null; // 書き込み待ちのチャンク { samples, fill, t, sampleRate }
+let storeSession = null; // 現在のセッションID（startSoramimi ごとに更新）
+let storeSeq = 0;
+
+/**
+ * IDBRequest / IDBTransaction を Promise に変換
+ * @param {IDBRequest|IDBTransaction} req
+ */
+function idbDone(req) {
+    return new Promise((resolve, reject) => {
+        if (typeof IDBTransaction !== 'undefined' && req instanceof IDBTransaction) {
+            req.oncomplete = () => resolve();
+            req.onabort = req.onerror = () => reject(req.error);
+        } else {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        }
+    });
+}
+
+/**
+ * データベースを開き、メタデータのキャッシュを読み込む
+ * @returns {Promise<IDBDatabase>}
+ */
+function openArchiveStore() {
+    if (storeDbPromise) return storeDbPromise;
+    if (typeof indexedDB === 'undefined') return Promise.reject(new Error('IndexedDB is not available'));
+    const req = indexedDB.open(STORE_DB_NAME, STORE_DB_VERSION);
+    req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE_META)) {
+            db.createObjectStore(STORE_META, { keyPath: 'id' }).createIndex('t', 't');
+        }
+        if (!db.objectStoreNames.contains(STORE_SAMPLES)) {
+            db.createObjectStore(STORE_SAMPLES, { keyPath: 'id' });
+        }
+    };
+    storeDbPromise = idbDone(req).then(db => {
+        const tx = db.transaction(STORE_META, 'readonly');
+        return idbDone(tx.objectStore(STORE_META).index('t').getAll()).then(rows => {
+            storeIndex = rows;
+            return db;
+        });
+    });
+    storeDbPromise.catch(e => {
+        console.warn('archive store open failed', e);
+        storeDbPromise = null;
+    });
+    return storeDbPromise;
+}
+
+/**
+ * 新しいセッションを開始（チャンクIDとセッション表示に使う）
+ */
+function beginStoreSession() {
+    storeSession = Date.now().toString(36);
+    storeSeq = 0;
+    storePending = null;
+}
+
+/**
+ * 取り込んだ1ブロックを書き込み待ちのチャンクに追加し、満杯なら IndexedDB に保存
+ * @param {Float32Array} block
+ * @param {number} t 記録時刻 (ms)
+ * @param {number} sampleRate
+ */
+function persistArchiveBlock(block, t, sampleRate) {
+    if (!PERSIST_ARCHIVE || !storeSession) return;
+    if (storePending && storePending.sampleRate !== sampleRate) flushPersistBuffer();
+    if (!storePending) {
+        storePending = { samples: new Int16Array(Math.ceil(STORE_CHUNK_SEC * sampleRate)), fill: 0, t, sampleRate };
+    }
+    const p = storePending;
+    const n = Math.min(block.length, p.samples.length - p.fill);
+    for (let i = 0; i < n; i++) {
+        const v = block[i];
+        p.samples[p.fill + i] = v >= 1 ? 32767 : v <= -1 ? -32768 : Math.round(v * 32767);
+    }
+    p.fill += n;
+    if (p.fill >= p.samples.length) {
+        flushPersistBuffer();
+        // チャンク境界をまたいだ残り
+        if (n < block.length) persistArchiveBlock(block.subarray(n), t + n / sampleRate * 1000, sampleRate);
+    }
+}
+
+/**
+ * 書き込み待ちのチャンクを保存（停止時は途中までのチャンクも保存する）
+ * @returns {Promise<void>}
+ */
+function flushPersistBuffer() {
+    const p = storePending;
+    storePending = null;
+    if (!p || p.fill === 0) return Promise.resolve();
+    const samples = p.fill === p.samples.length ? p.samples : p.samples.slice(0, p.fill);
+    const meta = {
+        id: `${storeSession}-${storeSeq++}`,
+        t: p.t,
+        session: storeSession,
+        sampleRate: p.sampleRate,
+        length: samples.length,
+        bytes: samples.byteLength,
+    };
+    return openArchiveStore().then(db => {
+        const tx = db.transaction([STORE_META, STORE_SAMPLES], 'readwrite');
+        tx.objectStore(STORE_META).put(meta);
+        tx.objectStore(STORE_SAMPLES).put({ id: meta.id, samples });
+        return idbDone(tx);
+    }).then(() => {
+        storeIndex.push(meta);
+        return pruneArchiveStore();
+    }).catch(e => {
+        console.warn('persist chunk failed', e);
+        updateLog(`記憶の保存に失敗: ${e && e.name ? e.name : e}`);
+    });
+}
+
+/**
+ * 容量 (PERSIST_QUOTA_MB) と保存期間 (PERSIST_MAX_AGE と engine の保持期間の短い方) を超えたチャンクを古い順に削除
+ * （「記憶を保存」が OFF でも、以前のセッションが保存したチャンクを消せるよう、先にデータベースを開いて一覧を読む）
+ * @returns {Promise<number>} 削除したチャンク数
+ */
+function pruneArchiveStore() {
+    const victims = [];
+    return openArchiveStore().then(db => {
+        const quotaBytes = PERSIST_QUOTA_MB * 1024 * 1024;
+        const maxAgeSec = Math.min(SoramimiEngine.parseDurationSec(PERSIST_MAX_AGE), engine.maxRetentionMs() / 1000);
+        const cutoff = Number.isFinite(maxAgeSec) ? Date.now() - maxAgeSec * 1000 : -Infinity;
+        let total = storeIndex.reduce((sum, m) => sum + m.bytes, 0);
+        for (const m of storeIndex) {
+            if (m.t >= cutoff && total <= quotaBytes) break;
+            victims.push(m);
+            total -= m.bytes;
+        }
+        if (victims.length === 0) return null;
+        const tx = db.transaction([STORE_META, STORE_SAMPLES], 'readwrite');
+        for (const m of victims) {
+            tx.objectStore(STORE_META).delete(m.id);
+            tx.objectStore(STORE_SAMPLES).delete(m.id);
+        }
+        return idbDone(tx);
+    }).then(() => {
+        if (victims.length === 0) return 0;
+        const removed = new Set(victims.map(m => m.id));
+        storeIndex = storeIndex.filter(m => !removed.has(m.id));
+        return victims.length;
+    });
+}
+
+/**
+ * 保存済みの記憶の概要
+ * @returns {{count: number, bytes: number, durationSec: number, oldest: number|null, sessions: number}}
+ */
+function archiveStoreStats() {
+    const sessions = new Set();
+    let bytes = 0;
+    let durationSec = 0;
+    for (const m of storeIndex) {
+        bytes += m.bytes;
+        durationSec += m.length / m.sampleRate;
+        sessions.add(m.session);
+    }
+    return { count: storeIndex.length, bytes, durationSec, oldest: storeIndex.length ? storeIndex[0].t : null, sessions: sessions.size };
+}
+
+/**
+ * 保存済みの記憶をすべて削除
+ * @returns {Promise<void>}
+ */
+function clearArchiveStore() {
+    if (storePending) storePending.samples.fill(0);
+    storePending = null;
+    return openArchiveStore().then(db => {
+        const tx = db.transaction([STORE_META, STORE_SAMPLES], 'readwrite');
+        tx.objectStore(STORE_META).clear();
+        tx.objectStore(STORE_SAMPLES).clear();
+        return idbDone(tx);
+    }).then(() => {
+        storeIndex = [];
+    });
+}
+
+/**
+ * beforeMs より前に終わっているチャンク（= ライブのアーカイブにはもう無い記憶）
+ * @param {number} beforeMs
+ * @param {number} [afterMs] これより後に始まったチャンクだけ（断片の最大経過時間）
+ */
+function persistedCandidates(beforeMs, afterMs = -Infinity) {
+    return storeIndex.filter(m => m.t >= afterMs && m.t + m.length / m.sampleRate * 1000 <= beforeMs);
+}
+
+/**
+ * 保存済みの記憶から、古さで重み付けしてチャンクを選び、その中の断片を取り出す
+ * @param {number} durationSec 断片の長さ（チャンクより長ければチャンク全体）
+ * @param {number} beforeMs これより前に終わっているチャンクだけを候補にする
+ * @param {number} [afterMs] これより後に始まったチャンクだけを候補にする
+ * @param {() => number} [random] 選択に使う乱数（engine から渡す。テストで決定的にするため）
+ * @param {number} [now] 古さの重みの基準の時刻 (ms)（engine の時計。beforeMs / afterMs と同じ時計で測る）
+ * @returns {Promise<{samples: Float32Array, sampleRate: number, t: number}|null>}
+ */
+function pickPersistedFragment(durationSec, beforeMs, afterMs = -Infinity, random = Math.random, now = Date.now()) {
+    const candidates = persistedCandidates(beforeMs, afterMs);
+    if (candidates.length === 0) return Promise.resolve(null);
+    const weights = candidates.map(m => Math.pow((now - m.t) / 3600000 + 1, PERSISTED_AGE_WEIGHT));
+    const total = weights.reduce((a, b) => a + b, 0);
+    let r = random() * total;
+    let meta = candidates[candidates.length - 1];
+    for (let i = 0; i < candidates.length; i++) {
+        r -= weights[i];
+        if (r <= 0) { meta = candidates[i]; break; }
+    }
+    return openArchiveStore().then(db => {
+        const tx = db.transaction(STORE_SAMPLES, 'readonly');
+        return idbDone(tx.objectStore(STORE_SAMPLES).get(meta.id));
+    }).then(record => {
+        if (!record) return null;
+        const src = record.samples;
+        const length = Math.min(src.length, Math.round(durationSec * meta.sampleRate));
+        // 発話の立ち上がりから始まり、十分な音量のある位置を探す
+        const start = engine.pickOnsetInSamples(src, meta.sampleRate, length);
+        if (start < 0) return null;
+        const samples = new Float32Array(length);
+        for (let i = 0; i < length; i++) samples[i] = src[start + i] / 32768;
+        return { samples, sampleRate: meta.sampleRate, t: meta.t + start / meta.sampleRate * 1000 };
+    });
+}
@@ -0,0 +1,57 @@
+// --- [時間の表記] ---
+//
+// 設定やスコアで使う「30s / 10m / 1h」形式の長さと、ログ・表示用の整形。
+// ES module（soramimi-engine.js と soramimi-score.js が使う。クラシックスクリプトからは SoramimiEngine の静的メンバー経由）。
+
+/**
+ * 秒数、または '30s' / '10m' / '1h' / '1h30m' / '7d' 形式の文字列を秒に変換
+ * @param {number|string} value
+ * @returns {number} 秒（解釈できなければ NaN）
+ */
+export function parseDurationSec(value) {
+    if (typeof value === 'number') return value;
+    const text = String(value).trim().toLowerCase();
+    if (/^\d+(\.\d+)?$/.test(text)) return Number(text);
+    const units = { d: 86400, h: 3600, m: 60, min: 60, s: 1, sec: 1 };
+    const re = /(\d+(?:\.\d+)?)\s*(d|h|min|m|sec|s)/g;
+    let total = 0;
+    let consumed = '';
+    let match;
+    while ((match = re.exec(text)) !== null) {
+        total += Number(match[1]) * units[match[2]];
+        consumed += match[0];
+    }
+    return consumed.replace(/\s/g, '') === text.replace(/\s/g, '') && consumed ? total : NaN;
+}
+
+/**
+ * 秒を「1:02:03」「4:05」形式に整形
+ * @param {number} sec
+ */
+export function formatDuration(sec) {
+    const s = Math.max(0, Math.floor(sec));
+    const h = Math.floor(s / 3600);
+    const m = Math.floor((s % 3600) / 60);
+    const ss = String(s % 60).padStart(2, '0');
+    return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${ss}` : `${m}:${ss}`;
+}
+
+/**
+ * 時刻 'HH:MM' を 0時からの分に変換（'24:00' は1日の終わり）
+ * @param {string} value
+ * @returns {number} 分（解釈できなければ NaN）
+ */
+export function parseClockMin(value) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(value).trim());
+    if (!match) return NaN;
+    const min = Number(match[1]) * 60 + Number(match[2]);
+    return Number(match[2]) < 60 && min <= 24 * 60 ? min : NaN;
+}
+
+/**
+ * 0時からの分を 'HH:MM' に整形
+ * @param {number} min
+ */
+export function formatClockMin(min) {
+    return `${String(Math.floor(min / 60)).padStart(2, '0')}:${String(min % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,226 @@
+// --- [アーカイブのタイムライン] ---
+//
+// ライブのアーカイブ（入力が複数なら選んだ1つ）全体を左 = 最古、右 = 最新 の canvas に描く。
+//   - ブロックごとの音量 (RMS) の包絡。発話 (FLAG_VOICE) を含むところは明るく、
+//     ハウリング中 (FLAG_FEEDBACK) のところは暗くして上端に印（断片には使われない）
+//   - 最小経過時間 (minFragmentAge) より新しい、自動の聞き間違いには使わない範囲（右端の網掛け）
+//   - 再生した聞き間違いの元の位置の印と、再生中の断片の再生位置
+// クリックでその位置から聞き間違いとして再生、Shift+クリックで演出なしの試聴（engine.playAt）。
+// 位置は時刻 (ms) で覚えておくので、アーカイブが流れても印は元の音と一緒に動く。
+
+const TIMELINE_FPS = 15; // 再描画の頻度（長いアーカイブでも重くならないよう間引く）
+const TIMELINE_MARKERS_MAX = 500;
+const TIMELINE_RMS_FULL = 0.3; // この RMS で上下いっぱい（平方根で小さな音も見えるようにする）
+
+const timelineState = {
+    canvas: null,
+    frame: null, // requestAnimationFrame の ID
+    lastDrawAt: 0,
+    markers: [], // { spans: [{t, sec}], durationSec, mode, input, startedAt, playing }
+    inputId: null, // 表示する入力（null = 最初の入力）
+};
+
+/**
+ * 表示中の入力のアーカイブ
+ * @returns {SoundArchive}
+ */
+function timelineArchive() {
+    return (timelineState.inputId && engine.input(timelineState.inputId)) || engine.archive;
+}
+
+/**
+ * 再生した断片の印を追加
+ * @param {{t: number, sec: number}[]} spans 元の音の録音時刻 (ms) と長さ
+ * @param {number} durationSec 再生の長さ（再生位置の表示用）
+ * @param {string} mode 'fragment' | 'collage' | 'audition'
+ * @param {string} [input] 元の音を録った入力（他の入力を表示中は描かない）
+ */
+function addTimelineMarker(spans, durationSec, mode, input) {
+    const marker = { spans: spans || [], durationSec, mode, input: input || null, startedAt: Date.now(), playing: true };
+    timelineState.markers.push(marker);
+    if (timelineState.markers.length > TIMELINE_MARKERS_MAX) timelineState.markers.shift();
+    return marker;
+}
+
+/**
+ * 再生が終わった断片の再生位置を消す（印は残す）
+ * @param {object} marker addTimelineMarker() の戻り値
+ */
+function endTimelineMarker(marker) {
+    if (marker) marker.playing = false;
+}
+
+/**
+ * 再生中の断片の、元の音の上での現在位置 (ms)
+ * @param {object} marker
+ */
+function timelinePlayheadTime(marker) {
+    const total = marker.spans.reduce((sum, span) => sum + span.sec, 0);
+    if (total <= 0) return null;
+    // pitch などで再生の長さは元の音と一致しないので、進み具合の割合で対応させる
+    const progress = Math.min(0.999, (Date.now() - marker.startedAt) / 1000 / Math.max(0.001, marker.durationSec));
+    let remain = progress * total;
+    for (const span of marker.spans) {
+        if (remain <= span.sec) return span.t + remain * 1000;
+        remain -= span.sec;
+    }
+    return null;
+}
+
+/**
+ * タイムラインを描く
+ */
+function drawTimeline() {
+    const canvas = timelineState.canvas;
+    if (!canvas) return;
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.max(1, Math.round(canvas.clientWidth * ratio));
+    const height = Math.max(1, Math.round(canvas.clientHeight * ratio));
+    if (canvas.width !== width) canvas.width = width;
+    if (canvas.height !== height) canvas.height = height;
+    const g = canvas.getContext('2d');
+    g.clearRect(0, 0, width, height);
+    const archive = timelineArchive();
+    const n = archive.length;
+    const mid = height / 2;
+    g.font = `${11 * ratio}px sans-serif`;
+    if (n === 0) {
+        g.fillStyle = 'rgba(191,191,191,0.6)';
+        g.fillText('アーカイブなし', 8 * ratio, mid + 4 * ratio);
+        return;
+    }
+    const xOf = index => index / n * width;
+
+    // 1. 音量の包絡（1列ごとに、その列に入るブロックの最大値）
+    for (let x = 0; x < width; x++) {
+        const first = Math.floor(x / width * n);
+        const last = Math.max(first + 1, Math.floor((x + 1) / width * n));
+        let peak = 0;
+        let voice = false;
+        let feedback = false;
+        for (let i = first; i < last && i < n; i++) {
+            peak = Math.max(peak, archive.blockRms(i));
+            const flags = archive.blockFlags(i);
+            if (flags & SoramimiEngine.FLAG_VOICE) voice = true;
+            if (flags & SoramimiEngine.FLAG_FEEDBACK) feedback = true;
+        }
+        const h = Math.max(ratio / 2, Math.min(1, Math.sqrt(peak / TIMELINE_RMS_FULL)) * (mid - 2 * ratio));
+        g.fillStyle = feedback ? 'rgba(191,191,191,0.15)' : voice ? 'rgba(247,247,247,0.85)' : 'rgba(191,191,191,0.35)';
+        g.fillRect(x, mid - h, 1, h * 2);
+        if (feedback) {
+            g.fillStyle = 'rgba(247,247,247,0.6)';
+            g.fillRect(x, 0, 1, 2 * ratio);
+        }
+    }
+
+    // 2. 最小経過時間より新しい範囲（自動では使わない）
+    const cutoff = Date.now() - engine.minFragmentAgeMs();
+    const boundary = archive.indexAt(cutoff);
+    const excludeFrom = boundary !== null ? xOf(boundary) : cutoff > archive.blockTime(n - 1) ? width : 0;
+    if (excludeFrom < width) {
+        g.fillStyle = 'rgba(255,255,255,0.10)';
+        g.fillRect(excludeFrom, 0, width - excludeFrom, height);
+        g.strokeStyle = 'rgba(255,255,255,0.5)';
+        g.lineWidth = ratio;
+        g.beginPath();
+        g.moveTo(excludeFrom, 0);
+        g.lineTo(excludeFrom, height);
+        g.stroke();
+        g.fillStyle = 'rgba(247,247,247,0.7)';
+        g.fillText('除外', Math.min(excludeFrom + 4 * ratio, width - 28 * ratio), 12 * ratio);
+    }
+
+    // 3. 再生した断片の印（上端の帯）と再生位置
+    const oldest = archive.blockTime(0) - archive.blockMs();
+    timelineState.markers = timelineState.markers.filter(m => m.playing || m.spans.some(span => span.t + span.sec * 1000 > oldest));
+    for (const marker of timelineState.markers) {
+        if (marker.input && marker.input !== archive.id) continue;
+        for (const span of marker.spans) {
+            if (span.t + span.sec * 1000 <= oldest) continue; // もうアーカイブに無い（保存された記憶など）
+            const a = archive.indexAt(Math.max(span.t, oldest));
+            const b = archive.indexAt(span.t + span.sec * 1000);
+            if (a === null) continue;
+            const x0 = xOf(a);
+            const x1 = b === null ? width : xOf(b);
+            g.fillStyle = marker.playing ? 'rgba(247,247,247,0.9)' : marker.mode === 'audition' ? 'rgba(191,191,191,0.35)' : 'rgba(247,247,247,0.45)';
+            g.fillRect(x0, 0, Math.max(ratio, x1 - x0), 4 * ratio);
+            g.fillStyle = marker.playing ? 'rgba(247,247,247,0.14)' : 'rgba(247,247,247,0.05)';
+            g.fillRect(x0, 4 * ratio, Math.max(ratio, x1 - x0), height - 4 * ratio);
+        }
+        if (!marker.playing) continue;
+        const t = timelinePlayheadTime(marker);
+        const at = t === null ? null : archive.indexAt(t);
+        if (at === null) continue;
+        g.strokeStyle = '#f7f7f7';
+        g.lineWidth = 2 * ratio;
+        g.beginPath();
+        g.moveTo(xOf(at), 0);
+        g.lineTo(xOf(at), height);
+        g.stroke();
+    }
+}
+
+/**
+ * 実行中は TIMELINE_FPS で描き続ける
+ */
+function startTimeline() {
+    stopTimeline();
+    if (typeof requestAnimationFrame === 'undefined') return;
+    const loop = (now) => {
+        timelineState.frame = requestAnimationFrame(loop);
+        if (now - timelineState.lastDrawAt < 1000 / TIMELINE_FPS) return;
+        timelineState.lastDrawAt = now;
+        drawTimeline();
+    };
+    timelineState.frame = requestAnimationFrame(loop);
+}
+
+/**
+ * 描画を止める（印は停止後の確認のため残す）
+ */
+function stopTimeline() {
+    if (timelineState.frame !== null && typeof cancelAnimationFrame !== 'undefined') cancelAnimationFrame(timelineState.frame);
+    timelineState.frame = null;
+    drawTimeline();
+}
+
+/**
+ * canvas を受け取り、クリックでの再生を登録
+ * @param {HTMLCanvasElement} canvas
+ */
+function initTimeline(canvas) {
+    timelineState.canvas = canvas;
+    canvas.addEventListener('click', (ev) => {
+        const archive = timelineArchive();
+        const n = archive.length;
+        if (n === 0) return;
+        const rect = canvas.getBoundingClientRect();
+        const index = Math.floor((ev.clientX - rect.left) / rect.width * n);
+        engine.playAt(Math.min(n - 1, Math.max(0, index)), ev.shiftKey, archive.id);
+    });
+    window.addEventListener('resize', drawTimeline);
+    drawTimeline();
+}
+
+/**
+ * 入力が複数あるとき、タイムラインに表示する入力を選ぶ select を作り直す
+ * @param {HTMLSelectElement} select
+ */
+function updateTimelineInputs(select) {
+    if (!select) return;
+    const archives = engine.archives;
+    select.hidden = archives.length < 2;
+    select.innerHTML = '';
+    for (const archive of archives) {
+        const option = document.createElement('option');
+        option.value = archive.id;
+        option.textContent = archive.label || archive.id;
+        select.appendChild(option);
+    }
+    if (!engine.input(timelineState.inputId)) timelineState.inputId = null;
+    select.value = timelineArchive().id;
+    select.onchange = () => {
+        timelineState.inputId = select.value;
+        drawTimeline();
+    };
+}
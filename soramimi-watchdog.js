@@ -0,0 +1,299 @@
+// --- [無人運転の監視（ウォッチドッグ）] ---
+//
+// 一晩じゅう誰もいない会場で動かし続けるために、次の異常を見張って自分で立ち直る:
+//   - AudioContext が suspended / interrupted になった → resume を繰り返す（必要なら画面のクリックを待つ）
+//   - AudioContext が閉じられた → 経路を作り直す（restartSoramimi。アーカイブは残す）
+//   - 入力のブロックが WATCHDOG_STALL_SEC 秒届かない → その入力の取り込み経路を作り直し、
+//     それでも届かなければ全体を作り直す（ストリームの取り直しを含む）
+//   - マイクのトラックが ended になった・選んだ入力が欠けている → 開き直す
+// 開始中は Screen Wake Lock で画面のスリープを止める（タブが隠れると外れるので、戻ったら取り直す）。
+// 稼働時間と異常・復旧の記録は localStorage に残し、JSON として書き出せる（翌朝の確認用）。
+
+const WATCHDOG_POLL_MS = 2000; // 確認の間隔
+const WATCHDOG_RESYNC_MS = 15000; // 欠けている入力を開き直す間隔
+const WATCHDOG_RETRY_MS = [5000, 15000, 30000, 60000]; // 作り直しに失敗したときの再試行の間隔
+const WATCHDOG_INCIDENTS_KEY = 'soramimi.incidents'; // 異常の記録（新しい方から WATCHDOG_INCIDENT_LIMIT 件）
+const WATCHDOG_INCIDENT_LIMIT = 500;
+
+let WATCHDOG = true; // 異常を見張って自動で立ち直る
+let WATCHDOG_STALL_SEC = 6; // 入力のブロックがこれだけ届かなければ取り込みが止まったとみなす
+let WAKE_LOCK = true; // 開始中は画面のスリープを止める
+
+const watchdogState = {
+    timer: null,
+    sessionStartedAt: 0, // 開始ボタン（または開場時間）から。作り直しでは数え直さない
+    lastBlockAt: {}, // 入力 ID -> 最後にブロックが届いた時刻
+    stalls: {}, // 入力 ID -> 取り込み経路を作り直してもまだ止まっている回数
+    lastResyncAt: 0,
+    recovering: false, // 作り直しの途中
+    retries: 0,
+    retryTimer: null,
+    sampleRate: 0, // 作り直すときのサンプルレート（違うとアーカイブを捨てることになるので前と揃える）
+    suspendedAt: 0, // 止められた時刻（0 = 動いている）
+    wakeLock: null, // WakeLockSentinel
+    incidents: [], // { t, kind, message, uptimeSec }
+    sessionIncidents: 0,
+};
+let watchdogInfoElement = null;
+
+/**
+ * 異常・復旧を記録してログに出す
+ * @param {string} kind 'start' | 'stop' | 'suspended' | 'resumed' | 'stall' | 'track' | 'restart' | 'recovered' | 'failed'
+ * @param {string} message
+ */
+function recordIncident(kind, message) {
+    const uptimeSec = watchdogState.sessionStartedAt ? Math.round((Date.now() - watchdogState.sessionStartedAt) / 1000) : 0;
+    watchdogState.incidents.push({ t: Date.now(), kind, message, uptimeSec });
+    if (watchdogState.incidents.length > WATCHDOG_INCIDENT_LIMIT) watchdogState.incidents.splice(0, watchdogState.incidents.length - WATCHDOG_INCIDENT_LIMIT);
+    if (kind !== 'start' && kind !== 'stop') watchdogState.sessionIncidents++;
+    try { localStorage.setItem(WATCHDOG_INCIDENTS_KEY, JSON.stringify(watchdogState.incidents)); } catch (e) {}
+    updateLog(`監視: ${message}`);
+    updateWatchdogInfo();
+}
+
+/**
+ * 開始時に呼ぶ（startSoramimi。入力が開いた後）
+ */
+function startWatchdog() {
+    const now = Date.now();
+    if (!watchdogState.recovering) {
+        watchdogState.sessionStartedAt = now;
+        watchdogState.sessionIncidents = 0;
+        recordIncident('start', '開始');
+    }
+    watchdogState.lastBlockAt = {};
+    inputs.forEach(input => { watchdogState.lastBlockAt[input.id] = now; });
+    watchdogState.stalls = {};
+    watchdogState.suspendedAt = 0;
+    watchdogState.sampleRate = audioContext.sampleRate;
+    audioContext.addEventListener('statechange', pollWatchdog);
+    if (watchdogState.timer === null) watchdogState.timer = setInterval(pollWatchdog, WATCHDOG_POLL_MS);
+    requestWakeLock();
+    updateWatchdogInfo();
+}
+
+/**
+ * 停止ボタン・開場時間の終わりで呼ぶ（作り直しの再試行も止める）
+ */
+function stopWatchdog() {
+    if (watchdogState.timer !== null) clearInterval(watchdogState.timer);
+    watchdogState.timer = null;
+    if (watchdogState.retryTimer) clearTimeout(watchdogState.retryTimer);
+    watchdogState.retryTimer = null;
+    watchdogState.recovering = false;
+    watchdogState.retries = 0;
+    if (audioContext) audioContext.removeEventListener('statechange', pollWatchdog);
+    if (watchdogState.sessionStartedAt) recordIncident('stop', `停止（稼働 ${SoramimiEngine.formatDuration((Date.now() - watchdogState.sessionStartedAt) / 1000)}）`);
+    watchdogState.sessionStartedAt = 0;
+    releaseWakeLock();
+    updateWatchdogInfo();
+}
+
+/**
+ * engine の 'block' イベント: 入力ごとに最後にブロックが届いた時刻
+ * @param {{input: string}} detail
+ */
+function watchdogBlock({ input }) {
+    watchdogState.lastBlockAt[input] = Date.now();
+    watchdogState.stalls[input] = 0;
+}
+
+/**
+ * 定期的な確認（AudioContext の statechange からも）
+ */
+function pollWatchdog() {
+    if (!WATCHDOG || !audioContext || watchdogState.recovering) return;
+    const now = Date.now();
+    const state = audioContext.state;
+    if (state === 'closed') {
+        recoverByRestart('AudioContext が閉じられました');
+        return;
+    }
+    if (state !== 'running') {
+        resumeAudio(state);
+        return;
+    }
+    if (watchdogState.suspendedAt) {
+        recordIncident('resumed', `音声が再開しました（${Math.round((now - watchdogState.suspendedAt) / 1000)}s 止まっていました）`);
+        watchdogState.suspendedAt = 0;
+        // 止まっていた間はブロックが届かないので、取り込みの確認はここから数え直す
+        inputs.forEach(input => { watchdogState.lastBlockAt[input.id] = now; });
+    }
+    for (const input of inputs.slice()) {
+        if (input.stream.getAudioTracks().some(track => track.readyState === 'ended')) {
+            watchdogTrackEnded(input);
+            continue;
+        }
+        const last = watchdogState.lastBlockAt[input.id] || now;
+        if (now - last > WATCHDOG_STALL_SEC * 1000) handleStall(input, (now - last) / 1000);
+    }
+    // 外れていた入力が戻っていないか（devicechange が来ないこともある）
+    if (!watchdogState.recovering && inputs.length < wantedInputs().length && now - watchdogState.lastResyncAt > WATCHDOG_RESYNC_MS) {
+        watchdogState.lastResyncAt = now;
+        onDeviceChange();
+    }
+    updateWatchdogInfo();
+}
+
+/**
+ * 止められた AudioContext を再開する。ブラウザがユーザー操作を求めるなら、次のクリック・キー入力で
+ * @param {string} state
+ */
+function resumeAudio(state) {
+    if (!watchdogState.suspendedAt) {
+        watchdogState.suspendedAt = Date.now();
+        recordIncident('suspended', `音声が止まりました (${state})。再開を試みます`);
+        const onGesture = () => {
+            document.removeEventListener('pointerdown', onGesture);
+            document.removeEventListener('keydown', onGesture);
+            if (audioContext) audioContext.resume().catch(() => {});
+        };
+        document.addEventListener('pointerdown', onGesture);
+        document.addEventListener('keydown', onGesture);
+    }
+    audioContext.resume().catch(() => {});
+}
+
+/**
+ * 取り込みが止まった入力: まず取り込み経路だけを作り直し、それでも届かなければ全体を作り直す
+ * @param {object} input
+ * @param {number} sec 止まっている秒数
+ */
+function handleStall(input, sec) {
+    const count = watchdogState.stalls[input.id] || 0;
+    watchdogState.stalls[input.id] = count + 1;
+    if (count === 0) {
+        recordIncident('stall', `取り込みが止まりました: ${input.label} (${Math.round(sec)}s)。取り込み経路を作り直します`);
+        watchdogState.lastBlockAt[input.id] = Date.now();
+        stopArchiveCapture(input);
+        startArchiveCapture(input);
+        return;
+    }
+    recoverByRestart(`取り込みが止まったままです: ${input.label}`);
+}
+
+/**
+ * マイクのトラックが終わった: 閉じて開き直す（抜かれていれば devices の処理でそのまま外れる）
+ * @param {object} input
+ */
+function watchdogTrackEnded(input) {
+    if (!inputs.includes(input)) return;
+    recordIncident('track', `マイクのトラックが終わりました: ${input.label}。開き直します`);
+    disconnectInput(input);
+    onDeviceChange();
+}
+
+/**
+ * 経路を作り直す（ストリームの取り直しを含む。アーカイブ・スコアの経過時間は残す）
+ * @param {string} reason
+ */
+function recoverByRestart(reason) {
+    if (watchdogState.recovering) return;
+    watchdogState.recovering = true;
+    recordIncident('restart', `${reason}。作り直します`);
+    if (statusElement) statusElement.textContent = 'ステータス: 復旧中...';
+    restartSoramimi();
+}
+
+/**
+ * startSoramimi から: 作り直しが終わった
+ */
+function watchdogRecovered() {
+    if (!watchdogState.recovering) return;
+    watchdogState.recovering = false;
+    watchdogState.retries = 0;
+    recordIncident('recovered', '復旧しました');
+}
+
+/**
+ * startSoramimi の失敗から: 作り直しの途中なら、アーカイブを残したまま間を空けてもう一度試す
+ * @param {Error} err
+ * @returns {boolean} ここで引き受けたか（false なら通常の失敗として扱う）
+ */
+function watchdogStartFailed(err) {
+    if (!watchdogState.recovering) return false;
+    const delay = WATCHDOG_RETRY_MS[Math.min(watchdogState.retries++, WATCHDOG_RETRY_MS.length - 1)];
+    recordIncident('failed', `作り直しに失敗しました (${err.name})。${delay / 1000} 秒後にもう一度試します`);
+    if (statusElement) statusElement.textContent = 'ステータス: 復旧を待っています...';
+    teardownAudio().then(() => {
+        watchdogState.retryTimer = setTimeout(() => {
+            watchdogState.retryTimer = null;
+            if (watchdogState.recovering) restartSoramimi();
+        }, delay);
+    });
+    return true;
+}
+
+/**
+ * 作り直しで使うサンプルレート（作り直しでなければ 0 = ブラウザに任せる）
+ */
+function watchdogSampleRate() {
+    return watchdogState.recovering ? watchdogState.sampleRate : 0;
+}
+
+// --- 画面のスリープ ---
+
+function requestWakeLock() {
+    if (!WAKE_LOCK || watchdogState.wakeLock || !navigator.wakeLock || document.visibilityState !== 'visible') return;
+    navigator.wakeLock.request('screen').then(lock => {
+        watchdogState.wakeLock = lock;
+        lock.addEventListener('release', () => {
+            if (watchdogState.wakeLock === lock) watchdogState.wakeLock = null;
+            updateWatchdogInfo();
+        });
+        updateWatchdogInfo();
+    }).catch(e => updateLog(`画面のスリープを止められません (${e.name})`));
+}
+
+function releaseWakeLock() {
+    const lock = watchdogState.wakeLock;
+    watchdogState.wakeLock = null;
+    if (lock) lock.release().catch(() => {});
+}
+
+// --- 表示と記録の書き出し ---
+
+function updateWatchdogInfo() {
+    if (!watchdogInfoElement) return;
+    const parts = [];
+    if (watchdogState.sessionStartedAt) {
+        parts.push(`稼働 ${SoramimiEngine.formatDuration((Date.now() - watchdogState.sessionStartedAt) / 1000)}`);
+        parts.push(watchdogState.sessionIncidents > 0 ? `異常 ${watchdogState.sessionIncidents} 回` : '異常なし');
+        if (watchdogState.recovering) parts.push('復旧中');
+        if (WAKE_LOCK) parts.push(watchdogState.wakeLock ? 'スリープ防止中' : 'スリープ防止なし');
+    }
+    const last = watchdogState.incidents.slice().reverse().find(i => i.kind !== 'start' && i.kind !== 'stop');
+    if (last) parts.push(`最後の異常: ${new Date(last.t).toLocaleString()} ${last.message}`);
+    const text = parts.join(' / ');
+    if (watchdogInfoElement.textContent !== text) watchdogInfoElement.textContent = text;
+}
+
+/**
+ * 異常の記録を JSON ファイルとしてダウンロード
+ */
+function exportIncidents() {
+    const data = { format: 'soramimi-incidents', version: 1, exportedAt: new Date().toISOString(), incidents: watchdogState.incidents };
+    downloadBlob(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }), `soramimi-incidents-${fileStamp(Date.now())}.json`);
+}
+
+function initWatchdogControls() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(WATCHDOG_INCIDENTS_KEY) || '[]');
+        if (Array.isArray(saved)) watchdogState.incidents = saved.slice(-WATCHDOG_INCIDENT_LIMIT);
+    } catch (e) {}
+    watchdogInfoElement = document.getElementById('watchdogInfo');
+    const exportButton = document.getElementById('watchdogExport');
+    const clearButton = document.getElementById('watchdogClear');
+    if (exportButton) exportButton.addEventListener('click', exportIncidents);
+    if (clearButton) clearButton.addEventListener('click', () => {
+        watchdogState.incidents = [];
+        try { localStorage.removeItem(WATCHDOG_INCIDENTS_KEY); } catch (e) {}
+        updateWatchdogInfo();
+    });
+    engine.on('block', watchdogBlock);
+    // タブが隠れると Wake Lock は外れる
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible' && audioContext) requestWakeLock();
+    });
+    updateWatchdogInfo();
+}
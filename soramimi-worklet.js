@@ -0,0 +1,77 @@
+// --- [AudioWorklet: アーカイブ用キャプチャ] ---
+//
+// AudioWorkletGlobalScope で動作するプロセッサ。
+// 128 サンプルずつ届く入力を事前確保したブロック (blockSize サンプル) に詰め、
+// 埋まったブロックをメインスレッドへ転送 (transfer) する。
+// メインスレッドはリングバッファへコピーした後、同じバッファを送り返すので
+// 定常状態では新しい Float32Array を確保しない。
+// channels > 1（セッション録音用）のときは1ブロックにチャンネルを順に並べる
+// (block[ch * blockSize + i])。
+
+const CAPTURE_POOL_INITIAL = 4; // 起動時に確保しておくブロック数
+const CAPTURE_POOL_MAX = 32; // メインスレッドが詰まった時に追加確保してよい上限
+
+class ArchiveCaptureProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        const opts = (options && options.processorOptions) || {};
+        this.blockSize = opts.blockSize || 4096;
+        this.channels = opts.channels || 1;
+        this.pool = [];
+        this.allocated = 0;
+        for (let i = 0; i < CAPTURE_POOL_INITIAL; i++) this.pool.push(this.allocate());
+        this.current = null;
+        this.fill = 0;
+        this.dropped = 0; // プールが尽きて捨てたサンプル数（デバッグ用）
+        // メインスレッドから返却されたブロックをプールに戻す
+        this.port.onmessage = (event) => {
+            const data = event.data;
+            if (data instanceof Float32Array && data.length === this.blockSize * this.channels) this.pool.push(data);
+        };
+    }
+
+    allocate() {
+        this.allocated++;
+        return new Float32Array(this.blockSize * this.channels);
+    }
+
+    nextBlock() {
+        if (this.pool.length > 0) return this.pool.pop();
+        if (this.allocated < CAPTURE_POOL_MAX) return this.allocate();
+        return null;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        const first = input && input[0];
+        if (!first) return true; // 入力未接続（ミュート中など）
+
+        let i = 0;
+        while (i < first.length) {
+            if (!this.current) {
+                this.current = this.nextBlock();
+                this.fill = 0;
+                if (!this.current) {
+                    this.dropped += first.length - i;
+                    break;
+                }
+            }
+            const block = this.current;
+            const n = Math.min(first.length - i, this.blockSize - this.fill);
+            for (let ch = 0; ch < this.channels; ch++) {
+                const channel = input[ch] || first; // モノラル入力は全チャンネルに複製
+                const base = ch * this.blockSize + this.fill;
+                for (let k = 0; k < n; k++) block[base + k] = channel[i + k];
+            }
+            this.fill += n;
+            i += n;
+            if (this.fill === this.blockSize) {
+                this.port.postMessage(block, [block.buffer]);
+                this.current = null;
+            }
+        }
+        return true;
+    }
+}
+
+registerProcessor('soramimi-archive-capture', ArchiveCaptureProcessor);
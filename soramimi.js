@@ -2,13 +2,17 @@
 
 const AudioContext = window.AudioContext || window.webkitAudioContext;
 let audioContext = null;
-let mediaStreamSource = null;
-let scriptProcessorNode = null;
-let stream = null;
-let randomTriggerInterval = null;
+// 取り込み中の入力（マイク）。入力ごとに別のアーカイブ engine.input(id) に書き込む
+//   { id, label, stream, source, workletNode（AudioWorklet）, processorNode（非対応ブラウザ向けの ScriptProcessorNode） }
+let inputs = [];
 let monitoringGain = null;
-let monitoringConnected = false; // track if mic -> monitoringGain -> destination is connected
-let guaranteeTimer = null; // ensures at least one soramimi happens every N minutes
+let monitoringConnected = false; // track if monitoringGain -> monitorBus is connected
+// 出力のバス: monitorBus / fragmentBus -> リミッター -> masterBus -> destination（録音はここから取る）
+// マルチスピーカーではチャンネルを混ぜずに通す（soramimi-spatial.js）
+let masterBus = null;
+let monitorBus = null;
+let fragmentBus = null;
+let engine = null; // SoramimiEngine（soramimi-engine.js）: アーカイブ・断片の選択・トリガー
 
 // Play a short, low-volume test tone to verify output on start
 function playStartTestTone() {
@@ -29,24 +33,15 @@ function playStartTestTone() {
     }
 }
 
-// アーカイブ設定
-const ARCHIVE_QUEUE = []; // 録音済みセグメントを保持するキュー
-const MAX_ARCHIVE_SEGMENTS = 300; // 最大セグメント数 (例: 10分 x 30セグメント/分 = 300)
+// アーカイブ・断片・トリガーの調整値は engine.options（soramimi-engine.js の ENGINE_DEFAULTS）
 const SAMPLE_RATE = 44100; // サンプルレート (Context作成後に正確な値を使用)
-const BUFFER_SIZE = 4096; // ScriptProcessorNodeのバッファサイズ
-const SEGMENT_MIN_SEC = 2; // 聞き間違いセグメントの最小秒数
-const SEGMENT_MAX_SEC = 5; // 聞き間違いセグメントの最大秒数
-// When selecting a past fragment, exclude any segments recorded within the last EXCLUDE_RECENT_MS
-const EXCLUDE_RECENT_MS = 4000; // default: 4 seconds
-
-// ランダムトリガー設定（動的に変更できる）
-let TRIGGER_CHECK_INTERVAL = 10000; // ミリ秒（初期: 10秒ごとに抽選）
-let TRIGGER_PROBABILITY = 0.05; // 0..1 の確率（初期: 5%）
+const BUFFER_SIZE = 4096; // アーカイブの1ブロックのサンプル数（AudioWorklet / ScriptProcessorNode 共通）
+const ARCHIVE_WORKLET_URL = 'soramimi-worklet.js'; // AudioWorkletProcessor のモジュール
+// 音量
+let MONITORING_GAIN = 1.5; // マイク→スピーカーの直接モニター（少し持ち上げて聞こえやすく）
+let REPLAY_GAIN = 0.9; // 聞き間違いの再生音量
 
 // 追加のUI要素参照（DOMContentLoadedで初期化）
-let probabilityInput = null;
-let probabilityValue = null;
-let intervalInput = null;
 // manualTriggerButton removed per UX: no manual trigger
 let sampleRateElement = null;
 let recordingDot = null;
@@ -58,149 +53,253 @@ let stopButton = null;
 let statusElement = null;
 let soraMimiStatus = null;
 let archiveSizeElement = null;
+let persistToggle = null;
+let storeInfoElement = null;
 
 // --- [アーカイブ蓄積ロジック] ---
+// リングバッファと解析は SoramimiEngine。ここはマイクからの取り込み経路と表示だけ
 
 /**
- * ScriptProcessorNodeのイベントハンドラ：リアルタイムで音声データを処理し、アーカイブキューに追加
- * @param {AudioProcessingEvent} event 
+ * アーカイブサイズ表示を更新（保持時間 / 容量）
  */
-function archiveAudio(event) {
-    // リアルタイム音声データ（今回はモノラル前提）
-    const inputBuffer = event.inputBuffer.getChannelData(0); 
+function updateArchiveSizeDisplay() {
+    if (!archiveSizeElement || !engine) return;
+    const { formatDuration } = SoramimiEngine;
+    archiveSizeElement.textContent = `アーカイブ: ${formatDuration(engine.archiveDurationSec())} / ${formatDuration(engine.archiveCapacitySec())}`;
+}
 
-    // 新しい配列にコピーしてタイムスタンプ付きでキューに追加
-    const segmentCopy = new Float32Array(inputBuffer);
-    ARCHIVE_QUEUE.push({ samples: segmentCopy, t: Date.now() });
-    
-    // キューの最大サイズを超えたら最も古いセグメントを削除（FIFO: 先入れ先出し）
-    if (ARCHIVE_QUEUE.length > MAX_ARCHIVE_SEGMENTS) {
-        ARCHIVE_QUEUE.shift();
+/**
+ * 開いた入力をつなぐ: モニターへ、アーカイブの取り込み経路へ
+ * @param {{id: string, label: string, stream: MediaStream}} opened syncInputs() が開いたストリーム
+ */
+function connectInput(opened) {
+    const input = Object.assign({ source: null, workletNode: null, processorNode: null }, opened);
+    input.source = audioContext.createMediaStreamSource(input.stream);
+    inputs.push(input);
+    // Create a monitoring path so the user hears immediate input
+    try {
+        if (monitoringGain) input.source.connect(monitoringGain);
+    } catch (e) {
+        console.warn('monitoring connect failed', e);
     }
-    
-    // UIの更新 (多少頻繁にして確認しやすくする)
-    if (ARCHIVE_QUEUE.length % 10 === 0) {
-        if (archiveSizeElement) archiveSizeElement.textContent = `アーカイブサイズ: ${ARCHIVE_QUEUE.length} セグメント`;
-        // サンプルレートや合計時間も更新
-        if (sampleRateElement) {
-            const sr = audioContext ? audioContext.sampleRate : SAMPLE_RATE;
-            sampleRateElement.textContent = `サンプルレート: ${sr} Hz`;
-        }
-        updateLog(`アーカイブ更新: ${ARCHIVE_QUEUE.length} セグメント`);
+    // アーカイブ（録音）経路: AudioWorklet（非対応なら ScriptProcessorNode）
+    startArchiveCapture(input).then(mode => {
+        updateLog(`アーカイブ [${input.label}]: ${mode === 'worklet' ? 'AudioWorklet で取り込み中' : 'ScriptProcessorNode で取り込み中（フォールバック）'}`);
+    });
+    try {
+        const tracks = input.stream.getAudioTracks();
+        console.log('Soramimi: audio tracks', input.label, tracks.map(t => ({id: t.id, enabled: t.enabled, kind: t.kind, label: t.label})));
+        // 抜かれたときは devicechange より先に ended が来ることがある（抜かれていなければ開き直す）
+        tracks.forEach(track => track.addEventListener('ended', () => watchdogTrackEnded(input)));
+    } catch (e) { console.warn('track info failed', e); }
+}
+
+/**
+ * 入力の取り込みを止めてストリームを閉じる（アーカイブはそのまま）
+ * @param {object} input
+ */
+function disconnectInput(input) {
+    stopArchiveCapture(input);
+    try { input.source.disconnect(); } catch (e) {}
+    input.stream.getTracks().forEach(track => track.stop());
+    if (input.id === FILE_INPUT_ID) stopFileInput();
+    inputs = inputs.filter(i => i !== input);
+}
+
+/**
+ * 入力をアーカイブへ流す経路を作る。
+ * AudioWorklet が使えればそれを、使えなければ ScriptProcessorNode を使用する。
+ * @param {object} input
+ * @returns {Promise<string>} 使用した経路 ('worklet' | 'scriptProcessor')
+ */
+function startArchiveCapture(input) {
+    const useScriptProcessor = () => {
+        // (非推奨だが AudioWorklet 非対応ブラウザのために残す)
+        if (!audioContext || !inputs.includes(input)) return 'scriptProcessor';
+        input.processorNode = audioContext.createScriptProcessor(BUFFER_SIZE, 1, 1);
+        // リアルタイム音声データ（今回はモノラル前提）
+        input.processorNode.onaudioprocess = event => engine.writeBlock(event.inputBuffer.getChannelData(0), input.id);
+        // connect source -> processorNode so onaudioprocess receives data, but DO NOT connect processor to destination
+        input.source.connect(input.processorNode);
+        console.log('Soramimi: scriptProcessor connected (onaudioprocess will run)');
+        return 'scriptProcessor';
+    };
+    if (!audioContext.audioWorklet || typeof AudioWorkletNode === 'undefined') {
+        return Promise.resolve(useScriptProcessor());
+    }
+    return audioContext.audioWorklet.addModule(ARCHIVE_WORKLET_URL)
+        .then(() => {
+            // the input may have been torn down by stopSoramimi() or a device change while the module loaded
+            if (!audioContext || !inputs.includes(input)) return 'worklet';
+            // numberOfOutputs: 0 -> destination に繋がなくても process() が呼ばれる
+            input.workletNode = new AudioWorkletNode(audioContext, 'soramimi-archive-capture', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                channelCount: 1,
+                channelCountMode: 'explicit',
+                processorOptions: { blockSize: BUFFER_SIZE },
+            });
+            // 届いたブロックをアーカイブし、バッファをワークレット側のプールへ返却
+            input.workletNode.port.onmessage = (event) => {
+                const block = event.data;
+                if (!(block instanceof Float32Array)) return;
+                try {
+                    engine.writeBlock(block, input.id);
+                } finally {
+                    // 失敗してもバッファは必ず返す（返さないとプールが減り、取り込みが止まる）
+                    if (input.workletNode) input.workletNode.port.postMessage(block, [block.buffer]);
+                }
+            };
+            input.source.connect(input.workletNode);
+            console.log('Soramimi: archive worklet connected');
+            return 'worklet';
+        })
+        .catch(e => {
+            console.warn('AudioWorklet unavailable, falling back to ScriptProcessorNode', e);
+            return useScriptProcessor();
+        });
+}
+
+/**
+ * アーカイブ取り込み経路を切断
+ * @param {object} input
+ */
+function stopArchiveCapture(input) {
+    if (input.workletNode) {
+        try {
+            input.workletNode.port.onmessage = null;
+            input.workletNode.disconnect();
+        } catch (e) {}
+        input.workletNode = null;
     }
-    // Lightweight debug: occasionally log RMS level to confirm audio input
-    if (ARCHIVE_QUEUE.length % 50 === 0) {
+    if (input.processorNode) {
         try {
-            let sum = 0;
-            for (let i = 0; i < segmentCopy.length; i++) { const v = segmentCopy[i]; sum += v*v; }
-            const rms = Math.sqrt(sum / segmentCopy.length);
-            console.log('Soramimi: archive segment RMS', rms.toFixed(5), 'len', segmentCopy.length);
-            updateLog && updateLog(`入力レベル (RMS): ${rms.toFixed(5)}`);
-        } catch(e){ }
+            input.processorNode.onaudioprocess = null;
+            input.processorNode.disconnect();
+        } catch (e) {}
+        input.processorNode = null;
     }
 }
 
 // --- [ランダム再生（Soramimi）ロジック] ---
 
 /**
- * アーカイブからランダムにセグメントを選択し、演出を加えて再生
+ * MONITORING_GAIN の変更を（再生中なら）なめらかに反映
+ */
+function applyMonitoringGain(timeConstant = 0.05) {
+    if (!audioContext || !monitoringGain) return;
+    const param = monitoringGain.gain;
+    const now = audioContext.currentTime;
+    // 途中のランプはその時点の値で止めてから次のランプへ（段差・クリックを出さない）
+    if (param.cancelAndHoldAtTime) param.cancelAndHoldAtTime(now);
+    else param.cancelScheduledValues(now);
+    param.setTargetAtTime(monitoringGainTarget(), now, timeConstant);
+}
+
+/**
+ * 再生できる状態か確認し、AudioContext の再開とモニタリング経路を保証する
+ * @param {string} caller ログ用
+ * @returns {boolean}
  */
-function playRandomSoraMimi() {
-    if (!audioContext || audioContext.state !== 'running' || ARCHIVE_QUEUE.length === 0) {
+function prepareSoramimiPlayback(caller) {
+    if (!audioContext || audioContext.state !== 'running') {
         // log why we're not playing
         try {
-            if (!audioContext) console.warn('playRandomSoraMimi: no audioContext');
-            else if (audioContext.state !== 'running') console.warn('playRandomSoraMimi: audioContext not running:', audioContext.state);
-            else if (ARCHIVE_QUEUE.length === 0) console.warn('playRandomSoraMimi: archive empty');
+            if (!audioContext) console.warn(`${caller}: no audioContext`);
+            else console.warn(`${caller}: audioContext not running:`, audioContext.state);
             updateLog && updateLog('再生スキップ: 条件未達');
         } catch(e){}
-        return;
+        return false;
     }
     // Ensure AudioContext resumed and monitoring remains connected so live return is always audible
     try { audioContext.resume().catch(()=>{}); } catch (e) {}
     try {
-        if (!monitoringConnected && mediaStreamSource && monitoringGain) {
-            mediaStreamSource.connect(monitoringGain);
-            monitoringGain.connect(audioContext.destination);
-            monitoringGain.gain.setValueAtTime(1.0, audioContext.currentTime);
+        if (!monitoringConnected && inputs.length > 0 && monitoringGain) {
+            inputs.forEach(input => input.source.connect(monitoringGain));
+            connectMonitoring();
+            applyMonitoringGain();
             monitoringConnected = true;
-        } else if (monitoringGain) {
-            // ensure gain is set (in case it was modified elsewhere)
-            monitoringGain.gain.setValueAtTime(1.0, audioContext.currentTime);
         }
+        // 接続済みなら音量には触れない（ダッキング・ハウリング対策のランプを上書きしないため）
     } catch (e) {
         console.warn('Could not ensure monitoring connection:', e);
     }
-    
-    if (soraMimiStatus) soraMimiStatus.textContent = '聞き間違い: 発生！';
+    return true;
+}
 
-    // 1. ランダムなセグメント（時間）を決定
-    const segmentCount = ARCHIVE_QUEUE.length;
-    const now = Date.now();
-    // Build candidate indices excluding very recent segments so the selection feels like '過去'の音
-    const candidateIndices = [];
-    for (let i = 0; i < segmentCount; i++) {
-        const seg = ARCHIVE_QUEUE[i];
-        if (!seg || !seg.t) continue;
-        if ((now - seg.t) > EXCLUDE_RECENT_MS) candidateIndices.push(i);
+/**
+ * 断片 → エフェクトチェーン → 配置（パン / スピーカー / HRTF）→ 再生音量 の経路を ctx 上に組み立てる
+ * （ライブの再生と、断片を保存するときの OfflineAudioContext でのレンダリングで共用）
+ * @param {BaseAudioContext} ctx
+ * @param {AudioBuffer} soraMimiBuffer 演出前の断片
+ * @param {{effect: object, params: object}[]} chain buildEffectChain() の結果
+ * @param {number} pan -1..1
+ * @param {AudioNode} destination
+ */
+function connectFragmentGraph(ctx, soraMimiBuffer, chain, placement, destination, gain = REPLAY_GAIN) {
+    let buffer = soraMimiBuffer;
+    for (const { effect, params } of chain) {
+        if (effect.prepare) buffer = effect.prepare(ctx, buffer, params);
     }
-    // If no candidates (e.g. early start), fall back to entire archive but log that we relaxed the rule
-    let startIndex;
-    if (candidateIndices.length === 0) {
-        startIndex = Math.floor(Math.random() * segmentCount);
-        updateLog(`候補無し（直近除外ルールを緩和）：startIndex=${startIndex}, archiveLength=${segmentCount}`);
-    } else {
-        startIndex = candidateIndices[Math.floor(Math.random() * candidateIndices.length)];
-        updateLog(`選択: startIndex=${startIndex} (候補数=${candidateIndices.length}), archiveLength=${segmentCount}`);
+    const sourceNode = ctx.createBufferSource();
+    sourceNode.buffer = buffer;
+    const cleanups = [];
+    for (const { effect, params } of chain) {
+        if (!effect.source) continue;
+        const cleanup = effect.source(ctx, sourceNode, params);
+        if (cleanup) cleanups.push(cleanup);
     }
 
-    // 2. 再生する断片の長さをランダムに決定 (2秒から5秒)
-    const durationSec = SEGMENT_MIN_SEC + Math.random() * (SEGMENT_MAX_SEC - SEGMENT_MIN_SEC);
-    const segmentLength = Math.round(durationSec * audioContext.sampleRate / BUFFER_SIZE) * BUFFER_SIZE;
-    updateLog(`再生長さ: ${durationSec.toFixed(2)}s -> ${segmentLength} samples`);
-    
-    // 3. AudioBufferの作成
-    const numChannels = 1; // モノラル
-    const soraMimiBuffer = audioContext.createBuffer(numChannels, segmentLength, audioContext.sampleRate);
-    const outputData = soraMimiBuffer.getChannelData(0);
-
-    // 4. キューからバッファにデータをコピー
-    let offset = 0;
-    for (let i = 0; offset < segmentLength && i < segmentCount; i++) {
-        // ARCHIVE_QUEUE の各要素は {samples, t}
-        const segObj = ARCHIVE_QUEUE[(startIndex + i) % segmentCount];
-        const segment = segObj ? segObj.samples : null;
-        if (!segment) continue;
-        // コピーする長さを決定 (バッファの残りサイズか、セグメントサイズか)
-        const copyLength = Math.min(BUFFER_SIZE, segmentLength - offset, segment.length);
-        outputData.set(segment.subarray(0, copyLength), offset);
-        offset += copyLength;
+    // 信号経路に挿入するエフェクト: Source -> effect1 -> effect2 -> ... -> Panner
+    const effectNodes = [];
+    let tailSec = 0;
+    let lastNode = sourceNode;
+    for (const { effect, params } of chain) {
+        if (!effect.node) continue;
+        const stage = effect.node(ctx, params);
+        lastNode.connect(stage.input);
+        lastNode = stage.output;
+        effectNodes.push(stage);
+        tailSec = Math.max(tailSec, stage.tailSec || 0);
     }
-    updateLog(`バッファ作成: 出力長 ${outputData.length}, コピー済み ${offset} samples`);
-
-    // 5. SourceNodeの作成と演出ノードの接続
-    const sourceNode = audioContext.createBufferSource();
-    sourceNode.buffer = soraMimiBuffer;
-
-    // 演出ノード: わずかなパンニングとフィルタリング
-    const pannerNode = audioContext.createStereoPanner();
-    const filterNode = audioContext.createBiquadFilter();
-    
-    // A. パンニング（-0.8から-0.2、または0.2から0.8の間でランダムに設定）
-    pannerNode.pan.setValueAtTime(Math.random() > 0.5 ? Math.random() * 0.6 + 0.2 : -(Math.random() * 0.6 + 0.2), audioContext.currentTime);
 
-    // B. フィルター（少し籠った「記憶の断片」のような音質に）
-    filterNode.type = 'lowpass';
-    filterNode.frequency.setValueAtTime(3000 + Math.random() * 1000, audioContext.currentTime); // 3-4kHzに設定
+    const placementStage = createPlacementStage(ctx, placement);
+    lastNode.connect(placementStage.input);
+    // Attach a gain node for controlled replay level and connect the placement stage to it
+    const replayGain = ctx.createGain();
+    // マルチスピーカーでは配置したチャンネルをそのまま通す
+    if (placement.mode === 'speakers' && placement.gains) setDiscreteChannels(replayGain, placement.gains.length);
+    replayGain.gain.setValueAtTime(gain, ctx.currentTime);
+    placementStage.output.connect(replayGain).connect(destination);
+    return { sourceNode, cleanups, effectNodes, tailSec, placementStage, replayGain };
+}
 
-    // 接続: Source -> Filter -> Panner -> (replayGain -> Destination)
-    sourceNode.connect(filterNode).connect(pannerNode);
+/**
+ * 断片に演出を加えて再生
+ * @param {AudioBuffer} soraMimiBuffer
+ * @param {{reason?: string, mode: string, source: string, spans: {t: number, sec: number}[], dry?: boolean, input?: string, outputZone?: string|null, corpus?: object}} info
+ *   spans は元の音の録音時刻 (ms) と長さ（タイムラインの印と保存用のメタデータに使う）。dry なら演出なし
+ *   コーパスの断片は spans が空で、corpus にファイル名とファイル内の位置を持つ
+ *   input は元の音を録った入力、outputZone は鳴らすゾーンの入力（soramimi-engine.js）
+ */
+function playSoraMimiBuffer(soraMimiBuffer, info) {
+    if (soraMimiStatus) soraMimiStatus.textContent = '聞き間違い: 発生！';
+    engine.fragmentStarted();
+
+    // 5. 演出チェーンと配置（ステレオのパン / スピーカー / HRTF。soramimi-spatial.js）を決めて経路を作る
+    const chain = info.dry ? [] : buildEffectChain();
+    const placement = choosePlacement(info);
+    // 再生音量 = REPLAY_GAIN × 断片ごとのラウドネス補正
+    const gain = REPLAY_GAIN * dbToGain(info.loudnessGainDb || 0);
+    const { sourceNode, cleanups, effectNodes, tailSec, placementStage, replayGain } =
+        connectFragmentGraph(audioContext, soraMimiBuffer, chain, placement, fragmentBus || audioContext.destination, gain);
+    updateLog(`演出: ${describeEffectChain(chain)}`);
+    // あとで1つずつ保存できるよう、演出前の断片と演出の内容を覚えておく
+    rememberFragment(Object.assign({ buffer: soraMimiBuffer, chain, placement, pan: placement.pan, gain, playedAt: Date.now() }, info));
+    // タイムラインに元の音の位置の印と再生位置を出す
+    const marker = addTimelineMarker(info.spans, sourceNode.buffer.duration, info.dry ? 'audition' : info.mode, info.input);
 
     // 6. 再生
-    // Attach a gain node for controlled replay level and connect panner to it
-    const replayGain = audioContext.createGain();
-    replayGain.gain.setValueAtTime(0.9, audioContext.currentTime);
-    pannerNode.connect(replayGain).connect(audioContext.destination);
     // Visual cue: flash the tagline briefly so the audience links the audio event
     try {
         const taglineEl = document.querySelector('.tagline');
@@ -218,149 +317,138 @@ function playRandomSoraMimi() {
     }
 
     sourceNode.start(0);
+    duckMonitorStart();
 
     // 7. 再生終了後のクリーンアップとステータス更新
     sourceNode.onended = () => {
-        // すべてのノードを切断してメモリ解放
+        engine.fragmentEnded();
+        duckMonitorEnd();
+        endTimelineMarker(marker);
+        // すべてのノードを切断してメモリ解放（リバーブ等の残響が鳴り終わるのを待つ）
         sourceNode.disconnect();
-        filterNode.disconnect();
-        pannerNode.disconnect();
+        cleanups.forEach(fn => fn());
+        setTimeout(() => {
+            for (const stage of effectNodes) {
+                try {
+                    if (stage.stop) stage.stop();
+                    stage.input.disconnect();
+                    stage.output.disconnect();
+                } catch (e) {}
+            }
+            placementStage.disconnect();
+            replayGain.disconnect();
+        }, tailSec * 1000 + 100);
         // remove flash class in case it wasn't removed yet
         try {
             const taglineEl = document.querySelector('.tagline');
             if (taglineEl) taglineEl.classList.remove('flash');
             if (recordingDot) recordingDot.classList.remove('sora');
         } catch (e) {}
-        if (soraMimiStatus) soraMimiStatus.textContent = '聞き間違い: なし';
+        if (soraMimiStatus && engine.activeFragments === 0) soraMimiStatus.textContent = '聞き間違い: なし';
         updateLog('聞き間違い再生終了');
     };
     updateLog('聞き間違い再生開始');
 }
 
-// Keyboard shortcut for testing: press 't' to force a soramimi (only when running)
-window.addEventListener('keydown', (ev) => {
-    if (ev.key === 't' || ev.key === 'T') {
-        if (audioContext && audioContext.state === 'running') {
-            updateLog('手動テストトリガー: t キー押下');
-            try { playRandomSoraMimi(); } catch (e) { console.warn('manual trigger failed', e); }
-        } else {
-            updateLog('手動トリガー: AudioContext が実行中ではありません');
-        }
-    }
-});
-
+// --- [メインのアプリケーション制御] ---
 
 /**
- * ランダムトリガーを起動
+ * SoramimiEngine を作り、ログ・アーカイブ表示・永続化・再生をこのページにつなぐ
+ * （エンジンは DOM を知らないので、ここがイベントの受け口）
+ * @returns {SoramimiEngine}
  */
-function startRandomTrigger() {
-    // 既存のタイマーがある場合はクリアしてから再設定
-    if (randomTriggerInterval) {
-        clearInterval(randomTriggerInterval);
-        randomTriggerInterval = null;
-    }
-
-    randomTriggerInterval = setInterval(() => {
-        // 乱数を生成し、確率チェック
-        const randomValue = Math.random();
-        if (randomValue < TRIGGER_PROBABILITY && ARCHIVE_QUEUE.length > 10) {
-            playRandomSoraMimi();
-        }
-    }, TRIGGER_CHECK_INTERVAL);
-    updateLog(`ランダムトリガー開始：${TRIGGER_CHECK_INTERVAL/1000}s ごと、確率 ${Math.round(TRIGGER_PROBABILITY*100)}%`);
+function createEngine() {
+    const instance = new SoramimiEngine({
+        options: { blockSize: BUFFER_SIZE },
+        // 以前のセッションの記憶（soramimi-store.js）
+        persisted: {
+            count: (beforeMs, afterMs) => PERSIST_ARCHIVE ? persistedCandidates(beforeMs, afterMs).length : 0,
+            ratio: () => PERSISTED_FRAGMENT_RATIO,
+            pick: (durationSec, beforeMs, afterMs, random, now) => pickPersistedFragment(durationSec, beforeMs, afterMs, random, now),
+        },
+    });
+    instance.on('log', ({ message }) => updateLog(message));
+    instance.on('archive', () => updateArchiveSizeDisplay());
+    // 永続アーカイブに残すのは最初の入力だけ（チャンクは1本の時間軸）
+    // ハウリング中のブロックは残さない（途中までのチャンクを閉じ、収まった後は新しいチャンクから）
+    instance.on('block', ({ block, t, sampleRate, analysis, input }) => {
+        if (input !== instance.archive.id) return;
+        if (analysis.flags & SoramimiEngine.FLAG_FEEDBACK) flushPersistBuffer();
+        else persistArchiveBlock(block, t, sampleRate);
+    });
+    instance.on('fragment', ({ buffer, info }) => {
+        if (prepareSoramimiPlayback('fragment')) playSoraMimiBuffer(buffer, info);
+    });
+    return instance;
 }
 
 /**
- * Schedule a guaranteed soramimi between 1 and 5 minutes from now.
- * When the timer fires it will call playRandomSoraMimi() and reschedule itself.
+ * 出力のバスを作る: monitorBus（マイクの直接モニター）/ fragmentBus（聞き間違い）-> リミッター -> masterBus -> destination
+ * チャンネル数は出力モードで決まる（マルチスピーカーならスピーカーの数）
  */
-function scheduleNextGuaranteedTrigger(isFirst = false) {
-    // clear existing
-    if (guaranteeTimer) {
-        clearTimeout(guaranteeTimer);
-        guaranteeTimer = null;
-    }
-    // For the first scheduled trigger after start, guarantee it occurs within 30s.
-    // Afterward, pick a randomized interval between 1s and 60s so the maximum wait is 60s.
-    let nextMs;
-    if (isFirst) {
-        // 1..30 seconds
-        nextMs = Math.floor(Math.random() * 30000) + 1000; // 1000..30000 ms
-    } else {
-        // 1..60 seconds
-        nextMs = Math.floor(Math.random() * 60000) + 1000; // 1000..60000 ms
-    }
-    guaranteeTimer = setTimeout(() => {
-        try {
-            // Guard: only trigger if audio is running and we have archive
-            if (audioContext && audioContext.state === 'running' && ARCHIVE_QUEUE.length > 0) {
-                playRandomSoraMimi();
-            }
-        } finally {
-            // always schedule next one
-            scheduleNextGuaranteedTrigger();
-        }
-    }, nextMs);
-    updateLog(`次の保証された聞き間違いまで: ${Math.round(nextMs/1000)}s`);
+function createOutputBuses() {
+    const channels = configureOutputChannels();
+    masterBus = audioContext.createGain();
+    monitorBus = audioContext.createGain();
+    fragmentBus = audioContext.createGain();
+    if (channels > 2) [masterBus, fragmentBus].forEach(bus => setDiscreteChannels(bus, channels));
+    const limiter = createMasterLimiter(channels);
+    connectMonitorOutput(limiter.input);
+    fragmentBus.connect(limiter.input);
+    limiter.output.connect(masterBus);
+    masterBus.connect(audioContext.destination);
 }
 
-
-// --- [メインのアプリケーション制御] ---
-
 /**
  * 録音/再生処理を開始
  */
 function startSoramimi() {
     if (audioContext && audioContext.state === 'running') return;
     
-    // AudioContextの初期化
-    audioContext = new AudioContext();
+    // AudioContextの初期化（ウォッチドッグの作り直しでは、アーカイブを捨てないよう前と同じサンプルレートで）
+    const sampleRate = watchdogSampleRate();
+    audioContext = sampleRate ? new AudioContext({ sampleRate }) : new AudioContext();
     // Some browsers start the context suspended; ensure it's running after a user gesture
     audioContext.resume().catch(() => {});
     if (statusElement) statusElement.textContent = 'ステータス: マイクアクセス中...';
 
-    // マイク入力の取得
-    // Request mic with loopback-friendly constraints (disable echo/noise suppression so direct monitoring works)
-    navigator.mediaDevices.getUserMedia({ audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false } })
-        .then(userStream => {
-            stream = userStream;
-            
-            // 1. MediaStreamをSourceNodeに接続
-            mediaStreamSource = audioContext.createMediaStreamSource(stream);
-            
-            // 2. Create a monitoring gain node and connect the mic to destination so user hears immediate input
-            monitoringGain = audioContext.createGain();
-            // default monitoring gain (slightly boosted to improve audibility on some devices)
-            monitoringGain.gain.cancelScheduledValues(audioContext.currentTime);
-            monitoringGain.gain.setValueAtTime(1.5, audioContext.currentTime);
-            // connect only once to avoid duplicate connections
-            try {
-                if (!monitoringConnected) {
-                    mediaStreamSource.connect(monitoringGain);
-                    monitoringGain.connect(audioContext.destination);
-                    monitoringConnected = true;
-                    console.log('Soramimi: monitoring connected (mic -> monitoringGain -> destination)');
-                    try { updateLog('モニタリング経路を接続しました'); } catch(e){}
-                }
-            } catch (e) {
-                console.warn('monitoring connect failed', e);
-            }
+    // アーカイブ容量を実際のサンプルレートで確定（入力ごとのアーカイブは syncInputs() で揃える）
+    engine.setAudioContext(audioContext);
+    engine.configureArchive(audioContext.sampleRate);
+    syncCorpusSampleRate();
+
+    // 1. 出力のバスとモニター: 入力 -> monitoringGain -> ノッチ -> monitorBus -> masterBus -> destination（選んだ出力デバイス）
+    createOutputBuses();
+    applyOutputDevice();
+    startFeedbackGuard();
+    monitoringGain = audioContext.createGain();
+    // default monitoring gain (slightly boosted to improve audibility on some devices)
+    monitoringGain.gain.cancelScheduledValues(audioContext.currentTime);
+    monitoringGain.gain.setValueAtTime(monitoringGainTarget(), audioContext.currentTime);
+    // connect only once to avoid duplicate connections
+    try {
+        if (!monitoringConnected) {
+            connectMonitoring();
+            monitoringConnected = true;
+            console.log('Soramimi: monitoring connected (mic -> monitoringGain -> notches -> monitorBus -> masterBus -> destination)');
+            try { updateLog('モニタリング経路を接続しました'); } catch(e){}
+        }
+    } catch (e) {
+        console.warn('monitoring connect failed', e);
+    }
 
-            // 3. ScriptProcessorNodeを作成してアーカイブ（録音）処理のみを行う
-            // (非推奨だが互換性のために使用。将来的にはAudioWorkletへ移行推奨)
-            scriptProcessorNode = audioContext.createScriptProcessor(BUFFER_SIZE, 1, 1);
-            // 4. アーカイブ処理をアサイン
-            scriptProcessorNode.onaudioprocess = archiveAudio;
-            // connect source -> scriptProcessorNode so onaudioprocess receives data, but DO NOT connect processor to destination
-            mediaStreamSource.connect(scriptProcessorNode);
-            console.log('Soramimi: scriptProcessor connected (onaudioprocess will run)');
-            if (stream && stream.getAudioTracks) {
-                try {
-                    const tracks = stream.getAudioTracks();
-                    console.log('Soramimi: audio tracks', tracks.map(t => ({id: t.id, enabled: t.enabled, kind: t.kind, label: t.label}))); 
-                    updateLog && updateLog(`マイクトラック: ${tracks.length}`);
-                } catch (e) { console.warn('track info failed', e); }
+    // 2. マイク入力の取得（選んだ入力をすべて開き、それぞれモニターとアーカイブへ）
+    syncInputs()
+        .then(count => {
+            if (count === 0) {
+                const err = new Error('no input device');
+                err.name = 'NotFoundError';
+                throw err;
             }
+            // 作り直し（ウォッチドッグ）ではセッション・スコアの経過時間を続け、テストトーンも鳴らさない
+            const recovering = watchdogState.recovering;
+            if (!recovering) beginStoreSession();
+            updateLog(`マイク: ${inputs.map(input => input.label).join(' / ')}`);
 
             // Ensure the AudioContext is resumed (some browsers require explicit resume)
             try {
@@ -368,14 +456,16 @@ function startSoramimi() {
                     console.log('Soramimi: audioContext resumed');
                     try { updateLog('AudioContext resumed'); } catch(e){}
                     // Play a very short test tone so the user can confirm output
-                    playStartTestTone();
+                    if (!recovering) playStartTestTone();
                 }).catch(e => { console.warn('resume failed', e); });
             } catch(e){ console.warn('resume call failed', e); }
 
-            // 5. ランダムトリガーの起動 (自動で挿入されるため手動トリガーは不要)
-            startRandomTrigger();
-                    // schedule guaranteed periodic soramimi (first one within 30s)
-                    scheduleNextGuaranteedTrigger(true);
+            // 3. ランダムトリガーの起動 (自動で挿入されるため手動トリガーは不要)
+            // (ランダム・最大間隔の保証・クールダウンなどはすべてスケジューラの戦略)
+            engine.startScheduler(recovering);
+            startWatchdog();
+            resumeSessionRecording();
+            watchdogRecovered();
 
             // 状態の更新
             if (statusElement) statusElement.textContent = 'ステータス: 実行中（リアルタイム再生＆アーカイブ中）';
@@ -384,10 +474,15 @@ function startSoramimi() {
             // サンプルレート表示と録音インジケータ
             if (sampleRateElement) sampleRateElement.textContent = `サンプルレート: ${audioContext.sampleRate} Hz`;
             if (recordingDot) recordingDot.classList.add('is-recording');
+            updateRecorderUI();
+            updatePrivacyNotice();
+            startTimeline();
             updateLog('録音開始');
         })
         .catch(err => {
             console.error('マイクアクセスエラー:', err);
+            // 作り直しの途中なら、アーカイブを残したままウォッチドッグが後でもう一度試す
+            if (watchdogStartFailed(err)) return;
             statusElement.textContent = `ステータス: エラーが発生しました (${err.name})`;
             alert('マイクへのアクセスを許可してください。');
             stopSoramimi();
@@ -395,50 +490,75 @@ function startSoramimi() {
 }
 
 /**
- * 停止処理
+ * 取り込み・再生の経路と AudioContext を閉じる（アーカイブはそのまま）。
+ * 停止と、ウォッチドッグの作り直しで共用
+ * @returns {Promise<void>} AudioContext が閉じた後（無ければすぐ）
  */
-function stopSoramimi() {
+function teardownAudio() {
     // タイマーをクリア
-    if (randomTriggerInterval) {
-        clearInterval(randomTriggerInterval);
-        randomTriggerInterval = null;
-    }
-    // guaranteed trigger
-    if (guaranteeTimer) {
-        clearTimeout(guaranteeTimer);
-        guaranteeTimer = null;
-    }
-
-    // ストリームのトラックを停止
-    if (stream) {
-        stream.getTracks().forEach(track => track.stop());
-        stream = null;
-    }
+    engine.stopScheduler();
+    stopTimeline();
+    stopFeedbackGuard();
 
     // AudioContextとノードのクリーンアップ
-    if (audioContext) {
-        audioContext.close().then(() => {
-            audioContext = null;
-            mediaStreamSource = null;
-            scriptProcessorNode = null;
-            monitoringConnected = false;
-            
-            // UIの更新
-            if (statusElement) statusElement.textContent = 'ステータス: 停止中';
-            if (soraMimiStatus) soraMimiStatus.textContent = '聞き間違い: なし';
-            if (startButton) startButton.disabled = false;
-            if (stopButton) stopButton.disabled = true;
-            
-            // アーカイブをクリア
-            ARCHIVE_QUEUE.length = 0; 
-            if (archiveSizeElement) archiveSizeElement.textContent = `アーカイブサイズ: 0 セグメント`;
-            if (sampleRateElement) sampleRateElement.textContent = `サンプルレート: -`;
-            if (recordingDot) recordingDot.classList.remove('is-recording');
-            updateLog('録音停止');
-            
-            console.log('Soramimi停止完了。');
-        });
-    }
+    // セッションの録音は閉じる前に終えてダウンロード（作り直しの間は中断し、作り直した経路で続ける）
+    if (watchdogState.recovering) suspendSessionRecording();
+    else stopSessionRecording();
+    // 取り込み経路を切断し、ストリームのトラックを停止
+    inputs.slice().forEach(disconnectInput);
+    // 途中までのチャンクも永続アーカイブに残す
+    flushPersistBuffer().then(updateStoreInfo);
+    if (!audioContext) return Promise.resolve();
+    const ctx = audioContext;
+    // 既に閉じられていた（ウォッチドッグが見つけた）場合も後片付けは同じ
+    return ctx.close().catch(() => {}).then(() => {
+        if (audioContext !== ctx) return;
+        audioContext = null;
+        monitoringConnected = false;
+        deviceState.sinkId = '';
+        masterBus = monitorBus = fragmentBus = null;
+        masterLimiters = [];
+        monitorDucks = 0;
+        updateRecorderUI();
+        updatePrivacyNotice();
+    });
+}
+
+/**
+ * 経路を作り直す（ウォッチドッグから）: 閉じてから、同じ入力・同じアーカイブでもう一度開始する
+ */
+function restartSoramimi() {
+    teardownAudio().then(() => {
+        if (watchdogState.recovering) startSoramimi();
+    });
+}
+
+/**
+ * 停止処理
+ */
+function stopSoramimi() {
+    // 作り直しの再試行を待っている間（AudioContext は閉じている）も停止として扱う
+    const running = !!audioContext || watchdogState.recovering;
+    stopWatchdog();
+    teardownAudio().then(() => {
+        if (!running) return;
+        // UIの更新
+        if (statusElement) statusElement.textContent = 'ステータス: 停止中';
+        if (soraMimiStatus) soraMimiStatus.textContent = '聞き間違い: なし';
+        if (startButton) startButton.disabled = false;
+        if (stopButton) stopButton.disabled = true;
+        
+        // アーカイブをクリア（再生数・解析の状態も初期化）
+        engine.reset();
+        engine.setAudioContext(null);
+        updateDeviceInfo();
+        drawTimeline();
+        if (sampleRateElement) sampleRateElement.textContent = `サンプルレート: -`;
+        if (recordingDot) recordingDot.classList.remove('is-recording');
+        updateLog('録音停止');
+        
+        console.log('Soramimi停止完了。');
+    });
 }
 
 
@@ -452,9 +572,6 @@ window.addEventListener('DOMContentLoaded', () => {
     soraMimiStatus = document.getElementById('soraMimiStatus');
     archiveSizeElement = document.getElementById('archiveSize');
     // 追加要素
-    probabilityInput = document.getElementById('probabilityInput');
-    probabilityValue = document.getElementById('probabilityValue');
-    intervalInput = document.getElementById('intervalInput');
     sampleRateElement = document.getElementById('sampleRate');
     recordingDot = document.getElementById('recordingDot');
     logElement = document.getElementById('log');
@@ -483,41 +600,102 @@ window.addEventListener('DOMContentLoaded', () => {
         });
     }
 
+    // アーカイブ・断片の選択・トリガーの本体
+    engine = createEngine();
+
     // 初期UI状態
-    if (archiveSizeElement) archiveSizeElement.textContent = `アーカイブサイズ: ${ARCHIVE_QUEUE.length} セグメント`;
+    updateArchiveSizeDisplay();
     if (startButton) startButton.addEventListener('click', startSoramimi);
     if (stopButton) stopButton.addEventListener('click', stopSoramimi);
     if (startButton) startButton.disabled = false;
     if (stopButton) stopButton.disabled = true;
 
-    // probability slider wiring
-    if (probabilityInput && probabilityValue) {
-        probabilityValue.textContent = `${probabilityInput.value}%`;
-        probabilityInput.addEventListener('input', (e) => {
-            const v = Number(e.target.value);
-            probabilityValue.textContent = `${v}%`;
-            TRIGGER_PROBABILITY = v / 100;
-            updateLog(`確率変更: ${v}%`);
+    // 設定パネル（SETTINGS_SCHEMA から生成）とプリセット
+    const settingsFields = document.getElementById('settingsFields');
+    if (settingsFields) buildSettingsPanel(settingsFields);
+    initPresetControls();
+
+    // 入出力デバイスの選択と抜き差し
+    initDeviceControls();
+
+    // コーパス（読み込んだ音声ファイル）とリハーサル用のファイル入力
+    initCorpusControls();
+
+    // 無人運転の監視（取り込みの停止・AudioContext の停止・マイクの喪失からの復旧、画面のスリープ防止）
+    initWatchdogControls();
+
+    // ハウリング対策の状態表示
+    initFeedbackControls();
+
+    // 別のタブ・端末からのリモート操作
+    initRemote();
+
+    // セッションの録音と、直近の聞き間違いの保存
+    initRecorderControls();
+
+    // アーカイブのタイムライン（クリックでその位置から再生）
+    const timelineCanvas = document.getElementById('archiveTimeline');
+    if (timelineCanvas) initTimeline(timelineCanvas);
+
+    // 永続アーカイブ（IndexedDB）の設定と確認・消去
+    persistToggle = document.getElementById('persistToggle');
+    storeInfoElement = document.getElementById('storeInfo');
+    const storeInfoButton = document.getElementById('storeInfoButton');
+    const storeClearButton = document.getElementById('storeClearButton');
+    try { PERSIST_ARCHIVE = localStorage.getItem(STORE_PREF_KEY) === '1'; } catch (e) {}
+    if (PERSIST_ARCHIVE) openArchiveStore().then(updateStoreInfo).catch(() => {});
+    if (persistToggle) {
+        persistToggle.checked = PERSIST_ARCHIVE;
+        persistToggle.addEventListener('change', (e) => {
+            PERSIST_ARCHIVE = e.target.checked;
+            try { localStorage.setItem(STORE_PREF_KEY, PERSIST_ARCHIVE ? '1' : '0'); } catch (err) {}
+            if (PERSIST_ARCHIVE) {
+                openArchiveStore().then(updateStoreInfo).catch(err => updateLog(`IndexedDB を開けません: ${err.message}`));
+            } else {
+                flushPersistBuffer();
+            }
+            updateLog(`記憶の保存: ${PERSIST_ARCHIVE ? 'ON' : 'OFF'}`);
         });
     }
-
-    // interval input wiring (秒 -> ms)
-    if (intervalInput) {
-        intervalInput.value = TRIGGER_CHECK_INTERVAL / 1000;
-        intervalInput.addEventListener('change', (e) => {
-            const seconds = Number(e.target.value) || 1;
-            TRIGGER_CHECK_INTERVAL = Math.max(1000, Math.floor(seconds * 1000));
-            // 再起動
-            if (audioContext && audioContext.state === 'running') startRandomTrigger();
-            updateLog(`チェック間隔変更: ${Math.round(TRIGGER_CHECK_INTERVAL/1000)}s`);
+    if (storeInfoButton) {
+        storeInfoButton.addEventListener('click', () => {
+            openArchiveStore().then(updateStoreInfo).catch(err => updateLog(`IndexedDB を開けません: ${err.message}`));
+        });
+    }
+    if (storeClearButton) {
+        storeClearButton.addEventListener('click', () => {
+            if (!confirm('保存された記憶をすべて消去しますか？')) return;
+            clearArchiveStore()
+                .then(() => { updateStoreInfo(); updateLog('保存された記憶を消去しました'); })
+                .catch(err => updateLog(`消去に失敗しました: ${err.message}`));
         });
     }
 
     // manual trigger removed (UX: automatic only)
+
+    // スコアと開場時間（保存されていたスコアを再開し、開場時間内なら開始する。ほかの準備がすべて済んでから）
+    initPrivacyControls();
+    initExhibitionControls();
 });
 
+/**
+ * 保存された記憶のサイズ表示を更新
+ */
+function updateStoreInfo() {
+    if (!storeInfoElement) return;
+    const stats = archiveStoreStats();
+    if (stats.count === 0) {
+        storeInfoElement.textContent = '保存された記憶: なし';
+        return;
+    }
+    const mb = (stats.bytes / 1024 / 1024).toFixed(1);
+    storeInfoElement.textContent = `保存された記憶: ${SoramimiEngine.formatDuration(stats.durationSec)} (${mb} MB, ${stats.sessions} セッション, 最古 ${new Date(stats.oldest).toLocaleDateString()})`;
+}
+
 // シンプルなログ表示補助
 function updateLog(message) {
+    // 操作画面 (remote.html) へも流す
+    remoteEvent('log', { message, t: Date.now() });
     if (!logElement) return;
     const t = new Date().toLocaleTimeString();
     const entry = document.createElement('div');